@@ -0,0 +1,18 @@
+import { isConvertible, placedDebtAmount } from '../../services/fx-rates.js';
+
+// =============== BACKLOG ORDER ===============
+// CRITICAL first, then oldest debt, then largest amount (in the reporting
+// currency at placement), then first come. A case without an FX rate counts
+// as the smallest amount rather than stalling the whole backlog.
+export const PRIORITY_RANK = { CRITICAL: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
+
+function sortAmount(caseData) {
+    return isConvertible(caseData) ? placedDebtAmount(caseData) : 0;
+}
+
+export function compareBacklogCases(a, b) {
+    return (PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]) ||
+        (b.debtAge - a.debtAge) ||
+        (sortAmount(b) - sortAmount(a)) ||
+        (new Date(a.createdAt) - new Date(b.createdAt));
+}
@@ -0,0 +1,39 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { weightedScoreStrategy } from './weighted-score.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// =============== STRATEGY REGISTRY ===============
+// A strategy is { id, description, score(caseData, dca, load, config), validateConfig(config) }.
+// score() returns { dcaScore, priorityFactor, finalScore, terms }, where terms
+// maps each dcaScore term to { value, weight, contribution } for explanations.
+// Register new ones here; the active config picks one by id.
+const strategies = new Map([
+    [weightedScoreStrategy.id, weightedScoreStrategy]
+]);
+
+export const DEFAULT_ALLOCATION_CONFIG = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'default-config.json'), 'utf8')
+);
+
+export function getStrategy(id) {
+    const strategy = strategies.get(id);
+    if (!strategy) throw new Error(`Unknown allocation strategy: ${id}`);
+    return strategy;
+}
+
+export function listStrategies() {
+    return Array.from(strategies.values()).map(({ id, description }) => ({ id, description }));
+}
+
+export function validateAllocationConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return [{ field: null, code: 'INVALID_BODY', message: 'config must be an object' }];
+    }
+    if (!strategies.has(config.strategy)) {
+        return [{ field: 'strategy', code: 'INVALID_ENUM', message: `strategy must be one of ${Array.from(strategies.keys()).join(', ')}` }];
+    }
+    return getStrategy(config.strategy).validateConfig(config);
+}
@@ -0,0 +1,76 @@
+// =============== WEIGHTED SCORE STRATEGY ===============
+// finalScore = recoveryProbability × dcaScore × priorityFactor, where
+// dcaScore = w1·historical + w2·specialization + w3·geo − w4·load − w5·complianceRisk
+
+const PRIORITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+const WEIGHT_KEYS = ['historicalRecovery', 'specialization', 'geo', 'loadPenalty', 'complianceRisk'];
+
+function specializationMatch(caseData, dca, config) {
+    const rule = config.specializationRules.find(r =>
+        r.priority === caseData.priority && (dca.specialization || []).includes(r.specialization));
+    return rule ? rule.match : config.defaultSpecializationMatch;
+}
+
+export const weightedScoreStrategy = {
+    id: 'weighted-score',
+    description: 'Linear DCA suitability score scaled by recovery probability and business priority',
+
+    score(caseData, dca, load, config) {
+        const w = config.weights;
+
+        const historicalScore = dca.historicalRecoveryRate;
+        const specialization = specializationMatch(caseData, dca, config);
+        const geoMatch = dca.geoRegion === caseData.geoRegion ? config.geoMatch.same : config.geoMatch.different;
+        const loadPenalty = load / dca.capacity;
+        const complianceRisk = 1 - dca.complianceScore;
+
+        // Each term's signed share of dcaScore; penalties subtract
+        const terms = {
+            historicalRecovery: { value: historicalScore, weight: w.historicalRecovery, contribution: w.historicalRecovery * historicalScore },
+            specialization: { value: specialization, weight: w.specialization, contribution: w.specialization * specialization },
+            geo: { value: geoMatch, weight: w.geo, contribution: w.geo * geoMatch },
+            loadPenalty: { value: loadPenalty, weight: w.loadPenalty, contribution: -(w.loadPenalty * loadPenalty) },
+            complianceRisk: { value: complianceRisk, weight: w.complianceRisk, contribution: -(w.complianceRisk * complianceRisk) }
+        };
+        const dcaScore = Object.values(terms).reduce((sum, term) => sum + term.contribution, 0);
+
+        const priorityFactor = config.priorityFactors[caseData.priority] || 1.0;
+        const finalScore = caseData.recoveryProbability * dcaScore * priorityFactor;
+
+        return { dcaScore, priorityFactor, finalScore, terms };
+    },
+
+    // Returns [{ field, code, message }] like the request schemas do
+    validateConfig(config) {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        WEIGHT_KEYS.forEach(key => {
+            if (!config.weights || !isNumber(config.weights[key]) || config.weights[key] < 0) {
+                errors.push({ field: `weights.${key}`, code: 'INVALID_TYPE', message: `weights.${key} must be a non-negative number` });
+            }
+        });
+        PRIORITIES.forEach(priority => {
+            if (!config.priorityFactors || !isNumber(config.priorityFactors[priority]) || config.priorityFactors[priority] <= 0) {
+                errors.push({ field: `priorityFactors.${priority}`, code: 'INVALID_TYPE', message: `priorityFactors.${priority} must be a positive number` });
+            }
+        });
+        if (!Array.isArray(config.specializationRules)) {
+            errors.push({ field: 'specializationRules', code: 'INVALID_TYPE', message: 'specializationRules must be an array' });
+        } else {
+            config.specializationRules.forEach((rule, i) => {
+                if (!PRIORITIES.includes(rule.priority) || typeof rule.specialization !== 'string' || !isNumber(rule.match)) {
+                    errors.push({ field: `specializationRules[${i}]`, code: 'INVALID_RULE', message: 'Each rule needs a priority, a specialization and a numeric match' });
+                }
+            });
+        }
+        if (!isNumber(config.defaultSpecializationMatch)) {
+            errors.push({ field: 'defaultSpecializationMatch', code: 'INVALID_TYPE', message: 'defaultSpecializationMatch must be a number' });
+        }
+        if (!config.geoMatch || !isNumber(config.geoMatch.same) || !isNumber(config.geoMatch.different)) {
+            errors.push({ field: 'geoMatch', code: 'INVALID_TYPE', message: 'geoMatch.same and geoMatch.different must be numbers' });
+        }
+
+        return errors;
+    }
+};
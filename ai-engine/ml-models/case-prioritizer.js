@@ -0,0 +1,249 @@
+import { artifactPath, newModelVersion, readArtifact, writeArtifact } from './model-store.js';
+import { caseCurrency, convertibleCases, formatMoney, REPORTING_CURRENCY, reportingDebtAmount } from '../../services/fx-rates.js';
+
+// =============== CASE PRIORITIZER ===============
+// One priority rule for every server. Each factor is normalised to 0..1,
+// combined with fixed weights into a 0..100 score and mapped to a tier.
+// Age is measured at scoring time (debtAge at ingest plus days since), so
+// re-scoring an open case later lets it climb tiers as it ages. Amounts are
+// compared in the reporting currency at the rate in effect at scoring time.
+
+export const PRIORITY_TIERS = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+export const DEFAULT_PRIORITY_CONFIG = {
+    weights: {
+        amount: 0.35,
+        age: 0.25,
+        recovery: 0.1,
+        slaProximity: 0.15,
+        businessPriority: 0.15
+    },
+    // Minimum score per tier, checked top-down
+    tierThresholds: { CRITICAL: 70, HIGH: 50, MEDIUM: 30 },
+    // Hard rules carried over from the original assessRisk: these cases are
+    // CRITICAL whatever the weighted score says. criticalAmount is in the
+    // reporting currency.
+    criticalAmount: 100000,
+    criticalAgeDays: 180,
+    // Deadlines further out than this do not add urgency
+    slaHorizonHours: 48,
+    // A dispute-intent or strongly negative interaction note, or a broken
+    // payment plan, this recent raises the case one tier
+    signalWindowDays: 14
+};
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+function formatAmount(amount, currency = REPORTING_CURRENCY) {
+    return formatMoney(Math.round(amount), currency);
+}
+
+// Debt as placed, with its reporting-currency value when the two differ
+function describeDebt(caseData, amount) {
+    const currency = caseCurrency(caseData);
+    if (currency === REPORTING_CURRENCY) return formatAmount(amount);
+    return `${formatAmount(Number(caseData.debtAmount) || 0, currency)} (${formatAmount(amount)})`;
+}
+
+// Days the debt has been outstanding at `now`
+export function effectiveAgeDays(caseData, now = new Date()) {
+    const ageAtIngest = Number(caseData.debtAge) || 0;
+    if (!caseData.createdAt) return ageAtIngest;
+    return ageAtIngest + Math.max(0, Math.floor((now - new Date(caseData.createdAt)) / DAY_MS));
+}
+
+// Nearest deadline still ahead of the case: allocation while it waits in the
+// backlog, first action until someone has contacted the debtor, then resolution.
+// A paused SLA clock (disputed or escalated case) has no deadline running.
+function nextSlaDeadline(caseData) {
+    if (caseData.status === 'RECEIVED') {
+        return caseData.allocationSla ? { name: 'allocation', at: caseData.allocationSla.deadline } : null;
+    }
+    if (!caseData.slaDeadlines || caseData.slaDeadlines.pausedAt) return null;
+    if (!(caseData.interactions || []).length) return { name: 'first action', at: caseData.slaDeadlines.firstAction };
+    return { name: 'resolution', at: caseData.slaDeadlines.resolution };
+}
+
+// Most recent interaction whose analysed note signals a dispute or strong
+// negativity, if it falls inside the window
+function recentNoteSignal(caseData, now, windowDays) {
+    const since = now.getTime() - windowDays * DAY_MS;
+    const flagged = (caseData.interactions || [])
+        .filter(i => new Date(i.timestamp).getTime() >= since)
+        .filter(i => (i.intentFlags && i.intentFlags.dispute) || (i.sentiment && i.sentiment.strongNegative))
+        .pop();
+    if (!flagged) return null;
+
+    const what = flagged.intentFlags && flagged.intentFlags.dispute ? 'dispute intent' : 'strongly negative sentiment';
+    return `${what} in ${flagged.type} note on ${flagged.timestamp.slice(0, 10)}`;
+}
+
+// Most recently broken payment plan, if it broke inside the window
+function brokenPlanSignal(caseData, now, windowDays) {
+    const since = now.getTime() - windowDays * DAY_MS;
+    const broken = (caseData.paymentPlans || [])
+        .filter(p => p.status === 'BROKEN' && new Date(p.brokenAt).getTime() >= since)
+        .sort((a, b) => a.brokenAt.localeCompare(b.brokenAt))
+        .pop();
+    if (!broken) return null;
+
+    const what = broken.type === 'PROMISE_TO_PAY' ? 'broken promise to pay' : 'broken installment plan';
+    return `${what} ${broken.planId} on ${broken.brokenAt.slice(0, 10)}`;
+}
+
+// Share of cases each tier should receive when thresholds are fitted
+export const DEFAULT_TIER_SHARES = { CRITICAL: 0.1, HIGH: 0.25, MEDIUM: 0.35, LOW: 0.3 };
+
+export class CasePrioritizer {
+    constructor(config = DEFAULT_PRIORITY_CONFIG, { modelPath = artifactPath('case-prioritizer') } = {}) {
+        this.config = config;
+        this.modelPath = modelPath;
+        this.version = null;
+        this.fitMetrics = null;
+        this.scored = 0;
+        this.tierCounts = Object.fromEntries(PRIORITY_TIERS.map(tier => [tier, 0]));
+    }
+
+    // Uses fitted tier thresholds when an artifact exists, the defaults otherwise
+    async loadModel(modelPath = this.modelPath) {
+        const artifact = readArtifact(modelPath);
+        if (!artifact) return false;
+
+        this.config = { ...DEFAULT_PRIORITY_CONFIG, ...artifact.config };
+        this.version = artifact.version;
+        this.fitMetrics = artifact.metrics;
+        console.log(`🤖 Case prioritizer ${artifact.version} loaded`);
+        return true;
+    }
+
+    saveModel(modelPath = this.modelPath) {
+        return writeArtifact(modelPath, {
+            type: 'weighted-score',
+            version: this.version,
+            trainedAt: new Date().toISOString(),
+            config: this.config,
+            metrics: this.fitMetrics
+        });
+    }
+
+    // Weights stay fixed; tier thresholds are set at score quantiles so the
+    // weighted score splits the cases the hard CRITICAL rules leave open in
+    // the target shares. Cases whose amount cannot be converted are skipped.
+    fit(allCases, { shares = DEFAULT_TIER_SHARES, version = newModelVersion(), now = new Date() } = {}) {
+        const { criticalAmount, criticalAgeDays } = this.config;
+        const { cases, skipped } = convertibleCases(allCases);
+        const open = cases.filter(c => reportingDebtAmount(c, now) <= criticalAmount && effectiveAgeDays(c, now) <= criticalAgeDays);
+        if (!open.length) throw new Error('No cases below the hard CRITICAL thresholds to fit tier thresholds on');
+
+        const scores = open.map(c => this.getPriority(c, now).score).sort((a, b) => b - a);
+        const quantile = share => scores[Math.min(scores.length - 1, Math.max(0, Math.round(share * scores.length) - 1))];
+
+        let cumulative = 0;
+        const tierThresholds = {};
+        ['CRITICAL', 'HIGH', 'MEDIUM'].forEach(tier => {
+            cumulative += shares[tier];
+            tierThresholds[tier] = quantile(cumulative);
+        });
+
+        this.config = { ...this.config, tierThresholds };
+        this.version = version;
+
+        const distribution = Object.fromEntries(PRIORITY_TIERS.map(tier => [tier, 0]));
+        cases.forEach(c => { distribution[this.getPriority(c, now).tier]++; });
+        this.fitMetrics = { samples: cases.length, skippedUnconvertible: skipped.length, fittedOn: open.length, tierThresholds, distribution };
+        return this.fitMetrics;
+    }
+
+    // Returns { score, tier, riskLevel, components, contributions, reasons, scoredAt };
+    // contributions are each factor's points towards the 0-100 score. Side
+    // scorings (shadow comparisons) pass count: false to leave the metrics alone.
+    getPriority(caseData, now = new Date(), { count = true } = {}) {
+        const { weights, tierThresholds, criticalAmount, criticalAgeDays, slaHorizonHours, signalWindowDays } = this.config;
+
+        const amount = reportingDebtAmount(caseData, now);
+        const ageDays = effectiveAgeDays(caseData, now);
+        const recoveryProbability = typeof caseData.recoveryProbability === 'number' ? caseData.recoveryProbability : 0.5;
+        const businessPriority = typeof caseData.businessPriority === 'number' ? caseData.businessPriority : 1.0;
+        const deadline = nextSlaDeadline(caseData);
+        const hoursLeft = deadline ? (new Date(deadline.at) - now) / 3600000 : null;
+
+        const components = {
+            // 1k -> 0, 10k -> 0.5, 100k+ -> 1 (reporting currency)
+            amount: clamp01(Math.log10(Math.max(amount, 1) / 1000) / 2),
+            age: clamp01(ageDays / criticalAgeDays),
+            recovery: clamp01(recoveryProbability),
+            slaProximity: hoursLeft === null ? 0 : clamp01(1 - hoursLeft / slaHorizonHours),
+            // Sampled as a 0.5x..2.0x multiplier upstream
+            businessPriority: clamp01((businessPriority - 0.5) / 1.5)
+        };
+
+        const score = Number((100 * Object.entries(weights)
+            .reduce((sum, [factor, weight]) => sum + weight * components[factor], 0)).toFixed(2));
+
+        let tier = PRIORITY_TIERS.find(t => tierThresholds[t] !== undefined && score >= tierThresholds[t]) || 'LOW';
+
+        const reasons = [];
+        if (amount > criticalAmount) {
+            tier = 'CRITICAL';
+            reasons.push(`Debt amount ${describeDebt(caseData, amount)} exceeds the ${formatAmount(criticalAmount)} critical threshold`);
+        }
+        if (ageDays > criticalAgeDays) {
+            tier = 'CRITICAL';
+            reasons.push(`Debt has been outstanding ${ageDays} days (critical after ${criticalAgeDays})`);
+        }
+
+        const signal = recentNoteSignal(caseData, now, signalWindowDays) || brokenPlanSignal(caseData, now, signalWindowDays);
+        if (signal && tier !== 'CRITICAL') {
+            tier = PRIORITY_TIERS[PRIORITY_TIERS.indexOf(tier) - 1];
+            reasons.push(`Raised one tier: ${signal}`);
+        }
+
+        // Explain the factors that actually moved the score, largest first
+        Object.entries(weights)
+            .map(([factor, weight]) => ({ factor, contribution: 100 * weight * components[factor] }))
+            .filter(({ contribution }) => contribution >= 5)
+            .sort((a, b) => b.contribution - a.contribution)
+            .forEach(({ factor, contribution }) => {
+                const points = `+${contribution.toFixed(1)}`;
+                if (factor === 'amount') reasons.push(`${points}: debt amount ${describeDebt(caseData, amount)}`);
+                if (factor === 'age') reasons.push(`${points}: debt age ${ageDays} days`);
+                if (factor === 'recovery') reasons.push(`${points}: recovery probability ${(recoveryProbability * 100).toFixed(0)}%`);
+                if (factor === 'slaProximity') {
+                    reasons.push(hoursLeft <= 0
+                        ? `${points}: ${deadline.name} SLA deadline already passed`
+                        : `${points}: ${deadline.name} SLA deadline in ${hoursLeft.toFixed(1)}h`);
+                }
+                if (factor === 'businessPriority') reasons.push(`${points}: business priority ${businessPriority}x`);
+            });
+
+        if (count) {
+            this.scored++;
+            this.tierCounts[tier]++;
+        }
+
+        return {
+            score,
+            tier,
+            riskLevel: PRIORITY_TIERS.indexOf(tier),
+            components: Object.fromEntries(Object.entries(components).map(([k, v]) => [k, Number(v.toFixed(4))])),
+            contributions: Object.fromEntries(Object.entries(weights).map(([factor, weight]) => [factor, Number((100 * weight * components[factor]).toFixed(2))])),
+            reasons,
+            scoredAt: now.toISOString()
+        };
+    }
+
+    async getMetrics() {
+        return {
+            status: this.version ? 'fitted' : 'rule-based',
+            version: this.version,
+            weights: this.config.weights,
+            tierThresholds: this.config.tierThresholds,
+            scoresComputed: this.scored,
+            tierDistribution: this.tierCounts
+        };
+    }
+}
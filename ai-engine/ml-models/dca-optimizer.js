@@ -0,0 +1,233 @@
+import { DEFAULT_ALLOCATION_CONFIG, getStrategy } from '../allocation/strategies/index.js';
+
+// =============== DCA OPTIMIZER ===============
+// Scores case → DCA pairings and solves allocation for a whole batch at once.
+// Pair scores come from the allocation strategy named in the config, the same
+// one allocateCaseIntelligently uses, so greedy and batch results compare.
+
+// Score of giving `caseData` to `dca` when the DCA already holds `load` cases
+export function scoreAllocation(caseData, dca, load = dca.currentLoad || 0, config = DEFAULT_ALLOCATION_CONFIG) {
+    return getStrategy(config.strategy).score(caseData, dca, load, config);
+}
+
+function isEligible(caseData, dca) {
+    return !(caseData.excludedDCAs || []).includes(dca.dcaId);
+}
+
+function snapshotLoads(dcas) {
+    return new Map(dcas.map(dca => [dca.dcaId, dca.currentLoad || 0]));
+}
+
+const DEFAULT_CHUNK_SIZE = Number(process.env.OPTIMIZE_CHUNK_SIZE || 100);
+const FORBIDDEN = 1e6;
+
+// One Hungarian solve: slots are rows, cases (plus dummies) are columns
+function solveChunk(cases, dcas, loads, config) {
+    const slots = [];
+    dcas.forEach(dca => {
+        for (let load = loads.get(dca.dcaId); load < dca.capacity; load++) {
+            slots.push({ dca, load });
+        }
+    });
+    if (!cases.length || !slots.length) {
+        return { assignments: [], unassigned: cases.map(c => c.caseId), slots: slots.length };
+    }
+
+    const dummies = Math.max(0, slots.length - cases.length);
+    const cost = slots.map(({ dca, load }) => [
+        ...cases.map(caseData => isEligible(caseData, dca) ? -scoreAllocation(caseData, dca, load, config).finalScore : FORBIDDEN),
+        ...new Array(dummies).fill(0)
+    ]);
+
+    const assignment = solveAssignment(cost);
+    const assignments = [];
+    const taken = new Set();
+
+    assignment.forEach((column, row) => {
+        if (column < 0 || column >= cases.length || cost[row][column] >= FORBIDDEN) return;
+        const { dca, load } = slots[row];
+        taken.add(column);
+        assignments.push({ caseId: cases[column].caseId, dcaId: dca.dcaId, score: -cost[row][column], load });
+    });
+
+    // Report in case order, like greedyBatch
+    const order = new Map(cases.map((c, i) => [c.caseId, i]));
+    assignments.sort((a, b) => order.get(a.caseId) - order.get(b.caseId));
+    return {
+        assignments,
+        unassigned: cases.filter((_, i) => !taken.has(i)).map(c => c.caseId),
+        slots: slots.length
+    };
+}
+
+// Hungarian algorithm (shortest augmenting path, O(n²m)) for an n × m cost
+// matrix with n ≤ m. Returns, for every row, the column assigned to it.
+function solveAssignment(cost) {
+    const n = cost.length;
+    const m = cost[0].length;
+    const u = new Array(n + 1).fill(0);
+    const v = new Array(m + 1).fill(0);
+    const p = new Array(m + 1).fill(0);
+    const way = new Array(m + 1).fill(0);
+
+    for (let i = 1; i <= n; i++) {
+        p[0] = i;
+        let j0 = 0;
+        const minv = new Array(m + 1).fill(Infinity);
+        const used = new Array(m + 1).fill(false);
+
+        do {
+            used[j0] = true;
+            const i0 = p[j0];
+            let delta = Infinity;
+            let j1 = 0;
+
+            for (let j = 1; j <= m; j++) {
+                if (used[j]) continue;
+                const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                if (cur < minv[j]) {
+                    minv[j] = cur;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+
+            for (let j = 0; j <= m; j++) {
+                if (used[j]) {
+                    u[p[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minv[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (p[j0] !== 0);
+
+        do {
+            const j1 = way[j0];
+            p[j0] = p[j1];
+            j0 = j1;
+        } while (j0);
+    }
+
+    const assignment = new Array(n).fill(-1);
+    for (let j = 1; j <= m; j++) {
+        if (p[j]) assignment[p[j] - 1] = j - 1;
+    }
+    return assignment;
+}
+
+export class DCAOptimizer {
+    constructor() {
+        this.lastRun = null;
+    }
+
+    // The optimizer is a solver rather than a trained model; kept for interface parity
+    async loadModel() {
+        return true;
+    }
+
+    // Best single DCA for one case at current loads (what greedy allocation does)
+    optimizeAllocation(caseData, dcaList, config = DEFAULT_ALLOCATION_CONFIG) {
+        const candidates = dcaList
+            .filter(dca => (dca.currentLoad || 0) < dca.capacity && isEligible(caseData, dca))
+            .map(dca => ({ dcaId: dca.dcaId, ...scoreAllocation(caseData, dca, dca.currentLoad || 0, config) }))
+            .sort((a, b) => b.finalScore - a.finalScore);
+
+        return {
+            caseId: caseData.caseId,
+            optimalDCA: candidates.length ? candidates[0].dcaId : null,
+            allocationScore: candidates.length ? candidates[0].finalScore : null,
+            candidates
+        };
+    }
+
+    // Cases are taken one at a time in the given order, each grabbing its best
+    // DCA at the loads left behind by the cases before it
+    greedyBatch(cases, dcas, config = DEFAULT_ALLOCATION_CONFIG) {
+        const loads = snapshotLoads(dcas);
+        const assignments = [];
+        const unassigned = [];
+
+        cases.forEach(caseData => {
+            let best = null;
+            dcas.forEach(dca => {
+                const load = loads.get(dca.dcaId);
+                if (load >= dca.capacity || !isEligible(caseData, dca)) return;
+
+                const { finalScore } = scoreAllocation(caseData, dca, load, config);
+                if (!best || finalScore > best.score) best = { dcaId: dca.dcaId, score: finalScore };
+            });
+
+            if (best) {
+                loads.set(best.dcaId, loads.get(best.dcaId) + 1);
+                assignments.push({ caseId: caseData.caseId, ...best });
+            } else {
+                unassigned.push(caseData.caseId);
+            }
+        });
+
+        return { assignments, unassigned, objective: assignments.reduce((sum, a) => sum + a.score, 0) };
+    }
+
+    // Min-cost assignment over (DCA slot, case) pairs. Each free slot of a DCA
+    // is its own row, scored at the load the DCA would have when that slot is
+    // filled, so the load penalty is priced exactly and capacity can never be
+    // exceeded. Zero-cost dummy columns, only as many as there are slots more
+    // than cases, let a slot stay empty. Cases are solved in chunks of
+    // `chunkSize`, each against the loads the chunks before it left, which
+    // bounds the cost of one solve at O(slots² × max(slots, chunkSize)).
+    optimizeBatch(cases, dcas, config = DEFAULT_ALLOCATION_CONFIG, { chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+        const loads = snapshotLoads(dcas);
+        const assignments = [];
+        const unassigned = [];
+        let slotCount = 0;
+
+        for (let start = 0; start < cases.length; start += chunkSize) {
+            const chunk = cases.slice(start, start + chunkSize);
+            const result = solveChunk(chunk, dcas, loads, config);
+            result.assignments.forEach(a => loads.set(a.dcaId, loads.get(a.dcaId) + 1));
+            assignments.push(...result.assignments);
+            unassigned.push(...result.unassigned);
+            slotCount = Math.max(slotCount, result.slots);
+        }
+
+        const objective = assignments.reduce((sum, a) => sum + a.score, 0);
+        this.lastRun = { at: new Date().toISOString(), cases: cases.length, slots: slotCount, chunkSize, objective };
+
+        return { assignments, unassigned, objective };
+    }
+
+    // Re-plans `cases`, some of which may already hold a slot (allocatedDCA).
+    // Those slots are handed back for planning, but a held case the solver
+    // leaves unassigned would keep its slot in reality; such cases are pinned
+    // to their current DCA and the rest is solved again until none is left
+    // stranded. Returns { optimal, greedy, pinned, dcas } where dcas carries
+    // the loads the plan was priced against.
+    replanBatch(cases, dcas, config = DEFAULT_ALLOCATION_CONFIG, options = {}) {
+        let replan = cases;
+        const pinned = [];
+
+        for (;;) {
+            const planned = dcas.map(dca => ({
+                ...dca,
+                currentLoad: (dca.currentLoad || 0) - replan.filter(c => c.allocatedDCA === dca.dcaId).length
+            }));
+            const optimal = this.optimizeBatch(replan, planned, config, options);
+            const stranded = new Set(optimal.unassigned.filter(caseId => replan.find(c => c.caseId === caseId).allocatedDCA));
+
+            if (!stranded.size) {
+                return { optimal, greedy: this.greedyBatch(replan, planned, config), pinned, dcas: planned };
+            }
+            pinned.push(...stranded);
+            replan = replan.filter(c => !stranded.has(c.caseId));
+        }
+    }
+
+    async getMetrics() {
+        return { solver: 'hungarian-assignment', lastRun: this.lastRun };
+    }
+}
@@ -0,0 +1,55 @@
+// =============== LOGISTIC REGRESSION ===============
+// Batch gradient descent with L2 regularisation on standardised features.
+// Deterministic (zero init, fixed iterations) and small enough to serialise
+// as plain JSON, which keeps model artifacts diffable.
+
+export function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+function columnStats(rows, width) {
+    const means = new Array(width).fill(0);
+    const stds = new Array(width).fill(0);
+    rows.forEach(row => row.forEach((v, j) => { means[j] += v / rows.length; }));
+    rows.forEach(row => row.forEach((v, j) => { stds[j] += ((v - means[j]) ** 2) / rows.length; }));
+    // Constant columns (e.g. a single region) would otherwise divide by ~0
+    return { means, stds: stds.map(s => (Math.sqrt(s) > 1e-9 ? Math.sqrt(s) : 1)) };
+}
+
+// X: number[][], y: 0/1[]. Returns { weights, bias, means, stds }
+export function trainLogistic(X, y, { iterations = 1500, learningRate = 0.1, l2 = 0.01 } = {}) {
+    const width = X[0].length;
+    const { means, stds } = columnStats(X, width);
+    const Z = X.map(row => row.map((v, j) => (v - means[j]) / stds[j]));
+
+    const weights = new Array(width).fill(0);
+    let bias = 0;
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const gradW = new Array(width).fill(0);
+        let gradB = 0;
+
+        Z.forEach((row, i) => {
+            const error = sigmoid(row.reduce((sum, v, j) => sum + v * weights[j], bias)) - y[i];
+            row.forEach((v, j) => { gradW[j] += error * v; });
+            gradB += error;
+        });
+
+        for (let j = 0; j < width; j++) {
+            weights[j] -= learningRate * (gradW[j] / Z.length + l2 * weights[j]);
+        }
+        bias -= learningRate * (gradB / Z.length);
+    }
+
+    return { weights, bias, means, stds };
+}
+
+export function predictLogistic(model, x) {
+    const z = x.reduce((sum, v, j) => sum + ((v - model.means[j]) / model.stds[j]) * model.weights[j], model.bias);
+    return sigmoid(z);
+}
+
+// Per-feature contribution to the log-odds relative to an average case
+export function logisticContributions(model, x) {
+    return x.map((v, j) => ((v - model.means[j]) / model.stds[j]) * model.weights[j]);
+}
@@ -0,0 +1,42 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// =============== MODEL ARTIFACTS ===============
+// Live artifacts sit at MODEL_DIR/<name>.json and are what loadModel() reads.
+// Every training run also keeps its own copy under MODEL_DIR/versions/<version>/
+// so earlier models stay on disk.
+export const MODEL_DIR = process.env.MODEL_DIR || path.join(__dirname, '..', 'models');
+
+export function artifactPath(name, modelDir = MODEL_DIR) {
+    return path.join(modelDir, `${name}.json`);
+}
+
+export function versionDir(version, modelDir = MODEL_DIR) {
+    return path.join(modelDir, 'versions', version);
+}
+
+export function readArtifact(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+export function writeArtifact(filePath, artifact) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(artifact, null, 2));
+    fs.renameSync(tmpPath, filePath);
+    return filePath;
+}
+
+// Sortable, filesystem-safe version label: 20261019T181553. Labels only go
+// down to the second; pass `taken` to get 20261019T181553-2 (and so on)
+// instead of a label that is already in use.
+export function newModelVersion(now = new Date(), taken = () => false) {
+    const base = now.toISOString().replace(/[-:]/g, '').slice(0, 15);
+    let version = base;
+    for (let n = 2; taken(version); n++) version = `${base}-${n}`;
+    return version;
+}
@@ -0,0 +1,28 @@
+// =============== RECOVERY HEURISTIC ===============
+// The original closed-form recovery estimate. Without an rng it is
+// deterministic, as the live fallback must be; the allocation simulator passes
+// a seeded generator to add ±7.5% noise that still repeats run to run.
+export function calculateRecoveryProbability(amount, age, rng = null) {
+    return explainRecoveryHeuristic(amount, age, rng).probability;
+}
+
+// Same estimate split into additive parts: starting from certain recovery,
+// age and amount each take their share off, then any noise and the 0.2–1 clamp.
+export function explainRecoveryHeuristic(amount, age, rng = null) {
+    // P(recovery) = (1 - age_factor) * (1 - amount_factor) [+ noise]
+    const ageFactor = Math.min(age / 360, 0.5); // Max 50% reduction from age
+    const amountFactor = Math.min(amount / 500000, 0.4); // Max 40% reduction from amount
+    const base = (1 - ageFactor) * (1 - amountFactor);
+    const noise = rng ? (rng() * 0.15 - 0.075) : 0; // ±7.5% noise
+    const probability = Math.max(0.2, Math.min(1, base + noise));
+
+    const factors = [
+        { feature: 'debtAge', value: age, contribution: -ageFactor },
+        { feature: 'debtAmount', value: amount, contribution: -amountFactor * (1 - ageFactor) }
+    ];
+    if (rng) factors.push({ feature: 'noise', value: null, contribution: noise });
+    if (probability !== base + noise) {
+        factors.push({ feature: 'clamp', value: null, contribution: probability - (base + noise) });
+    }
+    return { probability, baseline: 1, factors };
+}
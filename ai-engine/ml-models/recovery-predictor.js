@@ -0,0 +1,160 @@
+import { trainLogistic, predictLogistic, logisticContributions } from './logistic-regression.js';
+import { explainRecoveryHeuristic } from './recovery-heuristic.js';
+import { artifactPath, newModelVersion, readArtifact, writeArtifact } from './model-store.js';
+import { placedDebtAmount } from '../../services/fx-rates.js';
+
+const BASE_FEATURES = ['logDebtAmount', 'debtAgeYears', 'interactionCount', 'successfulContacts', 'pastPaymentScore', 'customerRating'];
+
+// =============== FEATURES ===============
+// Amounts are in the reporting currency (see services/fx-rates.js)
+export function extractRecoveryFeatures(caseData, regions = []) {
+    const interactions = caseData.interactions || [];
+    const features = {
+        logDebtAmount: Math.log1p(placedDebtAmount(caseData)),
+        debtAgeYears: (Number(caseData.debtAge) || 0) / 365,
+        interactionCount: interactions.length,
+        successfulContacts: interactions.filter(i => i.result === 'SUCCESS').length,
+        pastPaymentScore: typeof caseData.pastPaymentScore === 'number' ? caseData.pastPaymentScore : 0.5,
+        customerRating: typeof caseData.customerRating === 'number' ? caseData.customerRating : 0.5
+    };
+    regions.forEach(region => {
+        features[`region:${region}`] = caseData.geoRegion === region ? 1 : 0;
+    });
+    return features;
+}
+
+// 1 = money came back, 0 = closed without recovery, null = still open.
+// Synthetic training rows carry their label directly.
+export function recoveryLabel(caseData) {
+    if (caseData.recoveryLabel === 0 || caseData.recoveryLabel === 1) return caseData.recoveryLabel;
+    // A debt cancelled by an upheld dispute was never owed, so it says nothing about recovery
+    if (caseData.resolutionType === 'CANCELLED') return null;
+    if (caseData.status === 'WRITTEN_OFF') return 0;
+    if (caseData.status === 'RESOLVED') return caseData.recoveredAmount > 0 ? 1 : 0;
+    return null;
+}
+
+function round4(value) {
+    return Number(value.toFixed(4));
+}
+
+function rankFactors(factors) {
+    return factors
+        .map(({ feature, value, contribution }) => ({ feature, value: typeof value === 'number' ? round4(value) : value, contribution: round4(contribution) }))
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+}
+
+// =============== RECOVERY PREDICTOR ===============
+// Logistic regression over case features, trained on closed cases. Until a
+// model has been trained (or when one cannot be loaded) predictions fall back
+// to the original heuristic so ingest never stalls.
+export class RecoveryPredictor {
+    constructor({ modelPath = artifactPath('recovery-predictor'), minSamples = 20 } = {}) {
+        this.modelPath = modelPath;
+        this.minSamples = minSamples;
+        this.model = null;
+    }
+
+    async loadModel(modelPath = this.modelPath) {
+        const model = readArtifact(modelPath);
+        if (!model) {
+            console.log('ℹ️  No trained recovery model found; using heuristic recovery estimates');
+            return false;
+        }
+
+        this.model = model;
+        console.log(`🤖 Recovery model ${this.model.version} loaded (${this.model.metrics.samples} training samples)`);
+        return true;
+    }
+
+    saveModel(modelPath = this.modelPath) {
+        return writeArtifact(modelPath, this.model);
+    }
+
+    // Returns the trained model, or throws when there is not enough labelled data
+    train(cases, options = {}) {
+        const labelled = cases.filter(c => recoveryLabel(c) !== null);
+        const y = labelled.map(recoveryLabel);
+        const positives = y.filter(v => v === 1).length;
+
+        if (labelled.length < this.minSamples || positives === 0 || positives === labelled.length) {
+            const err = new Error(`Need at least ${this.minSamples} closed cases with both outcomes (have ${labelled.length}, ${positives} recovered)`);
+            err.code = 'INSUFFICIENT_TRAINING_DATA';
+            throw err;
+        }
+
+        const regions = [...new Set(labelled.map(c => c.geoRegion).filter(Boolean))].sort();
+        const featureNames = [...BASE_FEATURES, ...regions.map(r => `region:${r}`)];
+        const X = labelled.map(c => {
+            const features = extractRecoveryFeatures(c, regions);
+            return featureNames.map(name => features[name]);
+        });
+
+        const fitted = trainLogistic(X, y, options);
+
+        let correct = 0;
+        let logLoss = 0;
+        X.forEach((x, i) => {
+            const p = Math.min(1 - 1e-9, Math.max(1e-9, predictLogistic(fitted, x)));
+            if ((p >= 0.5 ? 1 : 0) === y[i]) correct++;
+            logLoss -= y[i] * Math.log(p) + (1 - y[i]) * Math.log(1 - p);
+        });
+
+        this.model = {
+            type: 'logistic-regression',
+            version: options.version || newModelVersion(),
+            trainedAt: new Date().toISOString(),
+            features: featureNames,
+            regions,
+            ...fitted,
+            metrics: {
+                samples: labelled.length,
+                positives,
+                trainingAccuracy: Number((correct / X.length).toFixed(4)),
+                trainingLogLoss: Number((logLoss / X.length).toFixed(4))
+            }
+        };
+        return this.model;
+    }
+
+    // attribution breaks the estimate into per-feature contributions: log-odds
+    // against an average training case for the model, probability points
+    // against certain recovery for the heuristic. Largest effect first.
+    predict(caseData) {
+        if (!this.model) {
+            const { probability, baseline, factors } = explainRecoveryHeuristic(placedDebtAmount(caseData), Number(caseData.debtAge));
+            return {
+                recoveryProbability: probability,
+                source: 'heuristic',
+                modelVersion: null,
+                attribution: { scale: 'probability', baseline, factors: rankFactors(factors) }
+            };
+        }
+
+        const features = extractRecoveryFeatures(caseData, this.model.regions);
+        const x = this.model.features.map(name => features[name]);
+        const contributions = logisticContributions(this.model, x);
+        return {
+            recoveryProbability: predictLogistic(this.model, x),
+            source: 'model',
+            modelVersion: this.model.version,
+            attribution: {
+                scale: 'log-odds',
+                baseline: round4(this.model.bias),
+                factors: rankFactors(this.model.features.map((feature, j) => ({ feature, value: x[j], contribution: contributions[j] })))
+            }
+        };
+    }
+
+    async getMetrics() {
+        if (!this.model) return { status: 'heuristic', model: null };
+        return {
+            status: 'trained',
+            model: this.model.type,
+            version: this.model.version,
+            trainedAt: this.model.trainedAt,
+            features: this.model.features,
+            ...this.model.metrics
+        };
+    }
+}
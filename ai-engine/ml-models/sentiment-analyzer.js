@@ -0,0 +1,266 @@
+import nlp from 'compromise';
+import { artifactPath, newModelVersion, readArtifact, writeArtifact } from './model-store.js';
+
+// =============== SENTIMENT ANALYZER ===============
+// Lexicon scoring over compromise's tokens. Words are looked up by their root
+// form ("refused" -> "refuse"), intensifiers scale the next sentiment word and
+// a negation ("not", "never", "can't") acts on words up to three tokens after
+// it within the same clause: a positive word turns negative ("not happy"),
+// while a negative one only drops out ("not rude" and "do not dispute" are
+// not praise). The summed valence is squashed to -1..1.
+
+const LEXICON = {
+    // positive
+    agree: 1.5, appreciate: 2, committed: 1.5, cooperative: 2, excellent: 3, friendly: 2,
+    glad: 2, good: 2, grateful: 2, great: 3, happy: 2, helpful: 2, pleased: 2, polite: 1.5,
+    positive: 2, promise: 1, resolve: 1.5, resolved: 2, satisfied: 2, settle: 1, thank: 2,
+    thanks: 2, understanding: 1.5, willing: 1.5,
+    // negative
+    abusive: -3, aggressive: -2.5, angry: -3, annoyed: -2, awful: -3, bad: -2, complain: -2,
+    complaint: -2, disappointed: -2, dispute: -1.5, frustrated: -2, fraud: -3, harass: -3,
+    harassment: -3, hostile: -3, ignore: -1.5, lawyer: -1.5, poor: -2, refuse: -2, rude: -2.5,
+    scam: -3, stress: -1.5, stressed: -1.5, struggle: -1.5, terrible: -3, threaten: -3,
+    threatening: -3, unhappy: -2, unwilling: -2, upset: -2, worried: -1.5, wrong: -1.5
+};
+
+const INTENSIFIERS = {
+    absolutely: 1.5, completely: 1.5, extremely: 1.5, highly: 1.5, really: 1.3, so: 1.3,
+    totally: 1.5, very: 1.5, fairly: 0.7, slightly: 0.6, somewhat: 0.7
+};
+
+const NEGATION_WINDOW = 3;
+const NEGATION_SCALE = -0.75;
+const NORMALIZATION_ALPHA = 15;
+
+// compromise match syntax; {word} matches every inflection of word
+const INTENT_PATTERNS = {
+    hardship: [
+        '#Negative {afford}',
+        // Inability, not refusal: "won't pay" is not hardship
+        '(can|could) #Negative {pay}',
+        'unable to {pay}',
+        '{lose} #Possessive? (job|income|work|business|home)',
+        // "lost" is often tagged as an adjective, which {lose} does not match
+        '(lost|losing) #Possessive? (job|income|work|business|home)',
+        'out of (work|a job|job|employment)',
+        '{lay} off',
+        '(unemployed|redundant|bankrupt|bankruptcy|insolvent|insolvency)',
+        '(medical|hospital|illness|sick|surgery|bereavement|funeral)',
+        'financial (hardship|difficulty|difficulties|trouble|problems)',
+        '(hardship|struggling)'
+    ],
+    dispute: [
+        '{dispute}',
+        '{contest}',
+        '#Negative {receive}',
+        '#Negative (mine|my debt|my account|my invoice|my order)',
+        '#Negative {order}',
+        'already {pay}',
+        '(wrong|incorrect) (amount|charge|invoice|bill)',
+        '(fraud|fraudulent|unauthorized|unauthorised|overcharged)'
+    ]
+};
+
+export const DEFAULT_SENTIMENT_THRESHOLDS = { positive: 0.2, negative: -0.2, strongNegative: -0.5 };
+
+function termKey(term) {
+    return term.root || term.normal;
+}
+
+function isNegation(term) {
+    return term.tags.includes('Negative');
+}
+
+// Clause boundaries stop negation and intensifiers from leaking forward
+function endsClause(term) {
+    return /[,;:.!?]/.test(term.post || '');
+}
+
+function scoreSentence(terms) {
+    let sum = 0;
+    let negateFor = 0;
+    let boost = 1;
+    const hits = [];
+
+    terms.forEach(term => {
+        const key = termKey(term);
+
+        if (isNegation(term)) {
+            negateFor = NEGATION_WINDOW;
+        } else if (INTENSIFIERS[key]) {
+            boost *= INTENSIFIERS[key];
+        } else if (LEXICON[key] !== undefined || LEXICON[term.normal] !== undefined) {
+            let valence = (LEXICON[key] ?? LEXICON[term.normal]) * boost;
+            if (negateFor > 0) valence = valence > 0 ? valence * NEGATION_SCALE : 0;
+            sum += valence;
+            hits.push({ word: term.normal, valence: Number(valence.toFixed(2)) });
+            boost = 1;
+        }
+
+        if (negateFor > 0 && !isNegation(term)) negateFor--;
+        if (endsClause(term)) {
+            negateFor = 0;
+            boost = 1;
+        }
+    });
+
+    return { sum, hits };
+}
+
+function findIntents(doc, sentences) {
+    const intents = {};
+    Object.entries(INTENT_PATTERNS).forEach(([intent, patterns]) => {
+        const phrases = new Set();
+        patterns.forEach(pattern => {
+            doc.match(pattern).json().forEach(match => {
+                const [s, t] = match.terms[0].index;
+                const end = match.terms[match.terms.length - 1].index[1];
+                // "does not dispute" is not a dispute; patterns that start with
+                // the negation themselves are exempt. Like scoring, a negation
+                // does not reach across a clause boundary ("cannot pay, lost job").
+                const window = sentences[s].slice(Math.max(0, t - 2), t);
+                const boundary = window.map(endsClause).lastIndexOf(true);
+                const preceding = window.slice(boundary + 1);
+                if (!pattern.startsWith('#Negative') && preceding.some(isNegation)) return;
+
+                // The "n't" of a contraction is an empty term; keep its host word
+                const start = !sentences[s][t].text && t > 0 ? t - 1 : t;
+                const text = sentences[s].slice(start, end + 1).map(term => term.text).filter(Boolean).join(' ');
+                phrases.add(text.replace(/[,;:.!?]+$/, '').toLowerCase());
+            });
+        });
+        intents[intent] = Array.from(phrases);
+    });
+    return intents;
+}
+
+function keyPhrases(doc, limit = 5) {
+    const phrases = doc.nouns().not('#Pronoun').json()
+        .map(noun => noun.text.replace(/[^\w\s'-]+/g, '').trim().toLowerCase())
+        .filter(text => text.length > 2);
+    return Array.from(new Set(phrases)).slice(0, limit);
+}
+
+function labelFor(score, thresholds) {
+    if (score >= thresholds.positive) return 'POSITIVE';
+    if (score <= thresholds.negative) return 'NEGATIVE';
+    return 'NEUTRAL';
+}
+
+export class SentimentAnalyzer {
+    constructor({ modelPath = artifactPath('sentiment-analyzer') } = {}) {
+        this.modelPath = modelPath;
+        this.thresholds = { ...DEFAULT_SENTIMENT_THRESHOLDS };
+        this.version = null;
+        this.fitMetrics = null;
+        this.analyzed = 0;
+        this.distribution = { POSITIVE: 0, NEUTRAL: 0, NEGATIVE: 0 };
+        this.intentCounts = Object.fromEntries(Object.keys(INTENT_PATTERNS).map(intent => [intent, 0]));
+    }
+
+    // The lexicon is fixed; an artifact only carries fitted label thresholds
+    async loadModel(modelPath = this.modelPath) {
+        const artifact = readArtifact(modelPath);
+        if (!artifact) return false;
+
+        this.thresholds = { ...DEFAULT_SENTIMENT_THRESHOLDS, ...artifact.thresholds };
+        this.version = artifact.version;
+        this.fitMetrics = artifact.metrics;
+        console.log(`🤖 Sentiment analyzer ${artifact.version} loaded`);
+        return true;
+    }
+
+    saveModel(modelPath = this.modelPath) {
+        return writeArtifact(modelPath, {
+            type: 'lexicon',
+            version: this.version,
+            trainedAt: new Date().toISOString(),
+            lexiconSize: Object.keys(LEXICON).length,
+            thresholds: this.thresholds,
+            metrics: this.fitMetrics
+        });
+    }
+
+    // notes: [{ text, sentiment, hardship, dispute }]. Grid-searches the
+    // POSITIVE/NEGATIVE cut-offs for label accuracy and reports intent accuracy.
+    fit(notes, { version = newModelVersion() } = {}) {
+        const scored = notes.map(note => {
+            const doc = nlp(String(note.text || '')).compute('root');
+            const sentences = doc.json().map(sentence => sentence.terms);
+            const sum = sentences.reduce((total, sentence) => total + scoreSentence(sentence).sum, 0);
+            const flags = findIntents(doc, sentences);
+            return { note, score: sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA), flags };
+        });
+
+        let best = { accuracy: -1 };
+        for (let p = 0.05; p <= 0.6001; p += 0.05) {
+            for (let n = -0.05; n >= -0.6001; n -= 0.05) {
+                const thresholds = { positive: Number(p.toFixed(2)), negative: Number(n.toFixed(2)) };
+                const correct = scored.filter(s => labelFor(s.score, thresholds) === s.note.sentiment).length;
+                const accuracy = correct / scored.length;
+                if (accuracy > best.accuracy) best = { accuracy, thresholds };
+            }
+        }
+
+        const intentAccuracy = intent => scored
+            .filter(s => (s.flags[intent].length > 0) === Boolean(s.note[intent])).length / scored.length;
+
+        this.thresholds = { ...this.thresholds, ...best.thresholds };
+        this.version = version;
+        this.fitMetrics = {
+            samples: scored.length,
+            sentimentAccuracy: Number(best.accuracy.toFixed(4)),
+            hardshipAccuracy: Number(intentAccuracy('hardship').toFixed(4)),
+            disputeAccuracy: Number(intentAccuracy('dispute').toFixed(4))
+        };
+        return this.fitMetrics;
+    }
+
+    // Returns { sentiment, score, strongNegative, keyPhrases, intents, flags, terms }
+    analyze(text = '') {
+        const doc = nlp(String(text || '')).compute('root');
+        const sentences = doc.json().map(sentence => sentence.terms);
+
+        let sum = 0;
+        const terms = [];
+        sentences.forEach(sentence => {
+            const scored = scoreSentence(sentence);
+            sum += scored.sum;
+            terms.push(...scored.hits);
+        });
+
+        const score = Number((sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA)).toFixed(4));
+        const sentiment = labelFor(score, this.thresholds);
+        const intents = findIntents(doc, sentences);
+        const flags = {
+            hardship: intents.hardship.length > 0,
+            dispute: intents.dispute.length > 0
+        };
+
+        this.analyzed++;
+        this.distribution[sentiment]++;
+        Object.keys(flags).forEach(intent => { if (flags[intent]) this.intentCounts[intent]++; });
+
+        return {
+            sentiment,
+            score,
+            strongNegative: score <= this.thresholds.strongNegative,
+            keyPhrases: keyPhrases(doc),
+            intents,
+            flags,
+            terms
+        };
+    }
+
+    async getMetrics() {
+        return {
+            status: this.version ? 'fitted' : 'lexicon',
+            version: this.version,
+            lexiconSize: Object.keys(LEXICON).length,
+            thresholds: this.thresholds,
+            textsAnalyzed: this.analyzed,
+            distribution: this.distribution,
+            intents: this.intentCounts
+        };
+    }
+}
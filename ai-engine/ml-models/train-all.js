@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateSyntheticNotes } from '../simulation/synthetic-data.js';
+import { DATA_SOURCES, hashTrainingData, loadCases } from './training-data.js';
+import { RecoveryPredictor, recoveryLabel } from './recovery-predictor.js';
+import { CasePrioritizer } from './case-prioritizer.js';
+import { SentimentAnalyzer } from './sentiment-analyzer.js';
+import { MODEL_DIR, writeArtifact } from './model-store.js';
+import { ModelRegistry } from '../model-serving/model-registry.js';
+import { isHeldOut } from '../utils/holdout.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Usage:
+//   npm run train-models                                   synthetic data, seed 42
+//   npm run train-models -- --n 5000 --seed 7
+//   npm run train-models -- --source store [--data-dir ./data]
+//   npm run train-models -- --source file --cases exported-cases.json
+//   npm run train-models -- --dump-data ./training-split   also write the exact records used
+// Sentiment thresholds are always fitted on synthetic notes: stored
+// interactions carry no sentiment labels. Records in the hold-out split are
+// never trained on; `npm run test-models` scores the models on them.
+// Each run is registered as a new version; a model only goes live by itself
+// when nothing is in production yet (see `npm run models`).
+function parseArgs(argv) {
+    const args = {
+        source: 'synthetic',
+        n: 1000,
+        notes: 300,
+        seed: 42,
+        modelDir: MODEL_DIR,
+        dataDir: process.env.DCA_DATA_DIR || path.join(__dirname, '..', '..', 'data')
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--source') args.source = argv[++i];
+        else if (arg === '--cases') args.casesFile = argv[++i];
+        else if (arg === '--data-dir') args.dataDir = argv[++i];
+        else if (arg === '--n') args.n = Number(argv[++i]);
+        else if (arg === '--notes') args.notes = Number(argv[++i]);
+        else if (arg === '--seed') args.seed = Number(argv[++i]);
+        else if (arg === '--model-dir') args.modelDir = argv[++i];
+        else if (arg === '--version') args.version = argv[++i];
+        else if (arg === '--dump-data') args.dumpDir = argv[++i];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!DATA_SOURCES.includes(args.source)) {
+        throw new Error(`--source must be one of ${DATA_SOURCES.join(', ')} (got ${args.source})`);
+    }
+    if (args.source === 'file' && !args.casesFile) throw new Error('--source file needs --cases <file>');
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const registry = new ModelRegistry({ modelDir: args.modelDir });
+    const version = args.version || registry.newVersion();
+    const allCases = loadCases(args);
+    const cases = allCases.filter(c => !isHeldOut(c.caseId));
+    const closed = cases.filter(c => recoveryLabel(c) !== null);
+    console.log(`📦 ${cases.length} training cases from ${args.source} (${closed.length} with a recovery outcome, ${allCases.length - cases.length} held out)`);
+
+    const recoveryPredictor = new RecoveryPredictor();
+    const recoveryModel = recoveryPredictor.train(closed, { version });
+
+    // The prioritizer scores recovery probability, so fit it on predicted values
+    const prioritizer = new CasePrioritizer();
+    const scoredCases = cases.map(c => ({ ...c, recoveryProbability: recoveryPredictor.predict(c).recoveryProbability }));
+    const priorityMetrics = prioritizer.fit(scoredCases, { version });
+
+    const allNotes = generateSyntheticNotes({ n: args.notes, seed: args.seed });
+    const notes = allNotes.filter(note => !isHeldOut(note.noteId));
+    const sentimentAnalyzer = new SentimentAnalyzer();
+    const sentimentMetrics = sentimentAnalyzer.fit(notes, { version });
+
+    // The split exactly as used, whatever the source: train-cases.json is what
+    // the prioritizer was fitted on (the recovery model took its closed cases)
+    // and train-notes.json what the analyzer was fitted on
+    if (args.dumpDir) {
+        writeArtifact(path.join(args.dumpDir, 'train-cases.json'), cases);
+        writeArtifact(path.join(args.dumpDir, 'held-out-cases.json'), allCases.filter(c => isHeldOut(c.caseId)));
+        writeArtifact(path.join(args.dumpDir, 'train-notes.json'), notes);
+        console.log(`📝 Training split written to ${args.dumpDir}`);
+    }
+
+    const models = {
+        'recovery-predictor': { model: recoveryPredictor, dataHash: hashTrainingData(closed), samples: closed.length, metrics: recoveryModel.metrics },
+        'case-prioritizer': { model: prioritizer, dataHash: hashTrainingData(cases), samples: cases.length, metrics: priorityMetrics },
+        'sentiment-analyzer': { model: sentimentAnalyzer, dataHash: hashTrainingData(notes), samples: notes.length, metrics: sentimentMetrics }
+    };
+    const promoted = registry.addVersion({
+        version,
+        source: args.source,
+        seed: args.source === 'synthetic' ? args.seed : null,
+        models
+    }, 'train-models');
+
+    console.log(`✅ Models ${version} written to ${args.modelDir}`);
+    Object.keys(models).forEach(name => {
+        console.log(promoted.includes(name)
+            ? `   ${name}: promoted to production (nothing was live)`
+            : `   ${name}: candidate; npm run models -- promote ${name} ${version}`);
+    });
+    console.log(JSON.stringify(Object.fromEntries(Object.entries(models).map(([name, { metrics }]) => [name, metrics])), null, 2));
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+}
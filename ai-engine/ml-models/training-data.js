@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { readJournal, journalPath } from '../../services/store.js';
+import { generateSyntheticCases, toCaseRecord } from '../simulation/synthetic-data.js';
+
+export const DATA_SOURCES = ['synthetic', 'store', 'file'];
+
+// Cases for training and evaluation, in the platform's case shape.
+//   synthetic  Sampledb-style rows from the seeded generator
+//   store      the API's journal under dataDir, read without modifying it
+//   file       a bare array or the { cases } body of GET /api/cases
+export function loadCases({ source = 'synthetic', n = 1000, seed = 42, dataDir, casesFile }) {
+    if (source === 'synthetic') {
+        return generateSyntheticCases({ n, seed }).map(toCaseRecord);
+    }
+    if (source === 'store') {
+        const cases = readJournal(journalPath(dataDir)).get('cases');
+        return cases ? Array.from(cases.values()) : [];
+    }
+    if (source === 'file') {
+        const parsed = JSON.parse(fs.readFileSync(casesFile, 'utf8'));
+        return Array.isArray(parsed) ? parsed : parsed.cases || [];
+    }
+    throw new Error(`Unknown data source: ${source} (expected ${DATA_SOURCES.join(', ')})`);
+}
+
+// Fingerprint of the exact records a model was trained on, kept in the registry
+export function hashTrainingData(records) {
+    return crypto.createHash('sha256').update(JSON.stringify(records)).digest('hex');
+}
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { recoveryLabel } from '../ml-models/recovery-predictor.js';
+import { MODEL_DIR, newModelVersion, readArtifact, writeArtifact } from '../ml-models/model-store.js';
+import { binaryMetrics, multiclassMetrics } from '../utils/classification-metrics.js';
+import { isHeldOut } from '../utils/holdout.js';
+import { PRIORITY_TIERS } from '../ml-models/case-prioritizer.js';
+import { convertibleCases } from '../../services/fx-rates.js';
+
+// =============== MODEL EVALUATION ===============
+// Scores the loaded models on the hold-out split only (see utils/holdout.js),
+// so numbers are never computed on data the models were trained on. Sentiment
+// is scored on hand-labelled notes (labelled-notes.json) written apart from
+// the synthetic note templates the analyzer is fitted on. Each run is kept as
+// MODEL_DIR/evaluations/<runId>.json.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export function loadLabelledNotes(filePath = path.join(__dirname, 'labelled-notes.json')) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+export function evaluationDir(modelDir = MODEL_DIR) {
+    return path.join(modelDir, 'evaluations');
+}
+
+function evaluateRecovery(predictor, cases) {
+    const labelled = cases.filter(c => recoveryLabel(c) !== null);
+    if (!labelled.length) return null;
+
+    const actual = labelled.map(recoveryLabel);
+    const probabilities = labelled.map(c => predictor.predict(c).recoveryProbability);
+    return binaryMetrics(actual, probabilities);
+}
+
+// There is no ground-truth priority to score against (recovery outcome is a
+// different question), so the prioritizer is only described: how the
+// held-out cases spread over the tiers. Runs and summaries say so outright,
+// so the distribution is never read as an accuracy figure.
+export const PRIORITY_NOT_EVALUATED = 'No labelled priority tiers to grade against; only the tier distribution of held-out cases is reported';
+
+function describePriority(prioritizer, predictor, cases) {
+    const { cases: scorable } = convertibleCases(cases);
+    if (!scorable.length) return { evaluated: false, reason: PRIORITY_NOT_EVALUATED };
+
+    const distribution = Object.fromEntries(PRIORITY_TIERS.map(tier => [tier, 0]));
+    scorable.forEach(c => {
+        const { tier } = prioritizer.getPriority({
+            ...c,
+            recoveryProbability: typeof c.recoveryProbability === 'number' ? c.recoveryProbability : predictor.predict(c).recoveryProbability
+        });
+        distribution[tier]++;
+    });
+
+    return { evaluated: false, reason: PRIORITY_NOT_EVALUATED, samples: scorable.length, distribution };
+}
+
+function evaluateSentiment(analyzer, notes) {
+    if (!notes.length) return null;
+
+    const results = notes.map(note => analyzer.analyze(note.text));
+    const intent = name => {
+        const { confusionMatrix, accuracy, precision, recall, f1Score, support } = binaryMetrics(
+            notes.map(note => (note[name] ? 1 : 0)),
+            results.map(r => (r.flags[name] ? 1 : 0))
+        );
+        return { confusionMatrix, accuracy, precision, recall, f1Score, support };
+    };
+
+    return {
+        ...multiclassMetrics(notes.map(n => n.sentiment), results.map(r => r.sentiment), ['POSITIVE', 'NEUTRAL', 'NEGATIVE']),
+        intents: { hardship: intent('hardship'), dispute: intent('dispute') }
+    };
+}
+
+// cases may be the full data set; only held-out records are scored. notes are
+// hand-labelled and never used for fitting, so all of them are scored.
+// candidate: registry version being tried out instead of production, if any
+export function evaluateModels({ cases, notes = loadLabelledNotes(), recoveryPredictor, casePrioritizer, sentimentAnalyzer, source = 'synthetic', seed = null, candidate = null }) {
+    const heldOutCases = cases.filter(c => isHeldOut(c.caseId));
+    const recoveryModel = recoveryPredictor.model;
+
+    return {
+        runId: newModelVersion(),
+        evaluatedAt: new Date().toISOString(),
+        source,
+        seed,
+        candidate,
+        heldOut: { cases: heldOutCases.length, notes: notes.length },
+        models: {
+            recoveryPredictor: {
+                version: recoveryModel ? recoveryModel.version : null,
+                source: recoveryModel ? 'model' : 'heuristic',
+                ...evaluateRecovery(recoveryPredictor, heldOutCases)
+            },
+            casePrioritizer: {
+                version: casePrioritizer.version,
+                ...describePriority(casePrioritizer, recoveryPredictor, heldOutCases)
+            },
+            sentimentAnalyzer: {
+                version: sentimentAnalyzer.version,
+                ...evaluateSentiment(sentimentAnalyzer, notes)
+            }
+        }
+    };
+}
+
+export function saveEvaluationRun(run, modelDir = MODEL_DIR) {
+    return writeArtifact(path.join(evaluationDir(modelDir), `${run.runId}.json`), run);
+}
+
+// Run ids sort chronologically, so the last production run is the latest
+export function latestEvaluation(modelDir = MODEL_DIR) {
+    const dir = evaluationDir(modelDir);
+    if (!fs.existsSync(dir)) return null;
+
+    const runs = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort().reverse();
+    for (const file of runs) {
+        const run = readArtifact(path.join(dir, file));
+        if (!run.candidate) return run;
+    }
+    return null;
+}
+
+// Headline numbers for the metrics endpoints; the full run has the matrices.
+// `evaluated` tells graded models from described ones (runs saved before the
+// flag existed carry no reason for the prioritizer, so it is filled in here).
+export function summarizeEvaluation(run) {
+    if (!run) return null;
+
+    const pick = (metrics, fields) => Object.fromEntries(fields.map(field => [field, metrics[field] ?? null]));
+    const graded = metrics => typeof metrics.accuracy === 'number';
+    const { recoveryPredictor, casePrioritizer, sentimentAnalyzer } = run.models;
+
+    return {
+        runId: run.runId,
+        evaluatedAt: run.evaluatedAt,
+        source: run.source,
+        candidate: run.candidate ?? null,
+        heldOut: run.heldOut,
+        recoveryPredictor: {
+            evaluated: graded(recoveryPredictor),
+            ...pick(recoveryPredictor, ['version', 'samples', 'accuracy', 'precision', 'recall', 'f1Score', 'auc', 'brierScore'])
+        },
+        casePrioritizer: {
+            evaluated: false,
+            reason: PRIORITY_NOT_EVALUATED,
+            ...pick(casePrioritizer, ['version', 'samples', 'distribution'])
+        },
+        sentimentAnalyzer: {
+            evaluated: graded(sentimentAnalyzer),
+            ...pick(sentimentAnalyzer, ['version', 'samples', 'accuracy', 'macroF1']),
+            hardshipF1: sentimentAnalyzer.intents ? sentimentAnalyzer.intents.hardship.f1Score : null,
+            disputeF1: sentimentAnalyzer.intents ? sentimentAnalyzer.intents.dispute.f1Score : null
+        }
+    };
+}
@@ -0,0 +1,122 @@
+// =============== DECISION EXPLANATIONS ===============
+// Builds the per-term breakdown of a case's recovery estimate, priority and
+// DCA allocation from what was stored when each decision was made, so the
+// explanation stays true to the decision even after models or configs change.
+
+const TERM_LABELS = {
+    historicalRecovery: 'Historical recovery rate',
+    specialization: 'Specialization match',
+    geo: 'Geographic match',
+    loadPenalty: 'Load penalty',
+    complianceRisk: 'Compliance risk'
+};
+
+const ALLOCATION_FORMULA = 'finalScore = recoveryProbability × dcaScore × priorityFactor, dcaScore = sum of term contributions';
+
+function round(value, decimals = 4) {
+    return Number(value.toFixed(decimals));
+}
+
+// Compact form of a strategy score() result, as stored in allocationCandidates
+export function allocationCandidate(dcaId, result) {
+    return {
+        dcaId,
+        dcaScore: round(result.dcaScore),
+        priorityFactor: result.priorityFactor,
+        finalScore: round(result.finalScore, 6),
+        terms: result.terms
+            ? Object.fromEntries(Object.entries(result.terms).map(([term, { value, weight, contribution }]) => [
+                term, { value: round(value), weight, contribution: round(contribution) }
+            ]))
+            : null
+    };
+}
+
+function explainRecovery(caseData) {
+    const attribution = caseData.recoveryAttribution || null;
+    return {
+        probability: caseData.recoveryProbability,
+        source: caseData.recoveryModel ? caseData.recoveryModel.source : null,
+        version: caseData.recoveryModel ? caseData.recoveryModel.version : null,
+        scale: attribution ? attribution.scale : null,
+        baseline: attribution ? attribution.baseline : null,
+        factors: attribution ? attribution.factors : []
+    };
+}
+
+// Terms as a list, with what each one contributed to the final score
+function explainTerms(candidate, recoveryProbability) {
+    if (!candidate.terms) return [];
+    return Object.entries(candidate.terms).map(([term, { value, weight, contribution }]) => ({
+        term,
+        label: TERM_LABELS[term] || term,
+        value,
+        weight,
+        contribution,
+        finalContribution: round(contribution * recoveryProbability * candidate.priorityFactor, 6)
+    }));
+}
+
+function explainAllocation(caseData) {
+    const chosen = caseData.allocationChosen;
+    if (!caseData.allocatedDCA || !chosen) return null;
+
+    const base = {
+        dcaId: caseData.allocatedDCA,
+        method: chosen.manual ? 'MANUAL' : chosen.method,
+        strategy: caseData.allocationStrategy ? caseData.allocationStrategy.strategy : null,
+        configVersion: caseData.allocationStrategy ? caseData.allocationStrategy.configVersion : null,
+        formula: ALLOCATION_FORMULA,
+        recoveryProbability: caseData.recoveryProbability
+    };
+    if (chosen.manual) {
+        return { ...base, chosen: null, alternatives: [], note: `Manually reassigned to ${chosen.dcaId}; no score was involved` };
+    }
+
+    const candidates = caseData.allocationCandidates || [];
+    const winner = candidates.find(c => c.dcaId === chosen.dcaId);
+    const alternatives = candidates
+        .filter(c => c !== winner)
+        .sort((a, b) => b.finalScore - a.finalScore)
+        .map(c => ({
+            dcaId: c.dcaId,
+            finalScore: c.finalScore,
+            dcaScore: c.dcaScore,
+            margin: winner ? round(winner.finalScore - c.finalScore, 6) : null,
+            // Positive where the chosen DCA was ahead on that term
+            termGaps: winner && winner.terms && c.terms
+                ? Object.fromEntries(Object.keys(winner.terms).map(term => [term, round(winner.terms[term].contribution - c.terms[term].contribution)]))
+                : null
+        }));
+
+    return {
+        ...base,
+        chosen: winner
+            ? {
+                dcaId: winner.dcaId,
+                finalScore: winner.finalScore,
+                dcaScore: winner.dcaScore,
+                priorityFactor: winner.priorityFactor,
+                terms: explainTerms(winner, caseData.recoveryProbability)
+            }
+            : null,
+        alternatives,
+        note: chosen.method === 'BATCH_OPTIMAL'
+            ? 'Chosen by batch optimization across all pending cases; only the chosen pairing is scored per case'
+            : null
+    };
+}
+
+export function explainCase(caseData) {
+    return {
+        caseId: caseData.caseId,
+        recovery: explainRecovery(caseData),
+        priority: {
+            tier: caseData.priority,
+            score: caseData.priorityScore ?? null,
+            contributions: caseData.priorityContributions || null,
+            reasons: caseData.priorityReasons || []
+        },
+        allocation: explainAllocation(caseData)
+    };
+}
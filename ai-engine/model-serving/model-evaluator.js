@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_SOURCES, loadCases } from '../ml-models/training-data.js';
+import { RecoveryPredictor } from '../ml-models/recovery-predictor.js';
+import { CasePrioritizer } from '../ml-models/case-prioritizer.js';
+import { SentimentAnalyzer } from '../ml-models/sentiment-analyzer.js';
+import { MODEL_DIR, versionDir } from '../ml-models/model-store.js';
+import { MODEL_NAMES, ModelRegistry } from './model-registry.js';
+import { evaluateModels, saveEvaluationRun, summarizeEvaluation } from './evaluation.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Usage:
+//   npm run test-models                                   hold-out of the default synthetic set
+//   npm run test-models -- --n 5000 --seed 7              match the train-models arguments
+//   npm run test-models -- --source store [--data-dir ./data]
+//   npm run test-models -- --source file --cases exported-cases.json
+//   npm run test-models -- --version 20261019T181553       a candidate instead of production
+// Pass the same data arguments used for training so the hold-out split lines up.
+// Sentiment is always scored on the hand-labelled notes in labelled-notes.json.
+// Candidate runs are saved too but never replace the production numbers
+// served by the metrics endpoints.
+function parseArgs(argv) {
+    const args = {
+        source: 'synthetic',
+        n: 1000,
+        seed: 42,
+        modelDir: MODEL_DIR,
+        save: true,
+        dataDir: process.env.DCA_DATA_DIR || path.join(__dirname, '..', '..', 'data')
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--source') args.source = argv[++i];
+        else if (arg === '--cases') args.casesFile = argv[++i];
+        else if (arg === '--data-dir') args.dataDir = argv[++i];
+        else if (arg === '--n') args.n = Number(argv[++i]);
+        else if (arg === '--seed') args.seed = Number(argv[++i]);
+        else if (arg === '--model-dir') args.modelDir = argv[++i];
+        else if (arg === '--version') args.version = argv[++i];
+        else if (arg === '--no-save') args.save = false;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!DATA_SOURCES.includes(args.source)) {
+        throw new Error(`--source must be one of ${DATA_SOURCES.join(', ')} (got ${args.source})`);
+    }
+    if (args.source === 'file' && !args.casesFile) throw new Error('--source file needs --cases <file>');
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    const registry = new ModelRegistry({ modelDir: args.modelDir });
+    // A candidate version only replaces the models it contains
+    const modelPath = name => (args.version && registry.hasVersion(name, args.version)
+        ? path.join(versionDir(args.version, args.modelDir), `${name}.json`)
+        : registry.resolve(name));
+    if (args.version && !MODEL_NAMES.some(name => registry.hasVersion(name, args.version))) {
+        throw new Error(`No registered models with version ${args.version}`);
+    }
+
+    const recoveryPredictor = new RecoveryPredictor();
+    const casePrioritizer = new CasePrioritizer();
+    const sentimentAnalyzer = new SentimentAnalyzer();
+    await Promise.all([
+        recoveryPredictor.loadModel(modelPath('recovery-predictor')),
+        casePrioritizer.loadModel(modelPath('case-prioritizer')),
+        sentimentAnalyzer.loadModel(modelPath('sentiment-analyzer'))
+    ]);
+
+    const run = evaluateModels({
+        cases: loadCases(args),
+        recoveryPredictor,
+        casePrioritizer,
+        sentimentAnalyzer,
+        source: args.source,
+        seed: args.source === 'synthetic' ? args.seed : null,
+        candidate: args.version || null
+    });
+
+    if (args.save) {
+        const file = saveEvaluationRun(run, args.modelDir);
+        console.log(`✅ Evaluation ${run.runId} saved to ${file}`);
+    }
+    console.log(JSON.stringify(summarizeEvaluation(run), null, 2));
+}
+
+main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+import { MODEL_DIR, artifactPath, newModelVersion, readArtifact, versionDir, writeArtifact } from '../ml-models/model-store.js';
+
+// =============== MODEL REGISTRY ===============
+// Every training run is a version under MODEL_DIR/versions/<version>/ with a
+// manifest.json describing it. MODEL_DIR/registry.json records, per model,
+// which version serves production, which one (if any) runs in shadow, and the
+// promotion history. Version directories are never modified: promoting or
+// rolling back only moves the pointer.
+export const MODEL_NAMES = ['recovery-predictor', 'case-prioritizer', 'sentiment-analyzer'];
+
+// Version labels come from request bodies too, so nothing path-like gets through
+const VERSION_PATTERN = /^\w[\w.-]*$/;
+
+function registryError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function assertModelName(name) {
+    if (!MODEL_NAMES.includes(name)) {
+        throw registryError('UNKNOWN_MODEL', `Unknown model: ${name} (expected ${MODEL_NAMES.join(', ')})`);
+    }
+}
+
+export class ModelRegistry {
+    constructor({ modelDir = MODEL_DIR } = {}) {
+        this.modelDir = modelDir;
+        this.registryPath = path.join(modelDir, 'registry.json');
+    }
+
+    read() {
+        const registry = readArtifact(this.registryPath) || { models: {} };
+        MODEL_NAMES.forEach(name => {
+            registry.models[name] = { production: null, shadow: null, previous: [], history: [], ...registry.models[name] };
+        });
+        return registry;
+    }
+
+    state(name) {
+        assertModelName(name);
+        return this.read().models[name];
+    }
+
+    hasVersion(name, version) {
+        return typeof version === 'string' && VERSION_PATTERN.test(version) && fs.existsSync(path.join(versionDir(version, this.modelDir), `${name}.json`));
+    }
+
+    // Oldest first; version labels sort chronologically
+    listVersions(name) {
+        const { production, shadow } = this.state(name);
+        const root = path.join(this.modelDir, 'versions');
+        if (!fs.existsSync(root)) return [];
+
+        return fs.readdirSync(root).sort()
+            .filter(version => this.hasVersion(name, version))
+            .map(version => {
+                const manifest = readArtifact(path.join(versionDir(version, this.modelDir), 'manifest.json')) || {};
+                const entry = (manifest.models || {})[name] || {};
+                return {
+                    version,
+                    trainedAt: manifest.trainedAt || null,
+                    source: manifest.source || null,
+                    dataHash: entry.dataHash || null,
+                    samples: entry.samples ?? null,
+                    metrics: entry.metrics || null,
+                    stage: version === production ? 'production' : version === shadow ? 'shadow' : null
+                };
+            });
+    }
+
+    list() {
+        return Object.fromEntries(MODEL_NAMES.map(name => {
+            const { production, shadow, history } = this.state(name);
+            return [name, { production, shadow, history, versions: this.listVersions(name) }];
+        }));
+    }
+
+    // Artifact path loadModel() should read for a stage. Model dirs written
+    // before the registry existed only have the unversioned live artifact,
+    // which keeps serving production until a version is promoted.
+    resolve(name, stage = 'production') {
+        const version = this.state(name)[stage];
+        if (version) return path.join(versionDir(version, this.modelDir), `${name}.json`);
+        return stage === 'production' ? artifactPath(name, this.modelDir) : null;
+    }
+
+    // A version label no earlier run has used, even within the same second
+    newVersion(now = new Date()) {
+        return newModelVersion(now, version => fs.existsSync(versionDir(version, this.modelDir)));
+    }
+
+    // Writes a training run. models: { name: { model, dataHash, samples, metrics } }.
+    // A model with nothing in production yet is promoted straight away;
+    // otherwise the new version waits as a candidate. Returns the promoted names.
+    addVersion({ version, source = null, seed = null, models }, user = 'SYSTEM') {
+        if (!VERSION_PATTERN.test(version)) {
+            throw registryError('INVALID_VERSION', `Invalid model version label: ${version}`);
+        }
+        const dir = versionDir(version, this.modelDir);
+        if (fs.existsSync(dir)) {
+            throw registryError('VERSION_EXISTS', `Model version ${version} already exists; pick another label`);
+        }
+        Object.entries(models).forEach(([name, { model }]) => model.saveModel(path.join(dir, `${name}.json`)));
+        writeArtifact(path.join(dir, 'manifest.json'), {
+            version,
+            trainedAt: new Date().toISOString(),
+            source,
+            seed,
+            models: Object.fromEntries(Object.entries(models).map(([name, { dataHash, samples, metrics }]) => [name, { dataHash, samples, metrics }]))
+        });
+
+        return Object.keys(models).filter(name => {
+            if (this.state(name).production) return false;
+            this.promote(name, version, user);
+            return true;
+        });
+    }
+
+    promote(name, version, user) {
+        assertModelName(name);
+        if (!this.hasVersion(name, version)) {
+            throw registryError('MODEL_VERSION_NOT_FOUND', `No ${name} model with version ${version}`);
+        }
+
+        const registry = this.read();
+        const state = registry.models[name];
+        if (state.production === version) return state;
+
+        if (state.production) state.previous.push(state.production);
+        state.history.push({ action: 'PROMOTE', version, from: state.production, by: user, at: new Date().toISOString() });
+        state.production = version;
+        if (state.shadow === version) state.shadow = null;
+        writeArtifact(this.registryPath, registry);
+        return state;
+    }
+
+    // Back to the version that was in production before the current one
+    rollback(name, user) {
+        assertModelName(name);
+        const registry = this.read();
+        const state = registry.models[name];
+        const version = state.previous.pop();
+        if (!version) {
+            throw registryError('NO_PREVIOUS_VERSION', `${name} has no earlier production version to roll back to`);
+        }
+
+        state.history.push({ action: 'ROLLBACK', version, from: state.production, by: user, at: new Date().toISOString() });
+        state.production = version;
+        if (state.shadow === version) state.shadow = null;
+        writeArtifact(this.registryPath, registry);
+        return state;
+    }
+
+    // version null switches shadow scoring off for the model
+    setShadow(name, version, user) {
+        assertModelName(name);
+        if (version !== null && !this.hasVersion(name, version)) {
+            throw registryError('MODEL_VERSION_NOT_FOUND', `No ${name} model with version ${version}`);
+        }
+
+        const registry = this.read();
+        const state = registry.models[name];
+        if (version !== null && version === state.production) {
+            throw registryError('SHADOW_IS_PRODUCTION', `${name} ${version} is already in production`);
+        }
+
+        state.history.push({ action: version ? 'SHADOW' : 'SHADOW_OFF', version, from: state.shadow, by: user, at: new Date().toISOString() });
+        state.shadow = version;
+        writeArtifact(this.registryPath, registry);
+        return state;
+    }
+}
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+import os from 'os';
+import { MODEL_DIR } from '../ml-models/model-store.js';
+import { ModelRegistry } from './model-registry.js';
+import { ShadowScorer } from './shadow-scoring.js';
+
+// Usage:
+//   npm run models -- list [name]
+//   npm run models -- promote <name> <version>
+//   npm run models -- rollback <name>
+//   npm run models -- shadow <name> <version|off>
+//   npm run models -- shadow-report
+// Add --model-dir <dir> to work on another model directory. A running API
+// picks up changes made here on restart; the /api/models endpoints apply
+// them immediately.
+function parseArgs(argv) {
+    const args = { modelDir: MODEL_DIR, positional: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--model-dir') args.modelDir = argv[++i];
+        else if (arg.startsWith('--')) throw new Error(`Unknown argument: ${arg}`);
+        else args.positional.push(arg);
+    }
+    return args;
+}
+
+function printVersions(name, { production, shadow, versions }) {
+    console.log(`\n${name}  (production: ${production || '-'}, shadow: ${shadow || '-'})`);
+    if (!versions.length) console.log('   no registered versions');
+    versions.forEach(v => {
+        const marker = v.stage === 'production' ? '*' : v.stage === 'shadow' ? '~' : ' ';
+        const hash = v.dataHash ? v.dataHash.slice(0, 12) : '-';
+        console.log(`  ${marker} ${v.version}  data ${hash}  samples ${v.samples ?? '-'}  ${JSON.stringify(v.metrics)}`);
+    });
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const registry = new ModelRegistry({ modelDir: args.modelDir });
+    const [command, name, version] = args.positional;
+    const user = `cli:${os.userInfo().username}`;
+
+    if (command === 'list' || !command) {
+        const models = registry.list();
+        Object.entries(models)
+            .filter(([modelName]) => !name || modelName === name)
+            .forEach(([modelName, entry]) => printVersions(modelName, entry));
+    } else if (command === 'promote') {
+        registry.promote(name, version, user);
+        console.log(`✅ ${name} ${version} promoted to production`);
+    } else if (command === 'rollback') {
+        const state = registry.rollback(name, user);
+        console.log(`↩️  ${name} rolled back to ${state.production}`);
+    } else if (command === 'shadow') {
+        const off = version === 'off';
+        registry.setShadow(name, off ? null : version, user);
+        console.log(off ? `✅ Shadow scoring off for ${name}` : `✅ ${name} ${version} now scores in shadow`);
+    } else if (command === 'shadow-report') {
+        console.log(JSON.stringify(new ShadowScorer(registry).summary(), null, 2));
+    } else {
+        throw new Error(`Unknown command: ${command} (expected list, promote, rollback, shadow, shadow-report)`);
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+}
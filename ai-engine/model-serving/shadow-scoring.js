@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import { RecoveryPredictor } from '../ml-models/recovery-predictor.js';
+import { CasePrioritizer } from '../ml-models/case-prioritizer.js';
+
+// =============== SHADOW SCORING ===============
+// While the registry has a shadow version for the recovery predictor or the
+// case prioritizer, every ingested case is also scored by that candidate. The
+// candidate never touches the case: live and shadow outputs are appended side
+// by side to MODEL_DIR/shadow-scores.jsonl for comparison before promoting.
+export class ShadowScorer {
+    constructor(registry, { logPath = path.join(registry.modelDir, 'shadow-scores.jsonl') } = {}) {
+        this.registry = registry;
+        this.logPath = logPath;
+        this.recoveryPredictor = null;
+        this.casePrioritizer = null;
+    }
+
+    // Call again after the registry's shadow pointers change
+    async load() {
+        const recoveryPath = this.registry.resolve('recovery-predictor', 'shadow');
+        const priorityPath = this.registry.resolve('case-prioritizer', 'shadow');
+
+        this.recoveryPredictor = null;
+        this.casePrioritizer = null;
+        if (recoveryPath) {
+            this.recoveryPredictor = new RecoveryPredictor();
+            await this.recoveryPredictor.loadModel(recoveryPath);
+        }
+        if (priorityPath) {
+            this.casePrioritizer = new CasePrioritizer();
+            await this.casePrioritizer.loadModel(priorityPath);
+        }
+        return this.active;
+    }
+
+    get active() {
+        return Boolean(this.recoveryPredictor || this.casePrioritizer);
+    }
+
+    // caseData already carries the live scores from ingest. A model without a
+    // shadow candidate contributes its live output to the shadow side too, so
+    // a shadow prioritizer is compared on the same recovery probability. The
+    // live prioritizer re-scoring for a shadow recovery model is not counted
+    // in its live metrics.
+    score(caseData, livePrioritizer) {
+        if (!this.active) return null;
+
+        const live = {
+            recoveryVersion: caseData.recoveryModel ? caseData.recoveryModel.version : null,
+            recoveryProbability: caseData.recoveryProbability,
+            priorityVersion: livePrioritizer.version,
+            priority: caseData.priority,
+            priorityScore: caseData.priorityScore
+        };
+
+        const recovery = this.recoveryPredictor
+            ? this.recoveryPredictor.predict(caseData)
+            : { recoveryProbability: caseData.recoveryProbability, modelVersion: live.recoveryVersion };
+        const prioritizer = this.casePrioritizer || livePrioritizer;
+        const priority = prioritizer.getPriority({ ...caseData, recoveryProbability: recovery.recoveryProbability }, new Date(), { count: prioritizer !== livePrioritizer });
+
+        const entry = {
+            caseId: caseData.caseId,
+            scoredAt: new Date().toISOString(),
+            live,
+            shadow: {
+                recoveryVersion: recovery.modelVersion,
+                recoveryProbability: recovery.recoveryProbability,
+                priorityVersion: prioritizer.version,
+                priority: priority.tier,
+                priorityScore: priority.score
+            }
+        };
+
+        fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+        fs.appendFileSync(this.logPath, `${JSON.stringify(entry)}\n`);
+        return entry;
+    }
+
+    // Agreement between live and shadow, per shadow model pair
+    summary() {
+        if (!fs.existsSync(this.logPath)) return { scored: 0, comparisons: [] };
+
+        const groups = new Map();
+        fs.readFileSync(this.logPath, 'utf8').split('\n').filter(Boolean).forEach(line => {
+            const { live, shadow } = JSON.parse(line);
+            const key = `${shadow.recoveryVersion}|${shadow.priorityVersion}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    shadowRecoveryVersion: shadow.recoveryVersion,
+                    shadowPriorityVersion: shadow.priorityVersion,
+                    scored: 0,
+                    sameTier: 0,
+                    probabilityDiff: 0,
+                    scoreDiff: 0
+                });
+            }
+            const group = groups.get(key);
+            group.scored++;
+            if (live.priority === shadow.priority) group.sameTier++;
+            group.probabilityDiff += Math.abs(shadow.recoveryProbability - live.recoveryProbability);
+            group.scoreDiff += Math.abs(shadow.priorityScore - live.priorityScore);
+        });
+
+        const comparisons = Array.from(groups.values()).map(({ sameTier, probabilityDiff, scoreDiff, ...group }) => ({
+            ...group,
+            tierAgreement: Number((sameTier / group.scored).toFixed(4)),
+            meanProbabilityDiff: Number((probabilityDiff / group.scored).toFixed(4)),
+            meanScoreDiff: Number((scoreDiff / group.scored).toFixed(2))
+        }));
+        return { scored: comparisons.reduce((sum, c) => sum + c.scored, 0), comparisons };
+    }
+}
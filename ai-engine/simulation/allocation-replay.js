@@ -0,0 +1,194 @@
+import { scoreAllocation } from '../ml-models/dca-optimizer.js';
+import { compareBacklogCases } from '../allocation/backlog-order.js';
+import { calculateRecoveryProbability } from '../ml-models/recovery-heuristic.js';
+import { createRng } from '../utils/seeded-rng.js';
+import { convertibleCases, placedDebtAmount } from '../../services/fx-rates.js';
+
+// =============== ALLOCATION REPLAY ===============
+// Replays stored cases in ingest order through an allocation config and
+// compares the outcome with what actually happened. Every case is ingested at
+// its createdAt and frees its slot at its historical resolvedAt; capacity,
+// the greedy scoring loop and the backlog order match allocateCaseIntelligently.
+// Nothing here reads the clock or Math.random, so the same inputs and seed
+// always produce the same report.
+
+const CLOSED_STATUSES = ['RESOLVED', 'WRITTEN_OFF'];
+
+function caseSequence(caseData) {
+    return Number(String(caseData.caseId).replace(/\D/g, '')) || 0;
+}
+
+function ingestOrder(a, b) {
+    return (new Date(a.createdAt) - new Date(b.createdAt)) || (caseSequence(a) - caseSequence(b));
+}
+
+function buildTimeline(cases) {
+    const events = [];
+    cases.forEach((caseData, order) => {
+        events.push({ at: new Date(caseData.createdAt).getTime(), kind: 1, order, caseData });
+        if (CLOSED_STATUSES.includes(caseData.status) && caseData.resolvedAt) {
+            events.push({ at: new Date(caseData.resolvedAt).getTime(), kind: 0, order, caseData });
+        }
+    });
+    // Releases (kind 0) before ingests at the same instant, then ingest order
+    return events.sort((a, b) => (a.at - b.at) || (a.kind - b.kind) || (a.order - b.order));
+}
+
+function pickGreedy(caseData, dcas, loads, config) {
+    let best = null;
+    dcas.forEach(dca => {
+        const load = loads.get(dca.dcaId);
+        if (load >= dca.capacity) return;
+
+        const { finalScore } = scoreAllocation(caseData, dca, load, config);
+        if (!best || finalScore > best.score) best = { dcaId: dca.dcaId, score: finalScore };
+    });
+    return best;
+}
+
+function simulate(timeline, dcas, config) {
+    const loads = new Map(dcas.map(dca => [dca.dcaId, 0]));
+    const assignments = new Map();
+    const released = new Set();
+    let backlog = [];
+
+    const allocate = (caseData, at) => {
+        const best = pickGreedy(caseData, dcas, loads, config);
+        if (!best) return false;
+
+        loads.set(best.dcaId, loads.get(best.dcaId) + 1);
+        assignments.set(caseData.caseId, { ...best, allocatedAt: at });
+        return true;
+    };
+
+    timeline.forEach(({ at, kind, caseData }) => {
+        if (kind === 1) {
+            if (!allocate(caseData, at)) backlog.push({ caseData, queuedAt: at });
+            return;
+        }
+
+        const assignment = assignments.get(caseData.caseId);
+        if (!assignment) {
+            // Resolved in reality before the simulation ever found it a slot
+            backlog = backlog.filter(entry => entry.caseData.caseId !== caseData.caseId);
+            return;
+        }
+        if (released.has(caseData.caseId)) return;
+
+        released.add(caseData.caseId);
+        loads.set(assignment.dcaId, loads.get(assignment.dcaId) - 1);
+
+        backlog.sort((a, b) => compareBacklogCases(a.caseData, b.caseData));
+        backlog = backlog.filter(entry => {
+            if (!allocate(entry.caseData, at)) return true;
+            assignments.get(entry.caseData.caseId).waitedHours = (at - entry.queuedAt) / 3600000;
+            return false;
+        });
+    });
+
+    return { assignments, unallocated: backlog.map(entry => entry.caseData.caseId) };
+}
+
+// Peak concurrent load per DCA for a given caseId -> dcaId assignment. A case
+// that waited in the backlog only takes its slot once it is allocated.
+function peakLoads(timeline, assignmentOf, waitedHoursOf) {
+    const current = new Map();
+    const peak = new Map();
+    const slotEvents = timeline
+        .map(event => event.kind === 1 ? { ...event, at: event.at + waitedHoursOf(event.caseData) * 3600000 } : event)
+        .sort((a, b) => (a.at - b.at) || (a.kind - b.kind) || (a.order - b.order));
+    slotEvents.forEach(({ kind, caseData }) => {
+        const dcaId = assignmentOf(caseData);
+        if (!dcaId) return;
+
+        const load = (current.get(dcaId) || 0) + (kind === 1 ? 1 : -1);
+        current.set(dcaId, load);
+        peak.set(dcaId, Math.max(peak.get(dcaId) || 0, load));
+    });
+    return peak;
+}
+
+function summarize(cases, dcas, timeline, assignmentOf, slaConfig, waitedHoursOf = () => 0) {
+    const dcaById = new Map(dcas.map(dca => [dca.dcaId, dca]));
+    const peaks = peakLoads(timeline, assignmentOf, waitedHoursOf);
+    const perDCA = new Map(dcas.map(dca => [dca.dcaId, {
+        dcaId: dca.dcaId,
+        assignedCases: 0,
+        peakLoad: peaks.get(dca.dcaId) || 0,
+        expectedRecovered: 0,
+        slaAtRisk: 0
+    }]));
+
+    let allocationWaitBreaches = 0;
+    let unallocated = 0;
+
+    cases.forEach(caseData => {
+        const dcaId = assignmentOf(caseData);
+        const dca = dcaById.get(dcaId);
+        if (!dca) {
+            unallocated++;
+            return;
+        }
+
+        const sla = slaConfig[caseData.priority];
+        const row = perDCA.get(dcaId);
+        row.assignedCases++;
+        row.expectedRecovered += placedDebtAmount(caseData) * caseData.recoveryProbability * dca.historicalRecoveryRate;
+        if (sla && dca.averageResolutionDays > sla.resolutionDays) row.slaAtRisk++;
+        if (sla && waitedHoursOf(caseData) > sla.allocationWaitHours) allocationWaitBreaches++;
+    });
+
+    const rows = Array.from(perDCA.values()).map(row => ({ ...row, expectedRecovered: Number(row.expectedRecovered.toFixed(2)) }));
+    return {
+        perDCA: rows,
+        expectedRecovered: Number(rows.reduce((sum, row) => sum + row.expectedRecovered, 0).toFixed(2)),
+        slaRisk: {
+            atRiskCases: rows.reduce((sum, row) => sum + row.slaAtRisk, 0),
+            allocationWaitBreaches,
+            unallocated
+        }
+    };
+}
+
+// cases: stored case records; dcas: DCA profiles; config: allocation config to try.
+// rescoreRecovery recomputes recoveryProbability with seeded noise instead of
+// using the stored value, for testing sensitivity to the recovery estimate.
+// Cases whose amounts cannot be converted are left out and listed.
+export function replayAllocations({ cases, dcas, config, slaConfig, seed = 42, rescoreRecovery = false }) {
+    const rng = createRng(seed);
+    const { cases: replayable, skipped } = convertibleCases(cases);
+    const ordered = replayable.sort(ingestOrder).map(caseData => ({
+        ...caseData,
+        recoveryProbability: rescoreRecovery
+            ? calculateRecoveryProbability(placedDebtAmount(caseData), caseData.debtAge, rng)
+            : caseData.recoveryProbability
+    }));
+    const orderedDCAs = [...dcas].sort((a, b) => a.dcaId.localeCompare(b.dcaId));
+
+    const timeline = buildTimeline(ordered);
+    const { assignments, unallocated } = simulate(timeline, orderedDCAs, config);
+
+    const simulated = summarize(ordered, orderedDCAs, timeline,
+        c => (assignments.get(c.caseId) || {}).dcaId || null, slaConfig,
+        c => (assignments.get(c.caseId) || {}).waitedHours || 0);
+    const actual = summarize(ordered, orderedDCAs, timeline, c => c.allocatedDCA || null, slaConfig);
+
+    const changes = ordered
+        .map(c => ({ caseId: c.caseId, actualDCA: c.allocatedDCA || null, simulatedDCA: (assignments.get(c.caseId) || {}).dcaId || null }))
+        .filter(change => change.actualDCA !== change.simulatedDCA);
+
+    return {
+        seed,
+        rescoreRecovery,
+        casesReplayed: ordered.length,
+        skippedCases: skipped,
+        simulated: { ...simulated, unallocatedCases: unallocated },
+        actual,
+        delta: {
+            expectedRecovered: Number((simulated.expectedRecovered - actual.expectedRecovered).toFixed(2)),
+            atRiskCases: simulated.slaRisk.atRiskCases - actual.slaRisk.atRiskCases
+        },
+        changedAssignments: changes.length,
+        changes
+    };
+}
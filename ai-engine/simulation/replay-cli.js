@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJournal, journalPath } from '../../services/store.js';
+import { slaConfig } from '../../services/sla-config.js';
+import { validateAllocationConfig } from '../allocation/strategies/index.js';
+import { replayAllocations } from './allocation-replay.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Usage:
+//   npm run simulate-allocation -- --config my-weights.json [--seed 7] [--rescore]
+//   npm run simulate-allocation -- --config-version 3 [--data-dir ./data]
+// Reads the store journal without modifying it, so it is safe next to a running API.
+function parseArgs(argv) {
+    const args = { seed: 42, rescore: false, dataDir: process.env.DCA_DATA_DIR || path.join(__dirname, '..', '..', 'data') };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--config') args.configFile = argv[++i];
+        else if (arg === '--config-version') args.configVersion = Number(argv[++i]);
+        else if (arg === '--seed') args.seed = Number(argv[++i]);
+        else if (arg === '--rescore') args.rescore = true;
+        else if (arg === '--data-dir') args.dataDir = argv[++i];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const state = readJournal(journalPath(args.dataDir));
+    const collection = name => state.get(name) || new Map();
+
+    const configs = collection('allocationConfigs');
+    const activeVersion = collection('meta').get('activeAllocationConfig');
+
+    let config;
+    if (args.configFile) {
+        config = JSON.parse(fs.readFileSync(args.configFile, 'utf8'));
+    } else {
+        const entry = configs.get(args.configVersion || activeVersion);
+        if (!entry) throw new Error(`Allocation config version ${args.configVersion || activeVersion} not found in ${args.dataDir}`);
+        config = entry.config;
+    }
+
+    const errors = validateAllocationConfig(config);
+    if (errors.length) {
+        errors.forEach(e => console.error(`❌ ${e.field}: ${e.message}`));
+        process.exit(1);
+    }
+
+    const report = replayAllocations({
+        cases: Array.from(collection('cases').values()),
+        dcas: Array.from(collection('dcas').values()),
+        config,
+        slaConfig,
+        seed: args.seed,
+        rescoreRecovery: args.rescore
+    });
+
+    console.log(JSON.stringify(report, null, 2));
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,126 @@
+import { createRng } from '../utils/seeded-rng.js';
+
+// =============== SYNTHETIC DATA ===============
+// JS port of Sampledb.py: same columns, ranges and recovery_label rule, but
+// driven by the seeded RNG so a given seed always yields the same rows.
+
+const GEOS = ['NA', 'EU', 'APAC'];
+// Sampledb's geo buckets mapped onto the platform's geoRegion codes (the DCA
+// and calendar regions), so region features learnt on synthetic rows fire on
+// live cases. South-West has no synthetic bucket and gets no region feature.
+export const SYNTHETIC_GEO_REGIONS = { NA: 'North-East', EU: 'Central', APAC: 'West-Coast' };
+const INDUSTRIES = ['Retail', 'Manufacturing', 'Healthcare', 'Tech'];
+
+function randInt(rng, min, max) {
+    return min + Math.floor(rng() * (max - min)); // max exclusive, like np.random.randint
+}
+
+function uniform(rng, min, max, decimals = 2) {
+    return Number((min + rng() * (max - min)).toFixed(decimals));
+}
+
+function choice(rng, values) {
+    return values[Math.floor(rng() * values.length)];
+}
+
+function uuid(rng) {
+    const hex = Array.from({ length: 32 }, () => Math.floor(rng() * 16).toString(16)).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function riskTier(ageingDays) {
+    if (ageingDays <= 30) return 'Low';
+    if (ageingDays <= 90) return 'Medium';
+    return 'High';
+}
+
+export function generateSyntheticCases({ n = 1000, seed = 42 } = {}) {
+    const rng = createRng(seed);
+    return Array.from({ length: n }, () => {
+        const row = {
+            case_id: uuid(rng),
+            customer_id: uuid(rng),
+            invoice_amount: randInt(rng, 5000, 500000),
+            ageing_days: randInt(rng, 1, 180),
+            past_payment_score: uniform(rng, 0, 1),
+            customer_rating: uniform(rng, 0, 1),
+            business_priority: uniform(rng, 0.5, 2.0),
+            geo: choice(rng, GEOS),
+            industry: choice(rng, INDUSTRIES)
+        };
+        row.risk_tier = riskTier(row.ageing_days);
+        row.recovery_label = (row.past_payment_score * 0.4 + row.customer_rating * 0.4 - row.ageing_days / 200) > 0.3 ? 1 : 0;
+        return row;
+    });
+}
+
+export function generateSyntheticDCAs({ n = 10, seed = 42 } = {}) {
+    const rng = createRng(`${seed}:dcas`);
+    return Array.from({ length: n }, (_, i) => {
+        const row = {
+            dca_id: uuid(rng),
+            dca_name: `DCA_${i}`,
+            historical_recovery_rate: uniform(rng, 0.5, 0.9),
+            specialization_match: uniform(rng, 0.6, 1.0),
+            geo_match: uniform(rng, 0.6, 1.0),
+            active_case_load: randInt(rng, 50, 500),
+            load_penalty: uniform(rng, 0.1, 0.5),
+            compliance_risk: uniform(rng, 0.0, 0.3)
+        };
+        row.compliance_score = Number(((1 - row.compliance_risk) * 100).toFixed(2));
+        return row;
+    });
+}
+
+// Maps a Sampledb-style row onto the platform's case fields
+export function toCaseRecord(row) {
+    return {
+        caseId: row.case_id,
+        debtAmount: row.invoice_amount,
+        debtAge: row.ageing_days,
+        pastPaymentScore: row.past_payment_score,
+        customerRating: row.customer_rating,
+        businessPriority: row.business_priority,
+        geoRegion: SYNTHETIC_GEO_REGIONS[row.geo] || row.geo,
+        industry: row.industry,
+        recoveryLabel: row.recovery_label,
+        interactions: []
+    };
+}
+
+// =============== SYNTHETIC INTERACTION NOTES ===============
+// Templated collector notes with known sentiment and intent, for fitting and
+// checking the sentiment analyzer.
+const NOTE_TEMPLATES = [
+    { sentiment: 'POSITIVE', text: 'Debtor was {polite|friendly|cooperative} and agreed to pay next {week|month}.' },
+    { sentiment: 'POSITIVE', text: 'Customer {thanked us|was very helpful} and promised to settle the balance.' },
+    { sentiment: 'POSITIVE', text: 'Spoke with the owner, {happy|pleased|glad} to set up a payment plan.' },
+    { sentiment: 'NEUTRAL', text: 'Left a voicemail, {no answer|line busy}.' },
+    { sentiment: 'NEUTRAL', text: 'Sent the invoice copy by {email|post} as requested.' },
+    { sentiment: 'NEUTRAL', text: 'Debtor asked to be called back on {Monday|Friday}.' },
+    { sentiment: 'NEGATIVE', text: 'Debtor was {angry|rude|hostile} and refused to pay.' },
+    { sentiment: 'NEGATIVE', text: 'Customer is {upset|frustrated} and threatened to call a lawyer.' },
+    { sentiment: 'NEGATIVE', hardship: true, text: 'Debtor {lost his job|was laid off} and is {really worried|struggling}, cannot afford payments.' },
+    { sentiment: 'NEUTRAL', hardship: true, text: 'Owner explained the business is {bankrupt|insolvent} and will send paperwork.' },
+    { sentiment: 'NEGATIVE', dispute: true, text: 'Customer {disputes|contests} the invoice and says it is the wrong amount.' },
+    { sentiment: 'NEGATIVE', dispute: true, text: 'Debtor is {annoyed|upset}, says they never received the shipment.' },
+    { sentiment: 'NEUTRAL', dispute: true, text: 'Customer says the invoice was already paid and will send proof.' }
+];
+
+function fillTemplate(rng, text) {
+    return text.replace(/\{([^}]+)\}/g, (_, options) => choice(rng, options.split('|')));
+}
+
+export function generateSyntheticNotes({ n = 300, seed = 42 } = {}) {
+    const rng = createRng(`${seed}:notes`);
+    return Array.from({ length: n }, (_, i) => {
+        const template = choice(rng, NOTE_TEMPLATES);
+        return {
+            noteId: `note-${i}`,
+            text: fillTemplate(rng, template.text),
+            sentiment: template.sentiment,
+            hardship: Boolean(template.hardship),
+            dispute: Boolean(template.dispute)
+        };
+    });
+}
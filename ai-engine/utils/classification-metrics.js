@@ -0,0 +1,93 @@
+import { ConfusionMatrix } from 'ml-confusion-matrix';
+
+// =============== CLASSIFICATION METRICS ===============
+
+function round(value, decimals = 4) {
+    return Number.isFinite(value) ? Number(value.toFixed(decimals)) : null;
+}
+
+// Rank-based (Mann-Whitney) AUC; ties count half. Null when a class is missing.
+export function rocAuc(actual, scores) {
+    const pairs = actual.map((label, i) => ({ label, score: scores[i] })).sort((a, b) => a.score - b.score);
+    const positives = pairs.filter(p => p.label === 1).length;
+    const negatives = pairs.length - positives;
+    if (!positives || !negatives) return null;
+
+    let rankSum = 0;
+    for (let i = 0; i < pairs.length;) {
+        let j = i;
+        while (j < pairs.length && pairs[j].score === pairs[i].score) j++;
+        const averageRank = (i + 1 + j) / 2;
+        for (let k = i; k < j; k++) {
+            if (pairs[k].label === 1) rankSum += averageRank;
+        }
+        i = j;
+    }
+    return round((rankSum - positives * (positives + 1) / 2) / (positives * negatives));
+}
+
+export function brierScore(actual, probabilities) {
+    if (!actual.length) return null;
+    return round(actual.reduce((sum, label, i) => sum + (probabilities[i] - label) ** 2, 0) / actual.length);
+}
+
+// Equal-width probability bins; empty bins are dropped
+export function calibrationCurve(actual, probabilities, bins = 10) {
+    const buckets = Array.from({ length: bins }, () => ({ count: 0, predicted: 0, observed: 0 }));
+    probabilities.forEach((p, i) => {
+        const bucket = buckets[Math.min(bins - 1, Math.floor(p * bins))];
+        bucket.count++;
+        bucket.predicted += p;
+        bucket.observed += actual[i];
+    });
+    return buckets
+        .map((bucket, i) => ({
+            bin: `${(i / bins).toFixed(1)}-${((i + 1) / bins).toFixed(1)}`,
+            count: bucket.count,
+            meanPredicted: bucket.count ? round(bucket.predicted / bucket.count) : null,
+            observedRate: bucket.count ? round(bucket.observed / bucket.count) : null
+        }))
+        .filter(bucket => bucket.count > 0);
+}
+
+function perClass(matrix, label) {
+    return {
+        precision: round(matrix.getPositivePredictiveValue(label)),
+        recall: round(matrix.getTruePositiveRate(label)),
+        f1Score: round(matrix.getF1Score(label)),
+        support: matrix.getPositiveCount(label)
+    };
+}
+
+// actual: 0/1 labels; scores: probabilities (or any score where higher means
+// "more positive"). Calibration and Brier only make sense for probabilities.
+// Pass predicted to score hard decisions that are not a plain threshold.
+export function binaryMetrics(actual, scores, { threshold = 0.5, probabilistic = true, predicted = null } = {}) {
+    const decisions = predicted || scores.map(s => (s >= threshold ? 1 : 0));
+    const matrix = ConfusionMatrix.fromLabels(actual, decisions, { labels: [0, 1] });
+
+    return {
+        samples: actual.length,
+        threshold: probabilistic ? threshold : null,
+        confusionMatrix: { labels: matrix.getLabels(), matrix: matrix.getMatrix() },
+        accuracy: round(matrix.getAccuracy()),
+        ...perClass(matrix, 1),
+        auc: rocAuc(actual, scores),
+        brierScore: probabilistic ? brierScore(actual, scores) : null,
+        calibration: probabilistic ? calibrationCurve(actual, scores) : null
+    };
+}
+
+export function multiclassMetrics(actual, predicted, labels) {
+    const matrix = ConfusionMatrix.fromLabels(actual, predicted, { labels });
+    const classes = Object.fromEntries(labels.map(label => [label, perClass(matrix, label)]));
+    const f1Scores = Object.values(classes).map(c => c.f1Score).filter(f => f !== null);
+
+    return {
+        samples: actual.length,
+        confusionMatrix: { labels: matrix.getLabels(), matrix: matrix.getMatrix() },
+        accuracy: round(matrix.getAccuracy()),
+        macroF1: f1Scores.length ? round(f1Scores.reduce((a, b) => a + b, 0) / f1Scores.length) : null,
+        classes
+    };
+}
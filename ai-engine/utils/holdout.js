@@ -0,0 +1,10 @@
+import { createRng } from './seeded-rng.js';
+
+// =============== HOLD-OUT SPLIT ===============
+// Membership is a hash of the record id, so training and evaluation agree on
+// the split without sharing state, and a case never moves between sides.
+export const HOLDOUT_FRACTION = 0.2;
+
+export function isHeldOut(id, fraction = HOLDOUT_FRACTION) {
+    return createRng(`holdout:${id}`)() < fraction;
+}
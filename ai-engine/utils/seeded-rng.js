@@ -0,0 +1,23 @@
+// =============== SEEDED RNG ===============
+// mulberry32: tiny, fast and good enough for reproducible noise and sampling.
+// Returns a function with the same contract as Math.random().
+export function createRng(seed = 42) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a, so string seeds such as case IDs map to stable numeric seeds
+export function hashSeed(value) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
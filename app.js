@@ -128,6 +128,12 @@ class ARIESPlatform {
     updateModelManagementUI(metrics) {
         // Update model status widgets
         const modelItems = document.querySelectorAll('.model-item');
+        // Evaluated numbers sit under `evaluation` on the main server; a model
+        // the evaluation could not grade (the prioritizer) has no accuracy
+        const accuracyOf = model => {
+            const evaluation = model?.evaluation ?? model;
+            return evaluation?.evaluated === false ? null : evaluation?.accuracy || 0;
+        };
         modelItems.forEach(item => {
             const modelName = item.querySelector('span:first-child').textContent;
             const accuracyElement = item.querySelector('.model-accuracy');
@@ -135,21 +141,21 @@ class ARIESPlatform {
             let accuracy = 0;
             switch (modelName) {
                 case 'Recovery Predictor':
-                    accuracy = metrics.recoveryPredictor?.accuracy || 0;
+                    accuracy = accuracyOf(metrics.recoveryPredictor);
                     break;
                 case 'Case Prioritizer':
-                    accuracy = metrics.casePrioritizer?.accuracy || 0;
+                    accuracy = accuracyOf(metrics.casePrioritizer);
                     break;
                 case 'DCA Optimizer':
                     accuracy = metrics.dcaOptimizer?.allocationAccuracy || 0;
                     break;
                 case 'Sentiment Analyzer':
-                    accuracy = metrics.sentimentAnalyzer?.accuracy || 0;
+                    accuracy = accuracyOf(metrics.sentimentAnalyzer);
                     break;
             }
             
             if (accuracyElement) {
-                accuracyElement.textContent = `${(accuracy * 100).toFixed(1)}%`;
+                accuracyElement.textContent = accuracy === null ? 'Not evaluated' : `${(accuracy * 100).toFixed(1)}%`;
             }
         });
     }
@@ -475,9 +481,9 @@ class ARIESPlatform {
             this.simulateLiveData();
         }, 5000);
         
-        // Simulate AI model updates
+        // Pick up new model evaluation runs
         setInterval(() => {
-            this.simulateModelUpdates();
+            this.refreshModelMetrics();
         }, 30000);
         
         // Simulate system alerts
@@ -506,17 +512,19 @@ class ARIESPlatform {
         });
     }
 
-    simulateModelUpdates() {
-        // Update model accuracy displays
-        const accuracyElements = document.querySelectorAll('.model-accuracy');
-        accuracyElements.forEach(element => {
-            const current = parseFloat(element.textContent);
-            const improvement = Math.random() * 0.2; // 0-0.2% improvement
-            const newAccuracy = Math.min(99.9, current + improvement);
-            element.textContent = `${newAccuracy.toFixed(1)}%`;
-        });
-        
-        this.showNotification('AI models automatically updated with new training data', 'success');
+    async refreshModelMetrics() {
+        try {
+            const metrics = await this.apiService.getModelMetrics();
+            this.updateModelManagementUI(metrics);
+            
+            // Only announce a genuinely new evaluation run
+            if (metrics.runId && this.lastEvaluationRun && metrics.runId !== this.lastEvaluationRun) {
+                this.showNotification(`Model metrics updated from evaluation run ${metrics.runId}`, 'success');
+            }
+            this.lastEvaluationRun = metrics.runId || this.lastEvaluationRun;
+        } catch (error) {
+            console.error('Error refreshing model metrics:', error);
+        }
     }
 
     simulateAlert() {
@@ -3,26 +3,74 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import Papa from 'papaparse';
+import { createStore } from './services/store.js';
+import { parseJsonArray } from './services/json-array-stream.js';
+import { hashPassword, verifyPassword, sessionExpiry, sessionPolicy, LoginThrottle } from './services/auth.js';
+import { authorize, filterVisible } from './services/access-policy.js';
+import { sendError } from './services/api-errors.js';
+import { schemas, validate, validateBody } from './services/request-schemas.js';
+import { DCAOptimizer, scoreAllocation } from './ai-engine/ml-models/dca-optimizer.js';
+import { RecoveryPredictor, recoveryLabel } from './ai-engine/ml-models/recovery-predictor.js';
+import { CasePrioritizer } from './ai-engine/ml-models/case-prioritizer.js';
+import { SentimentAnalyzer } from './ai-engine/ml-models/sentiment-analyzer.js';
+import { hashTrainingData } from './ai-engine/ml-models/training-data.js';
+import { isHeldOut } from './ai-engine/utils/holdout.js';
+import { latestEvaluation, summarizeEvaluation } from './ai-engine/model-serving/evaluation.js';
+import { ModelRegistry } from './ai-engine/model-serving/model-registry.js';
+import { ShadowScorer } from './ai-engine/model-serving/shadow-scoring.js';
+import { allocationCandidate, explainCase } from './ai-engine/model-serving/explanations.js';
+import { listStrategies, validateAllocationConfig } from './ai-engine/allocation/strategies/index.js';
+import { replayAllocations } from './ai-engine/simulation/allocation-replay.js';
+import { AllocationConfigStore } from './services/allocation-config.js';
+import { compareBacklogCases } from './ai-engine/allocation/backlog-order.js';
+import { slaConfig } from './services/sla-config.js';
+import { evaluateCaseSla, recordSlaCalendarError, slaSettled, startSlaClock, syncSlaClock } from './services/sla-monitor.js';
+import { calendarRegionFor, localDate } from './services/business-calendar.js';
+import { allowedActions, applyTransition, canTransition, nextState, transitionError } from './services/case-lifecycle.js';
+import { activePlan, applyPlanPayment, breakPlan, cancelPlan, createPaymentPlan, detectMissedInstallments, planSummary, reconcilePlanPayments, remainingAmount } from './services/payment-plans.js';
+import { createLedgerEntry, ledgerTotals, recoveredByDCA, reportingRecovered, reversibleAmount } from './services/case-ledger.js';
+import { caseCurrency, convertibleCases, formatMoney, fxSummary, isConvertible, REPORTING_CURRENCY, reportingDebtAmount, toReportingCurrency } from './services/fx-rates.js';
+import { checkContact, debtorTimeZone } from './services/contact-compliance.js';
+import { DISPUTE_MARKING_HOURS, activeDisputes, applyDisputeAction, canApplyDisputeAction, createDispute, disputeTransitionError, markingDeadline, recallBlockedByDisputes, unmarkedDisputeSignals } from './services/dispute-workflow.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-const port = 3001;
+const port = Number(process.env.PORT || 3001);
 
 
 
-// =============== DATABASE SIMULATION ===============
-const users = new Map([
-    ['admin@fedex.com', { password: 'admin123', role: 'ADMIN', name: 'Admin User', company: 'FedEx' }],
-    ['dca1@company.com', { password: 'dca123', role: 'DCA', name: 'DCA Agent 1', company: 'DCA Corp', dcaId: 'DCA-001' }],
-    ['dca2@company.com', { password: 'dca123', role: 'DCA', name: 'DCA Agent 2', company: 'DCA Corp', dcaId: 'DCA-002' }],
-    ['fedex@company.com', { password: 'fedex123', role: 'FEDEX', name: 'FedEx Case Manager', company: 'FedEx' }],
+// =============== PERSISTENCE ===============
+// DCA_STORE_DRIVER=memory keeps the old throwaway behaviour for demos
+const store = createStore({
+    driver: process.env.DCA_STORE_DRIVER || 'json',
+    dataDir: process.env.DCA_DATA_DIR || path.join(__dirname, 'data')
+});
+
+const users = store.collection('users', [
+    ['admin@fedex.com', { passwordHash: hashPassword('admin123'), role: 'ADMIN', name: 'Admin User', company: 'FedEx' }],
+    ['dca1@company.com', { passwordHash: hashPassword('dca123'), role: 'DCA', name: 'DCA Agent 1', company: 'DCA Corp', dcaId: 'DCA-001' }],
+    ['dca2@company.com', { passwordHash: hashPassword('dca123'), role: 'DCA', name: 'DCA Agent 2', company: 'DCA Corp', dcaId: 'DCA-002' }],
+    ['fedex@company.com', { passwordHash: hashPassword('fedex123'), role: 'FEDEX', name: 'FedEx Case Manager', company: 'FedEx' }],
 ]);
 
-const sessions = new Map();
-const caseRegistry = new Map();
-const dcaProfiles = new Map([
+// Upgrade accounts persisted before passwords were hashed
+users.forEach((user, email) => {
+    if (user.password === undefined) return;
+    user.passwordHash = hashPassword(user.password);
+    delete user.password;
+    users.save(email);
+});
+
+const allocationConfigs = new AllocationConfigStore(store);
+const sessions = store.collection('sessions');
+const caseRegistry = store.collection('cases');
+const doNotContactList = store.collection('doNotContact');
+// priorRecoveredAmount: recovered before cases were tracked here; the rest is
+// summed from case ledgers
+const dcaProfiles = store.collection('dcas', [
     ['DCA-001', {
         dcaId: 'DCA-001',
         name: 'John Smith',
@@ -34,7 +82,7 @@ const dcaProfiles = new Map([
         complianceScore: 0.95,
         cases: [],
         slaBreaches: 0,
-        recoveredAmount: 450000,
+        priorRecoveredAmount: 450000,
         averageResolutionDays: 22
     }],
     ['DCA-002', {
@@ -48,7 +96,7 @@ const dcaProfiles = new Map([
         complianceScore: 0.88,
         cases: [],
         slaBreaches: 1,
-        recoveredAmount: 320000,
+        priorRecoveredAmount: 320000,
         averageResolutionDays: 28
     }],
     ['DCA-003', {
@@ -62,7 +110,7 @@ const dcaProfiles = new Map([
         complianceScore: 0.92,
         cases: [],
         slaBreaches: 0,
-        recoveredAmount: 280000,
+        priorRecoveredAmount: 280000,
         averageResolutionDays: 35
     }],
     ['DCA-004', {
@@ -76,7 +124,7 @@ const dcaProfiles = new Map([
         complianceScore: 0.90,
         cases: [],
         slaBreaches: 0,
-        recoveredAmount: 410000,
+        priorRecoveredAmount: 410000,
         averageResolutionDays: 24
     }]
 ]);
@@ -90,7 +138,10 @@ const sopRules = {
     ],
     COMMUNICATION: [
         'Use professional, non-harassing language',
-        'Contact only during permitted hours (9 AM - 6 PM)',
+        'Contact only during permitted hours (9 AM - 6 PM debtor local time)',
+        'No more than 7 attempts per channel in 7 days',
+        'Honour the do-not-contact list',
+        'No contact while a dispute is open or within 7 days of it closing',
         'Use approved channels (call/email/SMS)',
         'Log all communications in the system'
     ],
@@ -114,34 +165,42 @@ const sopRules = {
     ]
 };
 
-const slaConfig = {
-    CRITICAL: { firstActionHours: 24, followUpDays: 2, resolutionDays: 7 },
-    HIGH: { firstActionHours: 48, followUpDays: 3, resolutionDays: 15 },
-    MEDIUM: { firstActionHours: 72, followUpDays: 4, resolutionDays: 20 },
-    LOW: { firstActionHours: 96, followUpDays: 7, resolutionDays: 30 }
-};
-
-let caseIdCounter = 1000;
-
 // =============== MIDDLEWARE ===============
 app.use(cors());
-app.use(express.json());
+// Bulk uploads are streamed by their own route
+const jsonBody = express.json();
+app.use((req, res, next) => req.path === '/api/cases/ingest/bulk' ? next() : jsonBody(req, res, next));
 app.use((req, res, next) => {
     console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
     next();
 });
 
 // =============== AUTHENTICATION ===============
+const accountThrottle = new LoginThrottle({ maxFailures: 5, windowMs: 15 * 60000, lockoutMs: 15 * 60000 });
+const ipThrottle = new LoginThrottle({ maxFailures: 20, windowMs: 15 * 60000, lockoutMs: 30 * 60000 });
+
 app.post('/auth/login', (req, res) => {
     const { email, password } = req.body;
     const user = users.get(email);
 
-    if (!user || user.password !== password) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+    const lockedFor = Math.max(accountThrottle.lockedFor(email), ipThrottle.lockedFor(req.ip));
+    if (lockedFor) {
+        return sendError(res, 429, 'ACCOUNT_LOCKED', 'Too many failed login attempts', {
+            retryAfterSeconds: Math.ceil(lockedFor / 1000)
+        });
+    }
+
+    if (!verifyPassword(password, user && user.passwordHash)) {
+        if (accountThrottle.recordFailure(email)) console.warn(`🔒 LOCKED: account ${email} after repeated failures`);
+        if (ipThrottle.recordFailure(req.ip)) console.warn(`🔒 LOCKED: IP ${req.ip} after repeated failures`);
+        return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials');
     }
 
+    accountThrottle.reset(email);
+
     const sessionId = crypto.randomBytes(16).toString('hex');
-    sessions.set(sessionId, { email, role: user.role, name: user.name, timestamp: Date.now() });
+    const now = Date.now();
+    sessions.set(sessionId, { email, role: user.role, name: user.name, dcaId: user.dcaId, timestamp: now, lastSeenAt: now });
 
     res.json({
         sessionId,
@@ -149,81 +208,283 @@ app.post('/auth/login', (req, res) => {
     });
 });
 
+app.post('/auth/logout', (req, res) => {
+    const sessionId = req.headers['x-session-id'];
+    if (!sessionId || !sessions.delete(sessionId)) {
+        return sendError(res, 403, 'UNAUTHENTICATED', 'Unauthorized');
+    }
+
+    res.json({ message: 'Logged out' });
+});
+
 function verifySession(req) {
     const sessionId = req.headers['x-session-id'];
     if (!sessionId || !sessions.has(sessionId)) {
         return null;
     }
-    return sessions.get(sessionId);
+
+    const session = sessions.get(sessionId);
+    const now = Date.now();
+    if (sessionExpiry(session, now)) {
+        sessions.delete(sessionId);
+        return null;
+    }
+
+    // Only persist activity once a minute instead of on every request
+    if (now - (session.lastSeenAt || session.timestamp) > sessionPolicy.touchIntervalMs) {
+        session.lastSeenAt = now;
+        sessions.save(sessionId);
+    }
+    return session;
 }
 
-// =============== CASE MANAGEMENT ===============
-app.post('/api/cases/ingest', (req, res) => {
+// =============== AUTHORIZATION ===============
+// Non-case denials have no case audit trail to land in, so they go here
+const accessLog = store.collection('accessLog');
+
+function recordAccessDenied(session, action, reason, caseData = null) {
+    const entry = {
+        action: 'ACCESS_DENIED',
+        user: session.email,
+        timestamp: new Date().toISOString(),
+        details: `${action} denied: ${reason}`
+    };
+
+    if (caseData) {
+        caseData.auditTrail.push(entry);
+        caseRegistry.save(caseData.caseId);
+    } else {
+        accessLog.set(crypto.randomBytes(8).toString('hex'), entry);
+    }
+    console.warn(`⛔ ACCESS DENIED: ${session.email} ${action}${caseData ? ` on ${caseData.caseId}` : ''}`);
+}
+
+// Session + role check for routes that are not about a single case
+function authorizeRequest(req, res, action) {
+    const session = verifySession(req);
+    if (!session) {
+        sendError(res, 403, 'UNAUTHENTICATED', 'Unauthorized');
+        return null;
+    }
+
+    const decision = authorize(session, action);
+    if (!decision.allowed) {
+        recordAccessDenied(session, action, decision.reason);
+        sendError(res, 403, 'FORBIDDEN', 'Forbidden', { reason: decision.reason });
+        return null;
+    }
+    return session;
+}
+
+// Session + role + ownership check for /:caseId routes. Sends the error
+// response itself and returns null when the request may not proceed.
+function authorizeCaseRequest(req, res, action) {
     const session = verifySession(req);
-    if (!session || session.role !== 'FEDEX') {
-        return res.status(403).json({ error: 'Unauthorized' });
+    if (!session) {
+        sendError(res, 403, 'UNAUTHENTICATED', 'Unauthorized');
+        return null;
     }
 
-    const { trackingNumber, debtor, debtAmount, debtAge, phone, email, notes, geoRegion } = req.body;
+    const caseData = caseRegistry.get(req.params.caseId);
+    if (!caseData) {
+        sendError(res, 404, 'CASE_NOT_FOUND', 'Case not found');
+        return null;
+    }
+
+    const decision = authorize(session, action, caseData);
+    if (!decision.allowed) {
+        recordAccessDenied(session, action, decision.reason, caseData);
+        sendError(res, 403, 'FORBIDDEN', 'Forbidden', { reason: decision.reason });
+        return null;
+    }
+    return { session, caseData };
+}
+
+// Middleware forms of the two checks above, mounted ahead of validateBody so
+// a caller who may not act (or may not see the case) gets the 403/404, never
+// the shape of the request body. The handler reads req.session or req.access.
+function requireAccess(action) {
+    return (req, res, next) => {
+        const session = authorizeRequest(req, res, action);
+        if (!session) return;
+        req.session = session;
+        next();
+    };
+}
+
+function requireCaseAccess(action) {
+    return (req, res, next) => {
+        const access = authorizeCaseRequest(req, res, action);
+        if (!access) return;
+        req.access = access;
+        next();
+    };
+}
+
+// =============== CASE MANAGEMENT ===============
+// Live models are the registry's production versions; recovery falls back
+// to the heuristic estimate until a model has been trained
+const modelRegistry = new ModelRegistry();
+const shadowScorer = new ShadowScorer(modelRegistry);
+const recoveryPredictor = new RecoveryPredictor();
+const casePrioritizer = new CasePrioritizer();
+const sentimentAnalyzer = new SentimentAnalyzer();
+
+app.post('/api/cases/ingest', requireAccess('case:ingest'), validateBody(schemas.ingestCase), (req, res) => {
+    const { session } = req;
 
-    const caseId = `FDX-${++caseIdCounter}`;
-    const riskLevel = assessRisk(debtAmount, debtAge);
+    const newCase = ingestCase(req.body, session, 'Case received from FedEx');
+
+    res.status(201).json({ message: 'Case ingested', caseId: newCase.caseId, case: newCase });
+});
+
+// Shared by single and bulk ingest so every case takes the same allocation path
+function ingestCase(payload, session, source) {
+    const { trackingNumber, debtor, debtAmount, debtAge, phone, email, notes, geoRegion, timeZone, pastPaymentScore, customerRating, businessPriority } = payload;
+    const currency = payload.currency || REPORTING_CURRENCY;
+
+    const caseId = `FDX-${store.nextSequence('caseIdCounter', 1000)}`;
+    const recovery = recoveryPredictor.predict({ debtAmount, currency, debtAge, geoRegion, pastPaymentScore, customerRating, interactions: [] });
 
     const newCase = {
         caseId,
         trackingNumber,
         debtor,
         debtAmount,
+        originalDebtAmount: debtAmount,
+        currency,
         debtAge,
         phone,
         email,
         notes,
         geoRegion: geoRegion || 'Unknown',
+        timeZone: timeZone || null,
+        pastPaymentScore: pastPaymentScore ?? null,
+        customerRating: customerRating ?? null,
+        businessPriority: businessPriority ?? null,
         status: 'RECEIVED',
-        riskLevel,
-        recoveryProbability: calculateRecoveryProbability(debtAmount, debtAge),
-        priority: ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'][riskLevel],
+        riskLevel: null,
+        recoveryProbability: recovery.recoveryProbability,
+        recoveryModel: { source: recovery.source, version: recovery.modelVersion },
+        recoveryAttribution: recovery.attribution,
+        priority: null,
+        priorityScore: null,
+        priorityReasons: [],
+        priorityContributions: null,
         allocatedDCA: null,
         allocationScore: null,
         createdAt: new Date().toISOString(),
         slaDeadlines: null,
         slaBreached: false,
+        slaEvents: [],
+        slaPauses: [],
+        allocationSla: null,
         interactions: [],
         documents: [],
         disputes: [],
+        paymentPlans: [],
+        ledger: [],
         auditTrail: [{
             action: 'CASE_CREATED',
             user: session.email,
             timestamp: new Date().toISOString(),
-            details: 'Case received from FedEx'
+            details: source
         }]
     };
 
+    applyPriority(newCase, casePrioritizer.getPriority(newCase));
+    scoreInShadow(newCase);
     caseRegistry.set(caseId, newCase);
-    allocateCaseIntelligently(caseId);
+    if (!allocateCaseIntelligently(caseId)) {
+        queueForAllocation(newCase);
+    }
+
+    return newCase;
+}
+
+// =============== BULK INGEST ===============
+const BULK_NUMERIC_FIELDS = ['debtAmount', 'debtAge', 'pastPaymentScore', 'customerRating', 'businessPriority'];
+const BULK_YIELD_EVERY = 100;
 
-    res.status(201).json({ message: 'Case ingested', caseId, case: newCase });
+// Both formats are parsed row by row as the upload arrives
+app.post('/api/cases/ingest/bulk', requireAccess('case:ingest'), (req, res, next) => {
+    if (req.is('application/json') || req.is('text/csv')) return next();
+
+    sendError(res, 415, 'UNSUPPORTED_MEDIA_TYPE', 'Bulk ingest accepts text/csv or an application/json array');
+}, async (req, res) => {
+    const rows = req.is('text/csv') ? streamCsvRows(req) : streamJsonRows(req);
+    const seenTrackingNumbers = new Set();
+    const report = [];
+    let rowNumber = 0;
+
+    try {
+        for await (const row of rows) {
+            rowNumber++;
+            const reasons = validate(schemas.ingestCase, row);
+
+            if (row && row.__parsed_extra) {
+                reasons.push({ field: null, code: 'TOO_MANY_FIELDS', message: 'Row has more fields than the header' });
+            }
+            if (row && row.trackingNumber && seenTrackingNumbers.has(row.trackingNumber)) {
+                reasons.push({ field: 'trackingNumber', code: 'DUPLICATE', message: `Duplicate trackingNumber ${row.trackingNumber} in upload` });
+            }
+
+            if (reasons.length) {
+                report.push({ row: rowNumber, status: 'REJECTED', reasons });
+            } else {
+                seenTrackingNumbers.add(row.trackingNumber);
+                const newCase = ingestCase(row, req.session, 'Case received from FedEx (bulk upload)');
+                report.push({ row: rowNumber, status: 'ACCEPTED', caseId: newCase.caseId, allocatedDCA: newCase.allocatedDCA });
+            }
+
+            // Large uploads must not starve other requests
+            if (rowNumber % BULK_YIELD_EVERY === 0) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        }
+    } catch (err) {
+        if (err.code === 'NOT_AN_ARRAY') return sendError(res, 400, 'INVALID_BODY', 'Expected a JSON array of cases');
+        return sendError(res, 400, 'MALFORMED_UPLOAD', 'Malformed upload', { reason: err.message, processedRows: report });
+    }
+
+    const accepted = report.filter(r => r.status === 'ACCEPTED').length;
+    console.log(`📦 BULK INGEST: ${accepted}/${report.length} rows accepted by ${req.session.email}`);
+
+    res.json({
+        message: 'Bulk ingest processed',
+        summary: { total: report.length, accepted, rejected: report.length - accepted },
+        rows: report
+    });
 });
 
-function assessRisk(amount, age) {
-    if (amount > 100000 || age > 180) return 0; // CRITICAL
-    if (amount > 50000 || age > 120) return 1;  // HIGH
-    if (amount > 20000 || age > 60) return 2;   // MEDIUM
-    return 3;                                    // LOW
+function streamCsvRows(req) {
+    const parser = Papa.parse(Papa.NODE_STREAM_INPUT, {
+        header: true,
+        skipEmptyLines: true,
+        transformHeader: header => header.trim(),
+        dynamicTyping: field => BULK_NUMERIC_FIELDS.includes(field)
+    });
+    req.on('error', err => parser.destroy(err));
+    return req.pipe(parser);
+}
+
+function streamJsonRows(req) {
+    req.setEncoding('utf8');
+    return parseJsonArray(req);
 }
 
-function calculateRecoveryProbability(amount, age) {
-    // P(recovery) = (1 - age_factor) * (1 - amount_factor) + random noise
-    const ageFactor = Math.min(age / 360, 0.5); // Max 50% reduction from age
-    const amountFactor = Math.min(amount / 500000, 0.4); // Max 40% reduction from amount
-    const base = (1 - ageFactor) * (1 - amountFactor);
-    const noise = (Math.random() * 0.15 - 0.075); // ±7.5% noise
-    return Math.max(0.2, Math.min(1, base + noise));
+function applyPriority(caseData, prioritization) {
+    caseData.priority = prioritization.tier;
+    caseData.riskLevel = prioritization.riskLevel;
+    caseData.priorityScore = prioritization.score;
+    caseData.priorityReasons = prioritization.reasons;
+    caseData.priorityContributions = prioritization.contributions;
+    caseData.prioritizedAt = prioritization.scoredAt;
 }
 
 function allocateCaseIntelligently(caseId) {
     const caseData = caseRegistry.get(caseId);
-    const riskIndex = caseData.recoveryProbability;
+    const activeConfig = allocationConfigs.active();
 
     let bestDCA = null;
     let bestScore = -Infinity;
@@ -231,82 +492,570 @@ function allocateCaseIntelligently(caseId) {
 
     dcaProfiles.forEach((dca) => {
         if (dca.currentLoad >= dca.capacity) return;
+        if ((caseData.excludedDCAs || []).includes(dca.dcaId)) return;
+
+        // recoveryProbability × DCA suitability × business priority
+        const result = scoreAllocation(caseData, dca, dca.currentLoad, activeConfig.config);
+        candidateDetails.push(allocationCandidate(dca.dcaId, result));
+
+        if (result.finalScore > bestScore) {
+            bestScore = result.finalScore;
+            bestDCA = dca;
+        }
+    });
+
+    if (!bestDCA) return false;
+
+    commitAllocation(caseData, bestDCA, bestScore, candidateDetails, 'SYSTEM', activeConfig);
+    return true;
+}
+
+// Records an allocation decision, starts the SLA clock and takes the DCA slot
+function commitAllocation(caseData, dca, score, candidateDetails, user, configEntry, method = 'GREEDY') {
+    caseData.allocatedDCA = dca.dcaId;
+    caseData.allocationScore = score.toFixed(4);
+    caseData.allocationCandidates = candidateDetails;
+    caseData.allocationChosen = { dcaId: dca.dcaId, score: Number(score.toFixed(6)), method };
+    caseData.allocationStrategy = { strategy: configEntry.config.strategy, configVersion: configEntry.version };
+    applyTransition(caseData, 'ALLOCATE', user, `Assigned to ${dca.dcaId}`);
+
+    // SLA deadlines run on the working calendar of the debtor's region, or the agency's
+    const now = new Date();
+    try {
+        startSlaClock(caseData, calendarRegionFor(caseData.geoRegion, dca.geoRegion), now);
+    } catch (err) {
+        // The allocation stands without deadlines rather than with wrong ones
+        caseData.slaDeadlines = null;
+        flagCalendarError(caseData, err, now);
+    }
+
+    assignDCASlot(caseData, dca);
+
+    caseData.auditTrail.push({
+        action: 'CASE_ALLOCATED',
+        user,
+        timestamp: new Date().toISOString(),
+        details: `Allocated to ${dca.dcaId} with score ${score.toFixed(4)} (${method}, ${configEntry.config.strategy} v${configEntry.version})`
+    });
+
+    if (caseData.allocationSla) {
+        caseData.allocationSla.allocatedAt = now.toISOString();
+        caseData.allocationSla.breached = now > new Date(caseData.allocationSla.deadline);
+    }
+
+    caseRegistry.save(caseData.caseId);
+
+    console.log(`✅ ALLOCATED: ${caseData.caseId} → ${dca.dcaId} (Score: ${score.toFixed(4)}, ${method})`);
+}
 
-        // DCA Suitability Score
-        const w1 = 0.3, w2 = 0.25, w3 = 0.2, w4 = 0.15, w5 = 0.1;
+// =============== DCA WORKLOAD ===============
+// currentLoad and dca.cases only ever change through these two helpers, which
+// keep them in step: load is taken on allocation and released on resolve,
+// write-off, recall and reassignment.
+const ACTIVE_STATUSES = ['ALLOCATED', 'IN_PROGRESS', 'ESCALATED', 'DISPUTED'];
+
+function assignDCASlot(caseData, dca) {
+    caseData.allocatedDCA = dca.dcaId;
+    if (!dca.cases.includes(caseData.caseId)) {
+        dca.cases.push(caseData.caseId);
+        dca.currentLoad++;
+    }
+    dcaProfiles.save(dca.dcaId);
+}
 
-        const historicalScore = dca.historicalRecoveryRate;
-        const specializationMatch = caseData.priority === 'CRITICAL' && dca.specialization.includes('High-Value') ? 1 : 0.7;
-        const geoMatch = dca.geoRegion === caseData.geoRegion ? 1 : 0.8;
-        const loadPenalty = dca.currentLoad / dca.capacity;
-        const complianceRisk = 1 - dca.complianceScore;
+// Safe to call twice: a slot is only released if the DCA still holds the case
+function releaseDCASlot(caseData, reason) {
+    const dca = dcaProfiles.get(caseData.allocatedDCA);
+    if (!dca) return false;
 
-        const dcaScore = (w1 * historicalScore) + (w2 * specializationMatch) + (w3 * geoMatch) - 
-                        (w4 * loadPenalty) - (w5 * complianceRisk);
+    const index = dca.cases.indexOf(caseData.caseId);
+    if (index === -1) return false;
 
-        // Business Priority Factor
-        const priorityFactor = { CRITICAL: 1.5, HIGH: 1.3, MEDIUM: 1.0, LOW: 0.8 }[caseData.priority];
+    dca.cases.splice(index, 1);
+    dca.currentLoad = Math.max(0, dca.currentLoad - 1);
+    dcaProfiles.save(dca.dcaId);
+
+    console.log(`↩️  RELEASED: ${caseData.caseId} from ${dca.dcaId} (${reason}) | Load: ${dca.currentLoad}/${dca.capacity}`);
+    return true;
+}
 
-        // Final Assignment Score
-        const finalScore = riskIndex * dcaScore * priorityFactor;
+// Rebuilds currentLoad and cases for every DCA from the registry and reports drift
+function recomputeDCALoad() {
+    const activeByDCA = new Map();
+    caseRegistry.forEach(c => {
+        if (!c.allocatedDCA || !ACTIVE_STATUSES.includes(c.status)) return;
+        if (!activeByDCA.has(c.allocatedDCA)) activeByDCA.set(c.allocatedDCA, []);
+        activeByDCA.get(c.allocatedDCA).push(c.caseId);
+    });
 
-        candidateDetails.push({
+    return Array.from(dcaProfiles.values()).map(dca => {
+        const expected = activeByDCA.get(dca.dcaId) || [];
+        const drift = {
             dcaId: dca.dcaId,
-            dcaScore: Number(dcaScore.toFixed(4)),
-            priorityFactor,
-            finalScore: Number(finalScore.toFixed(6))
-        });
+            previousLoad: dca.currentLoad,
+            recomputedLoad: expected.length,
+            missingCases: expected.filter(id => !dca.cases.includes(id)),
+            staleCases: dca.cases.filter(id => !expected.includes(id))
+        };
+        drift.drifted = drift.previousLoad !== drift.recomputedLoad ||
+            drift.missingCases.length > 0 || drift.staleCases.length > 0;
 
-        if (finalScore > bestScore) {
-            bestScore = finalScore;
-            bestDCA = dca;
+        if (drift.drifted) {
+            dca.currentLoad = expected.length;
+            dca.cases = expected;
+            dcaProfiles.save(dca.dcaId);
         }
+        return drift;
+    });
+}
+
+// =============== CASE PRIORITY ===============
+// Open cases are re-scored periodically so they climb tiers as they age and
+// as SLA deadlines approach. SLA deadlines already set are left alone.
+const PRIORITY_REFRESH_MS = Number(process.env.PRIORITY_REFRESH_MINUTES || 60) * 60 * 1000;
+
+// Re-scores one case in place; returns true when its tier changed. The caller saves.
+function refreshPriority(caseData, user = 'SYSTEM', now = new Date()) {
+    const previous = caseData.priority;
+    const prioritization = casePrioritizer.getPriority(caseData, now);
+    applyPriority(caseData, prioritization);
+    if (prioritization.tier === previous) return false;
+
+    caseData.auditTrail.push({
+        action: 'PRIORITY_CHANGED',
+        user,
+        timestamp: now.toISOString(),
+        details: `Priority ${previous} → ${prioritization.tier} (score ${prioritization.score})`
+    });
+    console.log(`🎯 REPRIORITIZED: ${caseData.caseId} ${previous} → ${prioritization.tier} (score ${prioritization.score})`);
+    return true;
+}
+
+function reprioritizeOpenCases(now = new Date()) {
+    let changed = 0;
+    let unconvertible = 0;
+    caseRegistry.forEach(caseData => {
+        if (caseData.status !== 'RECEIVED' && !ACTIVE_STATUSES.includes(caseData.status)) return;
+        // Keeps its last priority until its currency has a rate again
+        if (!isConvertible(caseData)) {
+            unconvertible++;
+            return;
+        }
+
+        const previous = { tier: caseData.priority, score: caseData.priorityScore };
+        if (refreshPriority(caseData, 'SYSTEM', now)) changed++;
+        if (caseData.priority !== previous.tier || caseData.priorityScore !== previous.score) {
+            caseRegistry.save(caseData.caseId);
+        }
+    });
+    if (unconvertible) console.warn(`⚠️  REPRIORITIZE: skipped ${unconvertible} case(s) with no FX rate for their currency`);
+    return changed;
+}
+
+// =============== ALLOCATION BACKLOG ===============
+// Cases that found every DCA at capacity stay RECEIVED and wait here. The
+// backlog is derived from the registry, so it survives restarts for free.
+function getAllocationBacklog() {
+    return Array.from(caseRegistry.values())
+        .filter(c => c.status === 'RECEIVED')
+        .sort(compareBacklogCases);
+}
+
+function queueForAllocation(caseData) {
+    const now = new Date();
+    const waitHours = slaConfig[caseData.priority].allocationWaitHours;
+
+    caseData.allocationSla = {
+        queuedAt: now.toISOString(),
+        deadline: new Date(now.getTime() + waitHours * 3600000).toISOString(),
+        allocatedAt: null,
+        breached: false
+    };
+    caseData.auditTrail.push({
+        action: 'ALLOCATION_QUEUED',
+        user: 'SYSTEM',
+        timestamp: now.toISOString(),
+        details: `All DCAs at capacity; waiting for allocation (SLA ${waitHours}h)`
     });
+    caseRegistry.save(caseData.caseId);
+
+    console.log(`⏳ QUEUED: ${caseData.caseId} (${caseData.priority}) - all DCAs at capacity`);
+}
+
+function hasFreeCapacity() {
+    return Array.from(dcaProfiles.values()).some(dca => dca.currentLoad < dca.capacity);
+}
 
-    if (bestDCA) {
-        caseData.allocatedDCA = bestDCA.dcaId;
-        caseData.allocationScore = bestScore.toFixed(4);
-        caseData.allocationCandidates = candidateDetails;
-        caseData.allocationChosen = { dcaId: bestDCA.dcaId, score: Number(bestScore.toFixed(6)) };
-        caseData.status = 'ALLOCATED';
+// Called whenever DCA capacity may have been freed
+function drainAllocationBacklog() {
+    let allocated = 0;
+    for (const caseData of getAllocationBacklog()) {
+        if (!hasFreeCapacity()) break;
+        if (allocateCaseIntelligently(caseData.caseId)) allocated++;
+    }
 
-        // Set SLA deadlines
-        const riskKey = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'][assessRisk(caseData.debtAmount, caseData.debtAge)];
-        const sla = slaConfig[riskKey];
-        const now = new Date();
+    if (allocated) console.log(`🔄 BACKLOG: allocated ${allocated} waiting case(s)`);
+    return allocated;
+}
 
-        caseData.slaDeadlines = {
-            firstAction: new Date(now.getTime() + sla.firstActionHours * 3600000).toISOString(),
-            followUp: new Date(now.getTime() + sla.followUpDays * 24 * 3600000).toISOString(),
-            resolution: new Date(now.getTime() + sla.resolutionDays * 24 * 3600000).toISOString()
+// =============== BATCH OPTIMIZATION ===============
+// Solves the pending set (the backlog, plus optionally allocated cases nobody
+// has worked yet) in one go instead of first-come-first-served.
+const dcaOptimizer = new DCAOptimizer();
+// Oldest cases first; the rest wait for the next run
+const OPTIMIZE_BATCH_LIMIT = Number(process.env.OPTIMIZE_BATCH_LIMIT || 500);
+
+app.post('/api/allocation/optimize-batch', (req, res) => {
+    const session = authorizeRequest(req, res, 'allocation:optimize');
+    if (!session) return;
+
+    const dryRun = req.body.dryRun !== false;
+    const includeAllocated = req.body.includeAllocated === true;
+
+    const eligible = Array.from(caseRegistry.values())
+        .filter(c => c.status === 'RECEIVED' || (includeAllocated && c.status === 'ALLOCATED'))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const pending = eligible.slice(0, OPTIMIZE_BATCH_LIMIT);
+
+    // Allocated cases the solver cannot place again keep their current slot
+    const activeConfig = allocationConfigs.active();
+    const { optimal, greedy, pinned } = dcaOptimizer.replanBatch(pending, Array.from(dcaProfiles.values()), activeConfig.config);
+    const gain = optimal.objective - greedy.objective;
+
+    const slotLoads = new Map(optimal.assignments.map(a => [a.caseId, a.load]));
+    const plan = optimal.assignments.map(a => {
+        const caseData = caseRegistry.get(a.caseId);
+        return {
+            caseId: a.caseId,
+            priority: caseData.priority,
+            currentDCA: caseData.allocatedDCA,
+            proposedDCA: a.dcaId,
+            score: Number(a.score.toFixed(6)),
+            changed: caseData.allocatedDCA !== a.dcaId
         };
+    });
 
-        bestDCA.currentLoad++;
-        bestDCA.cases.push(caseId);
+    // Loads after the plan, checked before anything is committed for every DCA the plan adds cases to
+    const projected = new Map(Array.from(dcaProfiles.values()).map(dca => [dca.dcaId, dca.currentLoad]));
+    const receiving = new Set();
+    plan.filter(p => p.changed).forEach(p => {
+        if (p.currentDCA && projected.has(p.currentDCA)) projected.set(p.currentDCA, projected.get(p.currentDCA) - 1);
+        projected.set(p.proposedDCA, projected.get(p.proposedDCA) + 1);
+        receiving.add(p.proposedDCA);
+    });
+    const overCapacity = Array.from(projected)
+        .filter(([dcaId, load]) => receiving.has(dcaId) && load > dcaProfiles.get(dcaId).capacity)
+        .map(([dcaId, load]) => ({ dcaId, load, capacity: dcaProfiles.get(dcaId).capacity }));
+    if (overCapacity.length) {
+        return sendError(res, 409, 'CAPACITY_EXCEEDED', 'Batch plan would put a DCA over capacity', { overCapacity });
+    }
 
-        caseData.auditTrail.push({
-            action: 'CASE_ALLOCATED',
-            user: 'SYSTEM',
-            timestamp: new Date().toISOString(),
-            details: `Allocated to ${bestDCA.dcaId} with score ${bestScore.toFixed(4)}`
+    if (!dryRun) {
+        const moves = plan.filter(p => p.changed);
+
+        // Free every slot that is about to move before filling any, so capacity holds throughout
+        moves.forEach(p => {
+            const caseData = caseRegistry.get(p.caseId);
+            if (caseData.allocatedDCA) releaseDCASlot(caseData, 'BATCH_REPLAN');
+        });
+
+        moves.forEach(p => {
+            const caseData = caseRegistry.get(p.caseId);
+            const dca = dcaProfiles.get(p.proposedDCA);
+            // Breakdown at the load the plan priced this slot at
+            const candidates = [allocationCandidate(dca.dcaId, scoreAllocation(caseData, dca, slotLoads.get(p.caseId), activeConfig.config))];
+
+            if (caseData.status === 'RECEIVED') {
+                commitAllocation(caseData, dca, p.score, candidates, session.email, activeConfig, 'BATCH_OPTIMAL');
+                return;
+            }
+
+            applyTransition(caseData, 'REASSIGN', session.email, 'Batch optimization');
+            assignDCASlot(caseData, dca);
+            caseData.allocationScore = p.score.toFixed(4);
+            caseData.allocationCandidates = candidates;
+            caseData.allocationChosen = { dcaId: dca.dcaId, score: p.score, method: 'BATCH_OPTIMAL' };
+            caseData.allocationStrategy = { strategy: activeConfig.config.strategy, configVersion: activeConfig.version };
+            caseData.auditTrail.push({
+                action: 'CASE_REASSIGNED',
+                user: session.email,
+                timestamp: new Date().toISOString(),
+                details: `Batch optimization moved case from ${p.currentDCA} to ${dca.dcaId}`
+            });
+            caseRegistry.save(caseData.caseId);
         });
 
-        console.log(`✅ ALLOCATED: ${caseId} → ${bestDCA.dcaId} (Score: ${bestScore.toFixed(4)})`);
+        console.log(`🧮 BATCH OPTIMIZE: applied ${moves.length} assignment change(s), gain ${gain.toFixed(4)}`);
+    }
+
+    res.json({
+        dryRun,
+        configVersion: activeConfig.version,
+        pendingCases: pending.length,
+        deferredCases: eligible.length - pending.length,
+        plan,
+        unassigned: optimal.unassigned,
+        pinned,
+        objective: {
+            optimal: Number(optimal.objective.toFixed(6)),
+            greedy: Number(greedy.objective.toFixed(6)),
+            gain: Number(gain.toFixed(6)),
+            gainPct: greedy.objective ? Number(((gain / greedy.objective) * 100).toFixed(2)) : null
+        }
+    });
+});
+
+// =============== WHAT-IF SIMULATION ===============
+// Replays stored cases through a candidate config (inline, or a published
+// version) before anyone changes the live weights
+app.post('/api/allocation/simulate', (req, res) => {
+    const session = authorizeRequest(req, res, 'allocation:simulate');
+    if (!session) return;
+
+    const { config, configVersion, seed = 42, rescoreRecovery = false } = req.body;
+
+    let candidate = config;
+    if (!candidate) {
+        const entry = configVersion ? allocationConfigs.get(configVersion) : allocationConfigs.active();
+        if (!entry) return sendError(res, 404, 'CONFIG_VERSION_NOT_FOUND', 'Allocation config version not found');
+        candidate = entry.config;
+    }
+
+    const errors = validateAllocationConfig(candidate);
+    if (errors.length) {
+        return sendError(res, 400, 'VALIDATION_FAILED', 'Allocation config validation failed', { details: errors });
+    }
+
+    const report = replayAllocations({
+        cases: Array.from(caseRegistry.values()),
+        dcas: Array.from(dcaProfiles.values()),
+        config: candidate,
+        slaConfig,
+        seed: Number(seed),
+        rescoreRecovery: rescoreRecovery === true
+    });
+
+    res.json(report);
+});
+
+// =============== ALLOCATION CONFIG (ADMIN) ===============
+app.get('/api/admin/allocation-config', (req, res) => {
+    const session = authorizeRequest(req, res, 'allocation-config:read');
+    if (!session) return;
+
+    res.json({
+        active: allocationConfigs.active(),
+        versions: allocationConfigs.list(),
+        strategies: listStrategies()
+    });
+});
+
+app.get('/api/admin/allocation-config/:version', (req, res) => {
+    const session = authorizeRequest(req, res, 'allocation-config:read');
+    if (!session) return;
+
+    const entry = allocationConfigs.get(req.params.version);
+    if (!entry) return sendError(res, 404, 'CONFIG_VERSION_NOT_FOUND', 'Allocation config version not found');
+
+    res.json(entry);
+});
+
+// Publishes a new version and makes it active
+app.put('/api/admin/allocation-config', (req, res) => {
+    const session = authorizeRequest(req, res, 'allocation-config:write');
+    if (!session) return;
+
+    const { config, note } = req.body;
+    const { errors, entry } = allocationConfigs.publish(config, session.email, note);
+    if (errors) {
+        return sendError(res, 400, 'VALIDATION_FAILED', 'Allocation config validation failed', { details: errors });
+    }
+
+    console.log(`⚙️  ALLOCATION CONFIG: v${entry.version} (${entry.config.strategy}) published by ${session.email}`);
+    res.status(201).json({ message: 'Allocation config published', active: entry });
+});
+
+// Re-activates an earlier version (rollback)
+app.post('/api/admin/allocation-config/:version/activate', (req, res) => {
+    const session = authorizeRequest(req, res, 'allocation-config:write');
+    if (!session) return;
+
+    const entry = allocationConfigs.activate(req.params.version);
+    if (!entry) return sendError(res, 404, 'CONFIG_VERSION_NOT_FOUND', 'Allocation config version not found');
+
+    console.log(`⚙️  ALLOCATION CONFIG: v${entry.version} activated by ${session.email}`);
+    res.json({ message: `Allocation config v${entry.version} activated`, active: entry });
+});
+
+// =============== MODELS ===============
+app.get('/api/models/recovery', async (req, res) => {
+    const session = authorizeRequest(req, res, 'models:read');
+    if (!session) return;
+
+    // Express 4 does not see errors from async handlers; answer them here
+    try {
+        const evaluation = summarizeEvaluation(latestEvaluation());
+        res.json({ ...await recoveryPredictor.getMetrics(), evaluation: evaluation ? evaluation.recoveryPredictor : null });
+    } catch (err) {
+        console.error('❌ MODELS: reading recovery metrics failed:', err);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+    }
+});
+
+// Retrains on the closed cases outside the hold-out split and registers the
+// result as a new version. New ingests only use it once it is promoted, or
+// straight away when no recovery model is in production yet.
+app.post('/api/models/recovery/train', (req, res) => {
+    const session = authorizeRequest(req, res, 'models:train');
+    if (!session) return;
+
+    const candidate = new RecoveryPredictor();
+    const closed = Array.from(caseRegistry.values()).filter(c => !isHeldOut(c.caseId) && recoveryLabel(c) !== null);
+    let model;
+    try {
+        model = candidate.train(closed, { version: modelRegistry.newVersion() });
+    } catch (err) {
+        if (err.code !== 'INSUFFICIENT_TRAINING_DATA') throw err;
+        return sendError(res, 409, err.code, err.message);
+    }
+
+    const promoted = modelRegistry.addVersion({
+        version: model.version,
+        source: 'store',
+        models: { 'recovery-predictor': { model: candidate, dataHash: hashTrainingData(closed), samples: closed.length, metrics: model.metrics } }
+    }, session.email).length > 0;
+    if (promoted) recoveryPredictor.model = candidate.model;
+
+    console.log(`🤖 RECOVERY MODEL: ${model.version} trained on ${model.metrics.samples} cases by ${session.email}${promoted ? ' (promoted)' : ''}`);
+    res.status(201).json({
+        message: promoted ? 'Recovery model trained and promoted' : 'Recovery model trained; promote it to serve new cases',
+        version: model.version,
+        promoted,
+        metrics: model.metrics
+    });
+});
+
+app.get('/api/models', (req, res) => {
+    const session = authorizeRequest(req, res, 'models:read');
+    if (!session) return;
+
+    res.json({ models: modelRegistry.list() });
+});
+
+app.get('/api/models/shadow', (req, res) => {
+    const session = authorizeRequest(req, res, 'models:read');
+    if (!session) return;
+
+    res.json({ active: shadowScorer.active, ...shadowScorer.summary() });
+});
+
+app.post('/api/models/:name/promote', requireAccess('models:manage'), validateBody(schemas.promoteModel), async (req, res) => {
+    const { session } = req;
+
+    const state = await applyRegistryChange(res, req.params.name, () => modelRegistry.promote(req.params.name, req.body.version, session.email));
+    if (!state) return;
+
+    console.log(`🤖 MODEL REGISTRY: ${req.params.name} ${state.production} promoted by ${session.email}`);
+    res.json({ message: `${req.params.name} ${state.production} promoted to production`, model: req.params.name, production: state.production, shadow: state.shadow });
+});
+
+app.post('/api/models/:name/rollback', async (req, res) => {
+    const session = authorizeRequest(req, res, 'models:manage');
+    if (!session) return;
+
+    const state = await applyRegistryChange(res, req.params.name, () => modelRegistry.rollback(req.params.name, session.email));
+    if (!state) return;
+
+    console.log(`↩️  MODEL REGISTRY: ${req.params.name} rolled back to ${state.production} by ${session.email}`);
+    res.json({ message: `${req.params.name} rolled back to ${state.production}`, model: req.params.name, production: state.production, shadow: state.shadow });
+});
+
+// { version: null } (or no version) switches shadow scoring off
+app.put('/api/models/:name/shadow', requireAccess('models:manage'), validateBody(schemas.shadowModel), async (req, res) => {
+    const { session } = req;
+
+    const version = req.body.version || null;
+    const state = await applyRegistryChange(res, req.params.name, () => modelRegistry.setShadow(req.params.name, version, session.email));
+    if (!state) return;
+
+    console.log(`🔍 MODEL REGISTRY: ${req.params.name} shadow ${version || 'off'} set by ${session.email}`);
+    res.json({ message: version ? `${req.params.name} ${version} now scores in shadow` : `Shadow scoring off for ${req.params.name}`, model: req.params.name, production: state.production, shadow: state.shadow });
+});
+
+const liveModels = {
+    'recovery-predictor': recoveryPredictor,
+    'case-prioritizer': casePrioritizer,
+    'sentiment-analyzer': sentimentAnalyzer
+};
+
+const REGISTRY_ERROR_STATUS = { UNKNOWN_MODEL: 404, MODEL_VERSION_NOT_FOUND: 404, NO_PREVIOUS_VERSION: 409, SHADOW_IS_PRODUCTION: 409 };
+
+// Applies a registry change and reloads the in-process models so it takes
+// effect without a restart. Returns the model's new registry state, or null
+// once the error response has been sent. The callers are async handlers,
+// which Express 4 does not catch for, so every error is answered here.
+async function applyRegistryChange(res, name, change) {
+    try {
+        const state = change();
+        await liveModels[name].loadModel(modelRegistry.resolve(name));
+        await shadowScorer.load();
+        // New tier thresholds apply to open cases now, not at the next refresh
+        if (name === 'case-prioritizer') reprioritizeOpenCases();
+        return state;
+    } catch (err) {
+        if (REGISTRY_ERROR_STATUS[err.code]) {
+            sendError(res, REGISTRY_ERROR_STATUS[err.code], err.code, err.message);
+        } else {
+            console.error(`❌ MODEL REGISTRY: change to ${name} failed:`, err);
+            sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+        }
+        return null;
     }
 }
 
+// Logs a candidate's scores next to the live ones; the case keeps the live scores
+function scoreInShadow(caseData) {
+    const entry = shadowScorer.score(caseData, casePrioritizer);
+    if (!entry) return;
+
+    const { live, shadow } = entry;
+    console.log(`🔍 SHADOW: ${caseData.caseId} live ${live.priority} ${live.recoveryProbability.toFixed(2)} vs shadow ${shadow.priority} ${shadow.recoveryProbability.toFixed(2)}`);
+}
+
+app.get('/api/allocation/backlog', (req, res) => {
+    const session = authorizeRequest(req, res, 'allocation:read');
+    if (!session) return;
+
+    const now = new Date();
+    const backlog = getAllocationBacklog().map((c, index) => ({
+        position: index + 1,
+        caseId: c.caseId,
+        debtor: c.debtor,
+        priority: c.priority,
+        debtAge: c.debtAge,
+        debtAmount: c.debtAmount,
+        currency: caseCurrency(c),
+        queuedAt: c.allocationSla ? c.allocationSla.queuedAt : c.createdAt,
+        allocationDeadline: c.allocationSla ? c.allocationSla.deadline : null,
+        hoursRemaining: c.allocationSla
+            ? Math.max(0, (new Date(c.allocationSla.deadline) - now) / 3600000).toFixed(1)
+            : null,
+        breached: c.allocationSla ? now > new Date(c.allocationSla.deadline) : false
+    }));
+
+    res.json({
+        size: backlog.length,
+        freeCapacity: Array.from(dcaProfiles.values()).reduce((sum, dca) => sum + Math.max(0, dca.capacity - dca.currentLoad), 0),
+        cases: backlog
+    });
+});
+
 // =============== CASE ENDPOINTS ===============
 app.get('/api/cases', (req, res) => {
-    const session = verifySession(req);
-    if (!session) return res.status(403).json({ error: 'Unauthorized' });
+    const session = authorizeRequest(req, res, 'case:list');
+    if (!session) return;
 
-    let cases = Array.from(caseRegistry.values());
-
-    // Filter by role
-    if (session.role === 'DCA') {
-        const userDCA = users.get(session.email).dcaId;
-        cases = cases.filter(c => c.allocatedDCA === userDCA);
-    }
+    const cases = filterVisible(session, 'case:list', Array.from(caseRegistry.values()));
 
     res.json({
         stats: {
@@ -320,20 +1069,34 @@ app.get('/api/cases', (req, res) => {
 });
 
 app.get('/api/cases/:caseId', (req, res) => {
-    const session = verifySession(req);
-    if (!session) return res.status(403).json({ error: 'Unauthorized' });
-
-    const caseData = caseRegistry.get(req.params.caseId);
-    if (!caseData) return res.status(404).json({ error: 'Case not found' });
+    const access = authorizeCaseRequest(req, res, 'case:read');
+    if (!access) return;
+    const { caseData } = access;
 
     res.json(caseData);
 });
 
+app.get('/api/cases/:caseId/transitions', (req, res) => {
+    const access = authorizeCaseRequest(req, res, 'case:read');
+    if (!access) return;
+    const { caseData } = access;
+
+    res.json({
+        caseId: caseData.caseId,
+        status: caseData.status,
+        allowedActions: allowedActions(caseData.status).map(action => ({
+            action,
+            to: nextState(caseData.status, action)
+        }))
+    });
+});
+
 // =============== DCA ENDPOINTS ===============
 app.get('/api/dcas', (req, res) => {
-    const session = verifySession(req);
-    if (!session) return res.status(403).json({ error: 'Unauthorized' });
+    const session = authorizeRequest(req, res, 'dca:read');
+    if (!session) return;
 
+    const ledgerRecovered = recoveredByDCA(caseRegistry.values());
     const dcas = Array.from(dcaProfiles.values()).map(dca => ({
         dcaId: dca.dcaId,
         name: dca.name,
@@ -342,8 +1105,9 @@ app.get('/api/dcas', (req, res) => {
         utilizationRate: ((dca.currentLoad / dca.capacity) * 100).toFixed(1) + '%',
         historicalRecoveryRate: (dca.historicalRecoveryRate * 100).toFixed(1) + '%',
         complianceScore: (dca.complianceScore * 100).toFixed(1) + '%',
+        complianceViolations: dca.complianceViolations || 0,
         slaBreaches: dca.slaBreaches,
-        recoveredAmount: dca.recoveredAmount,
+        recoveredAmount: dcaRecoveredAmount(dca, ledgerRecovered),
         averageResolutionDays: dca.averageResolutionDays
     }));
 
@@ -351,46 +1115,147 @@ app.get('/api/dcas', (req, res) => {
 });
 
 // =============== SOP & COMPLIANCE ===============
+// Outbound contacts are checked before they are logged (services/contact-compliance.js).
+// Every SOP violation attributed to a DCA lowers its complianceScore, which
+// allocation weighs as compliance risk.
+const COMPLIANCE_VIOLATION_PENALTY = Number(process.env.COMPLIANCE_VIOLATION_PENALTY || 0.02);
+
 app.get('/api/sops', (req, res) => {
     res.json(sopRules);
 });
 
-app.post('/api/cases/:caseId/interaction', (req, res) => {
-    const session = verifySession(req);
-    if (!session) return res.status(403).json({ error: 'Unauthorized' });
+function chargeComplianceViolation(dcaId, now = new Date()) {
+    const dca = dcaId ? dcaProfiles.get(dcaId) : null;
+    if (!dca) return;
 
-    const caseData = caseRegistry.get(req.params.caseId);
-    if (!caseData) return res.status(404).json({ error: 'Case not found' });
+    dca.complianceScore = Math.max(0, Number((dca.complianceScore - COMPLIANCE_VIOLATION_PENALTY).toFixed(4)));
+    dca.complianceViolations = (dca.complianceViolations || 0) + 1;
+    dca.lastComplianceViolationAt = now.toISOString();
+    dcaProfiles.save(dca.dcaId);
+}
 
-    const { type, details, result } = req.body;
+function contactCheck(caseData, channel, now = new Date()) {
+    return checkContact(caseData, channel, { doNotContact: Array.from(doNotContactList.values()), now });
+}
 
-    caseData.interactions.push({
-        type, // CALL, EMAIL, SMS, VISIT
-        details,
-        result, // SUCCESS, CALLBACK, DISPUTE, NO_ANSWER
-        timestamp: new Date().toISOString(),
-        dcaId: users.get(session.email).dcaId
+// The engine stopped the contact before it was made, so no breach took place
+// and no agency score changes; the attempt is audited against the DCA (if
+// any) whose agent made it, and the interaction itself is not recorded
+function recordBlockedContact(caseData, check, session, now = new Date()) {
+    const rules = check.reasons.map(r => r.rule);
+    caseData.auditTrail.push({
+        action: 'CONTACT_BLOCKED',
+        user: session.email,
+        timestamp: now.toISOString(),
+        details: `${check.channel} contact blocked: ${check.reasons.map(r => r.message).join('; ')}`,
+        sopRule: 'CONTACT_COMPLIANCE',
+        dcaId: session.dcaId || null,
+        rules
     });
+    caseRegistry.save(caseData.caseId);
+    console.warn(`⚠️  CONTACT BLOCKED: ${caseData.caseId} ${check.channel} by ${session.email} (${rules.join(', ')})`);
+}
 
-    // Check SOP compliance
-    if (type === 'CALL' && !isWithinPermittedHours()) {
-        caseData.auditTrail.push({
-            action: 'SOP_VIOLATION',
-            user: session.email,
-            timestamp: new Date().toISOString(),
-            details: 'Contact outside permitted hours'
+app.post('/api/cases/:caseId/contact-check', requireCaseAccess('contact:check'), validateBody(schemas.contactCheck), (req, res) => {
+    const { caseData } = req.access;
+
+    res.json({ caseId: caseData.caseId, ...contactCheck(caseData, req.body.channel) });
+});
+
+app.get('/api/do-not-contact', (req, res) => {
+    const session = authorizeRequest(req, res, 'dnc:read');
+    if (!session) return;
+
+    res.json(Array.from(doNotContactList.values()));
+});
+
+app.post('/api/do-not-contact', requireAccess('dnc:manage'), validateBody(schemas.doNotContact), (req, res) => {
+    const { session } = req;
+
+    const { phone, email, channel, reason } = req.body;
+    if (!phone && !email) {
+        return sendError(res, 400, 'VALIDATION_FAILED', 'Request validation failed', {
+            details: [{ field: 'phone', code: 'REQUIRED', message: 'phone or email is required' }]
         });
     }
 
+    const entry = {
+        entryId: `DNC-${store.nextSequence('doNotContactCounter', 1000)}`,
+        phone: phone || null,
+        email: email || null,
+        channel: channel || null,
+        reason,
+        addedBy: session.email,
+        addedAt: new Date().toISOString()
+    };
+    doNotContactList.set(entry.entryId, entry);
+    console.log(`🚫 DO NOT CONTACT: ${entry.entryId} added by ${session.email}`);
+
+    res.status(201).json({ message: 'Added to do-not-contact list', entry });
+});
+
+app.delete('/api/do-not-contact/:entryId', (req, res) => {
+    const session = authorizeRequest(req, res, 'dnc:manage');
+    if (!session) return;
+
+    const entry = doNotContactList.get(req.params.entryId);
+    if (!entry) return sendError(res, 404, 'DNC_ENTRY_NOT_FOUND', `No do-not-contact entry ${req.params.entryId}`);
+
+    doNotContactList.delete(entry.entryId);
+    console.log(`🚫 DO NOT CONTACT: ${entry.entryId} removed by ${session.email}`);
+    res.json({ message: 'Removed from do-not-contact list', entry });
+});
+
+app.post('/api/cases/:caseId/interaction', requireCaseAccess('case:interact'), validateBody(schemas.interaction), (req, res) => {
+    const { session, caseData } = req.access;
+
+    const { type, details, result, disputeCategory } = req.body;
+    const direction = req.body.direction || 'OUTBOUND';
+
+    // A dispute raised on a case that is already disputed opens another dispute without a transition
+    const action = result === 'DISPUTE' && caseData.status !== 'DISPUTED' ? 'DISPUTE' : 'LOG_INTERACTION';
+    if (!canTransition(caseData.status, action)) {
+        return res.status(409).json(transitionError(caseData, action));
+    }
+
+    // The debtor reaching out is never a compliance issue
+    if (direction === 'OUTBOUND') {
+        const check = contactCheck(caseData, type);
+        if (!check.allowed) {
+            recordBlockedContact(caseData, check, session);
+            return sendError(res, 403, 'CONTACT_BLOCKED', `${type} contact with ${caseData.caseId} is not permitted`, {
+                reasons: check.reasons,
+                retryAt: check.retryAt,
+                debtorLocalTime: check.debtorLocalTime,
+                timeZone: check.timeZone
+            });
+        }
+    }
+
+    const analysis = sentimentAnalyzer.analyze(details);
+    caseData.interactions.push({
+        type, // CALL, EMAIL, SMS, VISIT
+        direction, // OUTBOUND, INBOUND
+        details,
+        result, // SUCCESS, CALLBACK, DISPUTE, NO_ANSWER
+        timestamp: new Date().toISOString(),
+        dcaId: session.dcaId,
+        sentiment: { label: analysis.sentiment, score: analysis.score, strongNegative: analysis.strongNegative },
+        keyPhrases: analysis.keyPhrases,
+        intentFlags: analysis.flags,
+        intentPhrases: analysis.intents
+    });
+
+    if (analysis.flags.hardship) {
+        console.log(`🤝 HARDSHIP: ${caseData.caseId} note mentions ${analysis.intents.hardship.join(', ')}`);
+    }
+
+    // Marks the case disputed there and then; categorise it before review if no category was given
     if (result === 'DISPUTE') {
-        caseData.disputes.push({
-            reason: details,
-            createdAt: new Date().toISOString(),
-            status: 'PENDING'
-        });
+        openCaseDispute(caseData, { category: disputeCategory || null, reason: details || null }, session.email);
     }
 
-    caseData.status = 'IN_PROGRESS';
+    applyTransition(caseData, action, session.email, `${type} interaction: ${result}`);
     caseData.auditTrail.push({
         action: 'INTERACTION_LOGGED',
         user: session.email,
@@ -398,22 +1263,16 @@ app.post('/api/cases/:caseId/interaction', (req, res) => {
         details: `${type} interaction: ${result}`
     });
 
-    
-
-    res.json({ message: 'Interaction logged', case: caseData });
-});
+    // Dispute intent or a strongly negative note raises the case a tier
+    refreshPriority(caseData, session.email);
 
-function isWithinPermittedHours() {
-    const hour = new Date().getHours();
-    return hour >= 9 && hour <= 18;
-}
+    caseRegistry.save(caseData.caseId);
 
-app.post('/api/cases/:caseId/document', (req, res) => {
-    const session = verifySession(req);
-    if (!session) return res.status(403).json({ error: 'Unauthorized' });
+    res.json({ message: 'Interaction logged', analysis, case: caseData });
+});
 
-    const caseData = caseRegistry.get(req.params.caseId);
-    if (!caseData) return res.status(404).json({ error: 'Case not found' });
+app.post('/api/cases/:caseId/document', requireCaseAccess('case:document'), validateBody(schemas.document), (req, res) => {
+    const { session, caseData } = req.access;
 
     const { fileName, type, content } = req.body;
 
@@ -433,42 +1292,171 @@ app.post('/api/cases/:caseId/document', (req, res) => {
         details: `Document: ${fileName}`
     });
 
+    caseRegistry.save(caseData.caseId);
+
     res.json({ message: 'Document uploaded', case: caseData });
 });
 
 // =============== SLA & MONITORING ===============
-app.get('/api/sla/status', (req, res) => {
-    const session = verifySession(req);
-    if (!session) return res.status(403).json({ error: 'Unauthorized' });
+// A background check turns SLA deadlines into events on the case: each
+// crossed warning threshold and each breach is recorded exactly once, keyed
+// on its SLA type and the clock it belongs to, so a reallocation (new clock)
+// can breach again but neither a re-check nor a deadline moved by a pause
+// double counts. Paused clocks record nothing.
+const SLA_CHECK_MS = Number(process.env.SLA_CHECK_MINUTES || 5) * 60 * 1000;
+
+function slaEventKey({ event, type, clock, deadline, threshold }) {
+    return `${event}|${type}|${clock || deadline}|${threshold ?? ''}`;
+}
 
-    const now = new Date();
-    const slaStatus = [];
+// Records new events for one case; returns how many. The caller saves.
+function checkCaseSla(caseData, now = new Date()) {
+    if (!caseData.slaEvents) caseData.slaEvents = [];
+    const seen = new Set(caseData.slaEvents.map(slaEventKey));
+    const clock = caseData.slaDeadlines.startedAt;
+    let recorded = 0;
 
-    caseRegistry.forEach((caseData, caseId) => {
-        if (caseData.status === 'RESOLVED' || !caseData.slaDeadlines) return;
+    evaluateCaseSla(caseData, now).forEach(status => {
+        if (status.state === 'BREACHED') {
+            const event = { event: 'BREACHED', type: status.type, clock, deadline: status.deadline, at: status.deadline, detectedAt: now.toISOString(), dcaId: caseData.allocatedDCA };
+            if (seen.has(slaEventKey(event))) return;
 
-        const breached = now > new Date(caseData.slaDeadlines.resolution);
-        if (breached) {
+            caseData.slaEvents.push(event);
             caseData.slaBreached = true;
-            
-            // Apply penalty
-            if (caseData.allocatedDCA) {
-                const dca = dcaProfiles.get(caseData.allocatedDCA);
-                if (dca) dca.slaBreaches++;
+            caseData.auditTrail.push({
+                action: 'SLA_BREACHED',
+                user: 'SYSTEM',
+                timestamp: now.toISOString(),
+                details: `${status.type} deadline ${status.deadline} missed${caseData.allocatedDCA ? ` by ${caseData.allocatedDCA}` : ''}`
+            });
+
+            const dca = caseData.allocatedDCA ? dcaProfiles.get(caseData.allocatedDCA) : null;
+            if (dca) {
+                dca.slaBreaches++;
+                dcaProfiles.save(dca.dcaId);
             }
-            
+            console.warn(`🚨 SLA BREACH: ${caseData.caseId} ${status.type} (deadline ${status.deadline})${dca ? ` charged to ${dca.dcaId}` : ''}`);
+            recorded++;
+            return;
+        }
+
+        const fresh = status.warnings
+            .map(threshold => ({ event: 'APPROACHING', type: status.type, clock, deadline: status.deadline, threshold, at: now.toISOString(), dcaId: caseData.allocatedDCA }))
+            .filter(event => !seen.has(slaEventKey(event)));
+        if (!fresh.length) return;
+
+        // Several thresholds can be crossed between checks; warn once for the highest
+        const highest = fresh[fresh.length - 1].threshold;
+        caseData.slaEvents.push(...fresh);
+        caseData.auditTrail.push({
+            action: 'SLA_WARNING',
+            user: 'SYSTEM',
+            timestamp: now.toISOString(),
+            details: `${status.type} deadline ${status.deadline}: ${Math.round(highest * 100)}% of the window used, ${status.hoursRemaining}h left`
+        });
+        console.warn(`⏰ SLA WARNING: ${caseData.caseId} ${status.type} ${Math.round(highest * 100)}% elapsed, ${status.hoursRemaining}h left`);
+        recorded += fresh.length;
+    });
+
+    return recorded;
+}
+
+// Records a calendar gap on the case and logs it the first time; returns
+// whether the case changed
+function flagCalendarError(caseData, err, now = new Date()) {
+    if (!recordSlaCalendarError(caseData, err, now)) return false;
+    console.error(`📅 SLA CALENDAR ERROR: ${caseData.caseId} ${err.message}`);
+    return true;
+}
+
+// Closed cases are checked one last time, which records any breach their
+// closing settled, and are then marked settledAt and skipped from then on.
+// A case whose calendar does not cover the dates is flagged and skipped, so
+// one gap never stops the check of the others.
+function runSlaMonitor(now = new Date()) {
+    let recorded = 0;
+    caseRegistry.forEach(caseData => {
+        if (!caseData.slaDeadlines || caseData.slaDeadlines.settledAt) return;
+
+        let count;
+        try {
+            count = checkCaseSla(caseData, now) + checkDisputeMarking(caseData, now);
+        } catch (err) {
+            if (flagCalendarError(caseData, err, now)) caseRegistry.save(caseData.caseId);
+            return;
+        }
+
+        // The calendar covers the dates again: catch up a pause or resume
+        // that the gap held back and clear the flag
+        const flagged = Boolean(caseData.slaCalendarError);
+        if (flagged) {
+            delete caseData.slaCalendarError;
+            syncSlaClock(caseData, caseData.status, caseData.status, 'SYSTEM', now);
+        }
+        const settled = slaSettled(caseData, now);
+        if (settled) caseData.slaDeadlines.settledAt = now.toISOString();
+        if (count || settled || flagged) caseRegistry.save(caseData.caseId);
+        recorded += count;
+    });
+    return recorded;
+}
+
+// Read-only view; breaches are recorded by the monitor, not by this call
+app.get('/api/sla/status', (req, res) => {
+    const session = authorizeRequest(req, res, 'sla:read');
+    if (!session) return;
+
+    const now = new Date();
+    const slaStatus = [];
+
+    caseRegistry.forEach(caseData => {
+        if (!authorize(session, 'sla:read', caseData).allowed) return;
+
+        if (caseData.status === 'RECEIVED' && caseData.allocationSla) {
+            const deadline = new Date(caseData.allocationSla.deadline);
+            slaStatus.push({
+                caseId: caseData.caseId,
+                debtor: caseData.debtor,
+                priority: caseData.priority,
+                allocatedDCA: null,
+                slaType: 'ALLOCATION',
+                allocationSla: caseData.allocationSla,
+                breached: now > deadline,
+                hoursRemaining: Math.max(0, (deadline - now) / 3600000).toFixed(1)
+            });
+            return;
         }
 
+        if (caseData.status === 'RESOLVED' || caseData.status === 'WRITTEN_OFF' || !caseData.slaDeadlines) return;
+
+        // A calendar gap leaves this case's deadlines unknown, not the listing broken
+        let deadlines = [];
+        let calendarError = null;
+        try {
+            deadlines = evaluateCaseSla(caseData, now);
+        } catch (err) {
+            if (err.code !== 'CALENDAR_NOT_COVERED') throw err;
+            calendarError = err.message;
+        }
+        const next = deadlines.find(d => ['PENDING', 'APPROACHING', 'PAUSED'].includes(d.state));
+        const paused = Boolean(caseData.slaDeadlines.pausedAt);
         slaStatus.push({
             caseId: caseData.caseId,
             debtor: caseData.debtor,
             priority: caseData.priority,
             allocatedDCA: caseData.allocatedDCA,
+            slaType: next ? next.type : 'RESOLUTION',
             slaDeadlines: caseData.slaDeadlines,
-            breached,
-            hoursRemaining: Math.max(0, 
-                (new Date(caseData.slaDeadlines.resolution) - now) / 3600000
-            ).toFixed(1)
+            calendar: caseData.slaDeadlines.calendar || null,
+            calendarError,
+            deadlines,
+            breached: Boolean(caseData.slaBreached) || deadlines.some(d => d.state === 'BREACHED'),
+            // A paused clock has no wall-clock countdown; workingHoursRemaining still applies
+            paused,
+            hoursRemaining: paused ? null : next ? Math.max(0, next.hoursRemaining).toFixed(1) : '0.0',
+            workingHoursRemaining: next ? next.workingHoursRemaining : null,
+            pauses: caseData.slaPauses || [],
+            events: caseData.slaEvents || []
         });
     });
 
@@ -477,11 +1465,9 @@ app.get('/api/sla/status', (req, res) => {
 
 // =============== AUDIT TRAIL ===============
 app.get('/api/audit/:caseId', (req, res) => {
-    const session = verifySession(req);
-    if (!session) return res.status(403).json({ error: 'Unauthorized' });
-
-    const caseData = caseRegistry.get(req.params.caseId);
-    if (!caseData) return res.status(404).json({ error: 'Case not found' });
+    const access = authorizeCaseRequest(req, res, 'case:audit');
+    if (!access) return;
+    const { caseData } = access;
 
     res.json({
         caseId: req.params.caseId,
@@ -490,16 +1476,15 @@ app.get('/api/audit/:caseId', (req, res) => {
 });
 
 // =============== ESCALATION ===============
-app.post('/api/cases/:caseId/escalate', (req, res) => {
-    const session = verifySession(req);
-    if (!session) return res.status(403).json({ error: 'Unauthorized' });
-
-    const caseData = caseRegistry.get(req.params.caseId);
-    if (!caseData) return res.status(404).json({ error: 'Case not found' });
+app.post('/api/cases/:caseId/escalate', requireCaseAccess('case:escalate'), validateBody(schemas.escalate), (req, res) => {
+    const { session, caseData } = req.access;
 
     const { reason, targetRole } = req.body;
 
-    caseData.status = 'ESCALATED';
+    if (!applyTransition(caseData, 'ESCALATE', session.email, reason)) {
+        return res.status(409).json(transitionError(caseData, 'ESCALATE'));
+    }
+
     caseData.auditTrail.push({
         action: 'ESCALATION',
         user: session.email,
@@ -507,85 +1492,811 @@ app.post('/api/cases/:caseId/escalate', (req, res) => {
         details: `Escalated to ${targetRole}: ${reason}`
     });
 
+    caseRegistry.save(caseData.caseId);
+
     res.json({ message: 'Case escalated', case: caseData });
 });
 
-// =============== RESOLUTION ===============
-app.post('/api/cases/:caseId/resolve', (req, res) => {
-    const session = verifySession(req);
-    if (!session) return res.status(403).json({ error: 'Unauthorized' });
+// FedEx hands an escalated case back to the agency; its SLA clock resumes
+app.post('/api/cases/:caseId/de-escalate', requireCaseAccess('case:de-escalate'), validateBody(schemas.deEscalate), (req, res) => {
+    const { session, caseData } = req.access;
 
-    const caseData = caseRegistry.get(req.params.caseId);
-    if (!caseData) return res.status(404).json({ error: 'Case not found' });
+    if (!applyTransition(caseData, 'DE_ESCALATE', session.email, req.body.reason)) {
+        return res.status(409).json(transitionError(caseData, 'DE_ESCALATE'));
+    }
 
-    const { resolutionType, recoveredAmount, notes } = req.body;
+    caseData.auditTrail.push({
+        action: 'DE_ESCALATION',
+        user: session.email,
+        timestamp: new Date().toISOString(),
+        details: `Returned to collection: ${req.body.reason}`
+    });
 
-    caseData.status = 'RESOLVED';
-    caseData.resolutionType = resolutionType; // RECOVERED, WRITTEN_OFF, SETTLED
-    caseData.recoveredAmount = recoveredAmount || 0;
-    caseData.resolvedAt = new Date().toISOString();
+    caseRegistry.save(caseData.caseId);
+
+    res.json({ message: 'Case de-escalated', case: caseData });
+});
+
+// =============== DISPUTES ===============
+// Disputes are raised by the DCA (directly or via a DISPUTE interaction),
+// reviewed by FedEx and decided there. Upholding adjusts or cancels the debt;
+// rejecting or withdrawing the last active dispute returns the case to
+// collection.
+function openCaseDispute(caseData, { category, reason, owner }, user, now = new Date()) {
+    const [raisedAt] = unmarkedDisputeSignals(caseData);
+    const dispute = createDispute({
+        disputeId: `DSP-${store.nextSequence('disputeIdCounter', 1000)}`,
+        category,
+        reason,
+        owner: owner || user,
+        user,
+        now,
+        raisedAt
+    });
+    caseData.disputes.push(dispute);
+    caseData.auditTrail.push({
+        action: 'DISPUTE_OPENED',
+        user,
+        timestamp: now.toISOString(),
+        details: `${dispute.disputeId} (${category || 'uncategorized'}) owned by ${dispute.owner}${reason ? `: ${reason}` : ''}`
+    });
+    if (!dispute.markedWithinSop) recordDisputeMarkingViolation(caseData, dispute.raisedAt, now);
+
+    console.log(`⚖️  DISPUTE OPENED: ${caseData.caseId} ${dispute.disputeId} (${category || 'uncategorized'})`);
+    return dispute;
+}
+
+// SOP "Mark disputed cases within 24 hours"; recorded once per dispute signal
+function recordDisputeMarkingViolation(caseData, signalAt, now = new Date()) {
+    const recorded = caseData.auditTrail.some(a => a.sopRule === 'DISPUTE_MARKING' && a.signalAt === signalAt);
+    if (recorded) return false;
+
+    caseData.auditTrail.push({
+        action: 'SOP_VIOLATION',
+        user: 'SYSTEM',
+        timestamp: now.toISOString(),
+        details: `Dispute raised at ${signalAt} not marked within ${DISPUTE_MARKING_HOURS} hours${caseData.allocatedDCA ? ` by ${caseData.allocatedDCA}` : ''}`,
+        sopRule: 'DISPUTE_MARKING',
+        signalAt
+    });
+    chargeComplianceViolation(caseData.allocatedDCA, now);
+    console.warn(`⚠️  SOP VIOLATION: ${caseData.caseId} dispute raised at ${signalAt} not marked within ${DISPUTE_MARKING_HOURS}h`);
+    return true;
+}
+
+// Run by the SLA monitor; returns how many violations were recorded. The caller saves.
+function checkDisputeMarking(caseData, now = new Date()) {
+    if (caseData.status === 'RESOLVED' || caseData.status === 'WRITTEN_OFF') return 0;
+    return unmarkedDisputeSignals(caseData)
+        .filter(signalAt => now > new Date(markingDeadline(signalAt)))
+        .filter(signalAt => recordDisputeMarkingViolation(caseData, signalAt, now))
+        .length;
+}
+
+// Once no dispute is left active, a DISPUTED case goes back to collection
+function returnToCollection(caseData, user, details) {
+    if (caseData.status !== 'DISPUTED' || activeDisputes(caseData).length) return false;
+    return applyTransition(caseData, 'CLOSE_DISPUTE', user, details);
+}
+
+function findDispute(req, res, caseData) {
+    const dispute = caseData.disputes.find(d => d.disputeId === req.params.disputeId);
+    if (!dispute) sendError(res, 404, 'DISPUTE_NOT_FOUND', 'Dispute not found');
+    return dispute || null;
+}
 
-    // Update DCA stats
-    if (caseData.allocatedDCA) {
-        const dca = dcaProfiles.get(caseData.allocatedDCA);
-        if (dca && recoveredAmount) {
-            dca.recoveredAmount += recoveredAmount;
+function closeDispute(caseData, dispute, action, session, notes, extra = {}) {
+    applyDisputeAction(dispute, action, session.email, notes || null);
+    dispute.decision = { outcome: dispute.status, notes: notes || null, decidedBy: session.email, decidedAt: new Date().toISOString(), ...extra };
+    caseData.auditTrail.push({
+        action: `DISPUTE_${dispute.status}`,
+        user: session.email,
+        timestamp: dispute.decision.decidedAt,
+        details: `${dispute.disputeId} ${dispute.status.toLowerCase()}${notes ? `: ${notes}` : ''}`
+    });
+}
+
+app.get('/api/cases/:caseId/disputes', (req, res) => {
+    const access = authorizeCaseRequest(req, res, 'case:read');
+    if (!access) return;
+    const { caseData } = access;
+
+    res.json({
+        caseId: caseData.caseId,
+        status: caseData.status,
+        disputes: caseData.disputes,
+        unmarkedSignals: unmarkedDisputeSignals(caseData).map(signalAt => ({ signalAt, deadline: markingDeadline(signalAt) }))
+    });
+});
+
+app.post('/api/cases/:caseId/disputes', requireCaseAccess('dispute:open'), validateBody(schemas.openDispute), (req, res) => {
+    const { session, caseData } = req.access;
+
+    const { category, reason, owner } = req.body;
+    if (caseData.status !== 'DISPUTED' && !canTransition(caseData.status, 'DISPUTE')) {
+        return res.status(409).json(transitionError(caseData, 'DISPUTE'));
+    }
+
+    const dispute = openCaseDispute(caseData, { category, reason, owner }, session.email);
+    if (caseData.status !== 'DISPUTED') applyTransition(caseData, 'DISPUTE', session.email, `${dispute.disputeId}: ${reason}`);
+    caseRegistry.save(caseData.caseId);
+
+    res.status(201).json({ message: 'Dispute opened', dispute, case: caseData });
+});
+
+app.post('/api/cases/:caseId/disputes/:disputeId/evidence', requireCaseAccess('dispute:evidence'), validateBody(schemas.disputeEvidence), (req, res) => {
+    const { session, caseData } = req.access;
+    const dispute = findDispute(req, res, caseData);
+    if (!dispute) return;
+
+    const { docId, fileName, type, content } = req.body;
+    if (!canApplyDisputeAction(dispute, 'ATTACH_EVIDENCE')) {
+        return res.status(409).json(disputeTransitionError(dispute, 'ATTACH_EVIDENCE'));
+    }
+    if (!docId && !(fileName && content)) {
+        return sendError(res, 400, 'VALIDATION_FAILED', 'Request validation failed', {
+            details: [{ field: 'docId', code: 'REQUIRED', message: 'docId, or fileName and content, is required' }]
+        });
+    }
+
+    let document;
+    if (docId) {
+        document = caseData.documents.find(d => d.docId === docId);
+        if (!document) return sendError(res, 404, 'DOCUMENT_NOT_FOUND', 'Document not found');
+    } else {
+        document = {
+            docId: crypto.randomBytes(8).toString('hex'),
+            fileName,
+            type: type || 'OTHER',
+            uploadedBy: session.email,
+            uploadedAt: new Date().toISOString(),
+            contentPreview: content.substring(0, 200),
+            disputeId: dispute.disputeId
+        };
+        caseData.documents.push(document);
+    }
+    if (dispute.evidence.some(e => e.docId === document.docId)) {
+        return sendError(res, 409, 'EVIDENCE_ALREADY_ATTACHED', `Document ${document.docId} is already evidence for ${dispute.disputeId}`);
+    }
+
+    dispute.evidence.push({ docId: document.docId, fileName: document.fileName, attachedBy: session.email, attachedAt: new Date().toISOString() });
+    applyDisputeAction(dispute, 'ATTACH_EVIDENCE', session.email, document.fileName);
+    caseData.auditTrail.push({
+        action: 'DISPUTE_EVIDENCE_ATTACHED',
+        user: session.email,
+        timestamp: new Date().toISOString(),
+        details: `${document.fileName} attached to ${dispute.disputeId}`
+    });
+    caseRegistry.save(caseData.caseId);
+
+    res.json({ message: 'Evidence attached', dispute, case: caseData });
+});
+
+app.post('/api/cases/:caseId/disputes/:disputeId/review', requireCaseAccess('dispute:review'), validateBody(schemas.disputeReview), (req, res) => {
+    const { session, caseData } = req.access;
+    const dispute = findDispute(req, res, caseData);
+    if (!dispute) return;
+
+    const { category, reviewer, notes } = req.body;
+    if (!canApplyDisputeAction(dispute, 'REQUEST_REVIEW')) {
+        return res.status(409).json(disputeTransitionError(dispute, 'REQUEST_REVIEW'));
+    }
+    if (!category && !dispute.category) {
+        return sendError(res, 400, 'DISPUTE_UNCATEGORIZED', `${dispute.disputeId} needs a category before FedEx can review it`);
+    }
+
+    if (category) dispute.category = category;
+    dispute.review = { requestedBy: session.email, requestedAt: new Date().toISOString(), reviewer: reviewer || null, notes: notes || null };
+    if (reviewer) dispute.owner = reviewer;
+    applyDisputeAction(dispute, 'REQUEST_REVIEW', session.email, notes || null);
+    caseData.auditTrail.push({
+        action: 'DISPUTE_REVIEW_REQUESTED',
+        user: session.email,
+        timestamp: dispute.review.requestedAt,
+        details: `${dispute.disputeId} sent for FedEx review${reviewer ? ` (${reviewer})` : ''}`
+    });
+    caseRegistry.save(caseData.caseId);
+
+    res.json({ message: 'Dispute sent for review', dispute, case: caseData });
+});
+
+app.post('/api/cases/:caseId/disputes/:disputeId/uphold', requireCaseAccess('dispute:decide'), validateBody(schemas.upholdDispute), (req, res) => {
+    const { session, caseData } = req.access;
+    const dispute = findDispute(req, res, caseData);
+    if (!dispute) return;
+
+    const { resolution, adjustedAmount, notes } = req.body;
+    if (!canApplyDisputeAction(dispute, 'UPHOLD')) {
+        return res.status(409).json(disputeTransitionError(dispute, 'UPHOLD'));
+    }
+    if (resolution === 'ADJUST' && !(adjustedAmount < caseData.debtAmount)) {
+        return sendError(res, 400, 'INVALID_ADJUSTMENT', `adjustedAmount must be given and below the current debt of ${caseData.debtAmount} ${caseCurrency(caseData)}`);
+    }
+    if (resolution === 'CANCEL' && !canTransition(caseData.status, 'RESOLVE')) {
+        return res.status(409).json(transitionError(caseData, 'RESOLVE'));
+    }
+
+    const previousAmount = caseData.debtAmount;
+    const newAmount = resolution === 'CANCEL' ? 0 : adjustedAmount;
+    closeDispute(caseData, dispute, 'UPHOLD', session, notes, { resolution, previousAmount, adjustedAmount: newAmount });
+
+    postLedgerEntry(caseData, {
+        type: 'ADJUSTMENT',
+        amount: newAmount - previousAmount,
+        source: { type: 'DISPUTE', disputeId: dispute.disputeId }
+    }, session.email);
+    caseData.auditTrail.push({
+        action: 'DEBT_ADJUSTED',
+        user: session.email,
+        timestamp: dispute.decision.decidedAt,
+        details: `Debt ${resolution === 'CANCEL' ? 'cancelled' : 'adjusted'} from ${formatMoney(previousAmount, caseCurrency(caseData))} to ${formatMoney(newAmount, caseCurrency(caseData))} by ${dispute.disputeId}`
+    });
+
+    if (resolution === 'ADJUST') {
+        returnToCollection(caseData, session.email, `${dispute.disputeId} upheld, debt adjusted`);
+        refreshPriority(caseData, session.email);
+        caseRegistry.save(caseData.caseId);
+        return res.json({ message: 'Dispute upheld, debt adjusted', dispute, case: caseData });
+    }
+
+    // Nothing is owed any more: other open disputes on the case lapse with it
+    activeDisputes(caseData).forEach(other => {
+        applyDisputeAction(other, 'WITHDRAW', 'SYSTEM', `Debt cancelled by ${dispute.disputeId}`);
+        other.decision = { outcome: 'WITHDRAWN', notes: `Debt cancelled by ${dispute.disputeId}`, decidedBy: 'SYSTEM', decidedAt: dispute.decision.decidedAt };
+    });
+    resolveCase(caseData, 'RESOLVE', { resolutionType: 'CANCELLED', details: `debt cancelled by upheld dispute ${dispute.disputeId}` }, session.email);
+
+    res.json({ message: 'Dispute upheld, debt cancelled', dispute, case: caseData });
+});
+
+app.post('/api/cases/:caseId/disputes/:disputeId/reject', requireCaseAccess('dispute:decide'), validateBody(schemas.rejectDispute), (req, res) => {
+    const { session, caseData } = req.access;
+    const dispute = findDispute(req, res, caseData);
+    if (!dispute) return;
+
+    if (!canApplyDisputeAction(dispute, 'REJECT')) {
+        return res.status(409).json(disputeTransitionError(dispute, 'REJECT'));
+    }
+
+    closeDispute(caseData, dispute, 'REJECT', session, req.body.notes);
+    returnToCollection(caseData, session.email, `${dispute.disputeId} rejected`);
+    caseRegistry.save(caseData.caseId);
+
+    res.json({ message: 'Dispute rejected', dispute, case: caseData });
+});
+
+app.post('/api/cases/:caseId/disputes/:disputeId/withdraw', requireCaseAccess('dispute:withdraw'), validateBody(schemas.withdrawDispute), (req, res) => {
+    const { session, caseData } = req.access;
+    const dispute = findDispute(req, res, caseData);
+    if (!dispute) return;
+
+    if (!canApplyDisputeAction(dispute, 'WITHDRAW')) {
+        return res.status(409).json(disputeTransitionError(dispute, 'WITHDRAW'));
+    }
+
+    closeDispute(caseData, dispute, 'WITHDRAW', session, req.body.notes);
+    returnToCollection(caseData, session.email, `${dispute.disputeId} withdrawn`);
+    caseRegistry.save(caseData.caseId);
+
+    res.json({ message: 'Dispute withdrawn', dispute, case: caseData });
+});
+
+// =============== LEDGER ===============
+// Case ledgers are the only record of money on a case (see services/case-ledger.js).
+// caseData.recoveredAmount and debtAmount are refreshed from the ledger on
+// every entry for the models and reports that read them; DCA recovery totals
+// are summed from ledgers on request. Entries are always in the case's currency.
+function postLedgerEntry(caseData, fields, user, now = new Date()) {
+    const currency = caseCurrency(caseData);
+    const entry = createLedgerEntry({ entryId: `LED-${store.nextSequence('ledgerEntryCounter', 1000)}`, currency, user, now, ...fields });
+    if (!caseData.ledger) caseData.ledger = [];
+    caseData.ledger.push(entry);
+
+    const totals = ledgerTotals(caseData);
+    caseData.recoveredAmount = totals.recovered;
+    caseData.debtAmount = totals.debt;
+    caseData.auditTrail.push({
+        action: `LEDGER_${entry.type}`,
+        user,
+        timestamp: now.toISOString(),
+        details: `${entry.entryId}: ${entry.type.toLowerCase()} of ${formatMoney(entry.amount, currency)}${entry.reverses ? ` reversing ${entry.reverses}` : ''}; balance ${formatMoney(totals.balance, currency)}`
+    });
+    return entry;
+}
+
+// Recovered before cases were tracked here, plus everything credited in case
+// ledgers; both in the reporting currency
+function dcaRecoveredAmount(dca, ledgerRecovered) {
+    return Math.round(((dca.priorRecoveredAmount || 0) + (ledgerRecovered.get(dca.dcaId) || 0)) * 100) / 100;
+}
+
+// Cases and DCA profiles stored before the ledger existed carry running
+// counters instead. Those cases get a ledger rebuilt from their debt
+// adjustments, plan payments and recoveredAmount, and each DCA keeps as its
+// prior total only what no case ledger accounts for.
+function backfillLedgers() {
+    const legacy = Array.from(caseRegistry.values()).filter(c => !c.ledger);
+
+    dcaProfiles.forEach(dca => {
+        if (dca.priorRecoveredAmount !== undefined) return;
+        // /resolve used to add each resolved case's recoveredAmount to the counter
+        const counted = legacy
+            .filter(c => c.allocatedDCA === dca.dcaId && (c.status === 'RESOLVED' || c.status === 'WRITTEN_OFF'))
+            .reduce((sum, c) => sum + (c.recoveredAmount || 0), 0);
+        dca.priorRecoveredAmount = Math.max(0, (dca.recoveredAmount || 0) - counted);
+        delete dca.recoveredAmount;
+        dcaProfiles.save(dca.dcaId);
+    });
+
+    legacy.forEach(caseData => {
+        const adjustments = caseData.debtAdjustments || [];
+        const recovered = caseData.recoveredAmount || 0;
+        caseData.ledger = [];
+        caseData.originalDebtAmount = adjustments.length ? adjustments[0].from : caseData.debtAmount;
+
+        adjustments.forEach(a => postLedgerEntry(caseData, {
+            type: 'ADJUSTMENT', amount: a.to - a.from, source: { type: 'DISPUTE', disputeId: a.disputeId }, effectiveAt: a.at
+        }, 'SYSTEM'));
+        let fromPlans = 0;
+        (caseData.paymentPlans || []).forEach(plan => plan.payments.forEach(payment => {
+            payment.entryId = postLedgerEntry(caseData, {
+                type: 'PAYMENT', amount: payment.amount, reference: payment.reference, source: { type: 'PAYMENT_PLAN', planId: plan.planId }, dcaId: caseData.allocatedDCA, effectiveAt: payment.paidAt
+            }, 'SYSTEM').entryId;
+            fromPlans += payment.amount;
+        }));
+        if (recovered - fromPlans > 0) {
+            postLedgerEntry(caseData, {
+                type: 'PAYMENT', amount: recovered - fromPlans, source: { type: 'BACKFILL' }, dcaId: caseData.allocatedDCA, effectiveAt: caseData.resolvedAt || caseData.createdAt
+            }, 'SYSTEM');
+        }
+
+        delete caseData.debtAdjustments;
+        caseRegistry.save(caseData.caseId);
+    });
+
+    if (legacy.length) console.log(`📒 LEDGER BACKFILL: ${legacy.length} case(s) migrated to ledgers`);
+}
+
+app.get('/api/cases/:caseId/ledger', (req, res) => {
+    const access = authorizeCaseRequest(req, res, 'case:read');
+    if (!access) return;
+    const { caseData } = access;
+
+    res.json({
+        caseId: caseData.caseId,
+        totals: ledgerTotals(caseData),
+        entries: caseData.ledger || []
+    });
+});
+
+// Payments and reversals are collection work; adjustments and fees change what
+// is owed and need ledger:adjust on top, checked once the type is known
+app.post('/api/cases/:caseId/ledger', requireCaseAccess('ledger:payment'), validateBody(schemas.ledgerEntry), (req, res) => {
+    const { type, amount, currency, reverses, reason, reference, effectiveAt } = req.body;
+    const { session, caseData } = req.access;
+    if (type !== 'PAYMENT' && type !== 'REVERSAL') {
+        const decision = authorize(session, 'ledger:adjust', caseData);
+        if (!decision.allowed) {
+            recordAccessDenied(session, 'ledger:adjust', decision.reason, caseData);
+            return sendError(res, 403, 'FORBIDDEN', 'Forbidden', { reason: decision.reason });
+        }
+    }
+
+    // Entries are posted in the case's currency only; money received in
+    // another currency must be converted by the caller first
+    if (currency && currency !== caseCurrency(caseData)) {
+        return sendError(res, 400, 'CURRENCY_MISMATCH', `${caseData.caseId} is held in ${caseCurrency(caseData)}; post amounts in that currency`);
+    }
+
+    if (type !== 'ADJUSTMENT' && !(amount > 0)) {
+        return sendError(res, 400, 'INVALID_AMOUNT', `A ${type.toLowerCase()} amount must be positive`);
+    }
+    if (effectiveAt && new Date(effectiveAt) > new Date()) {
+        return sendError(res, 400, 'INVALID_EFFECTIVE_DATE', 'effectiveAt is in the future');
+    }
+
+    const fields = { type, amount, reference, effectiveAt: effectiveAt ? new Date(effectiveAt).toISOString() : null, source: { type: 'MANUAL' } };
+    let plan = null;
+    if (type === 'PAYMENT') {
+        fields.dcaId = caseData.allocatedDCA;
+    } else if (type === 'REVERSAL') {
+        if (!reverses || !reason) {
+            return sendError(res, 400, 'VALIDATION_FAILED', 'Request validation failed', {
+                details: [{ field: reverses ? 'reason' : 'reverses', code: 'REQUIRED', message: 'A reversal needs the payment it reverses and a reason' }]
+            });
+        }
+        const reversible = reversibleAmount(caseData, reverses);
+        if (reversible === null) return sendError(res, 404, 'LEDGER_ENTRY_NOT_FOUND', `No payment ${reverses} on ${caseData.caseId}`);
+        if (amount > reversible) {
+            return sendError(res, 400, 'REVERSAL_EXCEEDS_PAYMENT', `Only ${formatMoney(reversible, caseCurrency(caseData))} of ${reverses} is left to reverse`);
+        }
+        const payment = caseData.ledger.find(e => e.entryId === reverses);
+        Object.assign(fields, { reverses, reason, dcaId: payment.dcaId });
+        if (payment.source && payment.source.type === 'PAYMENT_PLAN') {
+            plan = (caseData.paymentPlans || []).find(p => p.planId === payment.source.planId && p.status === 'ACTIVE') || null;
+        }
+    } else if (type === 'ADJUSTMENT') {
+        if (!amount || ledgerTotals(caseData).debt + amount < 0) {
+            return sendError(res, 400, 'INVALID_ADJUSTMENT', `Adjustment must be non-zero and leave the debt of ${formatMoney(ledgerTotals(caseData).debt, caseCurrency(caseData))} at or above zero`);
         }
     }
 
+    const entry = postLedgerEntry(caseData, fields, session.email);
+    // A reversed plan payment reopens the installments it paid
+    if (plan) reconcilePlanPayments(plan, caseData);
+    if (type === 'ADJUSTMENT') refreshPriority(caseData, session.email);
+    caseRegistry.save(caseData.caseId);
+
+    res.status(201).json({ message: 'Ledger entry posted', entry, totals: ledgerTotals(caseData), case: caseData });
+});
+
+// =============== PAYMENT PLANS ===============
+// One active plan per case. Payments recorded against it are posted to the
+// case ledger; the plan completing resolves the case, and a missed
+// installment (found by the periodic check) breaks it and re-prioritizes.
+const PAYMENT_CHECK_MS = Number(process.env.PAYMENT_CHECK_MINUTES || 60) * 60 * 1000;
+const PLAN_STATUSES_ALLOWED = ['ALLOCATED', 'IN_PROGRESS', 'ESCALATED'];
+
+function outstandingAmount(caseData) {
+    return ledgerTotals(caseData).balance;
+}
+
+function findPaymentPlan(req, res, caseData) {
+    const plan = (caseData.paymentPlans || []).find(p => p.planId === req.params.planId);
+    if (!plan) sendError(res, 404, 'PAYMENT_PLAN_NOT_FOUND', 'Payment plan not found');
+    return plan || null;
+}
+
+// The caller saves
+function breakCasePlan(caseData, plan, reason, user, now = new Date()) {
+    breakPlan(plan, reason, now);
     caseData.auditTrail.push({
-        action: 'CASE_RESOLVED',
+        action: 'PAYMENT_PLAN_BROKEN',
+        user,
+        timestamp: now.toISOString(),
+        details: `${plan.planId} broken: ${reason}`
+    });
+    console.warn(`💔 PLAN BROKEN: ${caseData.caseId} ${plan.planId} (${reason})`);
+    refreshPriority(caseData, user, now);
+}
+
+// Returns how many plans broke
+function checkPaymentPlans(now = new Date()) {
+    let broken = 0;
+    caseRegistry.forEach(caseData => {
+        const plan = activePlan(caseData);
+        if (!plan) return;
+
+        const missed = detectMissedInstallments(plan, now, debtorTimeZone(caseData));
+        if (!missed.length) return;
+
+        breakCasePlan(caseData, plan, `installment ${missed.map(i => `#${i.number} due ${i.dueDate}`).join(', ')} missed`, 'SYSTEM', now);
+        caseRegistry.save(caseData.caseId);
+        broken++;
+    });
+    return broken;
+}
+
+app.get('/api/cases/:caseId/payment-plans', (req, res) => {
+    const access = authorizeCaseRequest(req, res, 'case:read');
+    if (!access) return;
+    const { caseData } = access;
+
+    res.json({
+        caseId: caseData.caseId,
+        currency: caseCurrency(caseData),
+        outstandingAmount: outstandingAmount(caseData),
+        plans: (caseData.paymentPlans || []).map(plan => ({ ...plan, summary: planSummary(plan) }))
+    });
+});
+
+app.post('/api/cases/:caseId/payment-plans', requireCaseAccess('payment-plan:create'), validateBody(schemas.createPaymentPlan), (req, res) => {
+    const { session, caseData } = req.access;
+
+    const { type, installmentCount, frequency, firstDueDate, graceDays, notes } = req.body;
+    if (!PLAN_STATUSES_ALLOWED.includes(caseData.status)) {
+        return sendError(res, 409, 'CASE_NOT_COLLECTABLE', `Payment plans need a case in collection; ${caseData.caseId} is ${caseData.status}`);
+    }
+    const current = activePlan(caseData);
+    if (current) {
+        return sendError(res, 409, 'PLAN_ALREADY_ACTIVE', `${current.planId} is still active on ${caseData.caseId}`, { planId: current.planId });
+    }
+
+    const outstanding = outstandingAmount(caseData);
+    const totalAmount = req.body.totalAmount ?? outstanding;
+    if (totalAmount > outstanding) {
+        return sendError(res, 400, 'INVALID_PLAN_AMOUNT', `totalAmount ${totalAmount} exceeds the outstanding ${outstanding}`);
+    }
+    if (firstDueDate.slice(0, 10) < localDate(new Date(), debtorTimeZone(caseData))) {
+        return sendError(res, 400, 'INVALID_DUE_DATE', 'firstDueDate is in the past');
+    }
+
+    const plan = createPaymentPlan({
+        planId: `PLN-${store.nextSequence('paymentPlanIdCounter', 1000)}`,
+        type,
+        totalAmount,
+        installmentCount,
+        frequency,
+        firstDueDate,
+        graceDays,
+        notes,
+        user: session.email
+    });
+    caseData.paymentPlans = [...(caseData.paymentPlans || []), plan];
+    caseData.auditTrail.push({
+        action: 'PAYMENT_PLAN_CREATED',
+        user: session.email,
+        timestamp: plan.createdAt,
+        details: `${plan.planId}: ${type} of ${formatMoney(plan.totalAmount, caseCurrency(caseData))} in ${plan.installments.length} installment(s) from ${plan.installments[0].dueDate}`
+    });
+    caseRegistry.save(caseData.caseId);
+
+    console.log(`📅 PLAN CREATED: ${caseData.caseId} ${plan.planId} ${type} ${formatMoney(plan.totalAmount, caseCurrency(caseData))}`);
+    res.status(201).json({ message: 'Payment plan created', plan, case: caseData });
+});
+
+app.post('/api/cases/:caseId/payment-plans/:planId/payments', requireCaseAccess('payment-plan:record'), validateBody(schemas.planPayment), (req, res) => {
+    const { session, caseData } = req.access;
+    const plan = findPaymentPlan(req, res, caseData);
+    if (!plan) return;
+
+    const { amount, reference } = req.body;
+    const now = new Date();
+    const paidAt = req.body.paidAt ? new Date(req.body.paidAt).toISOString() : now.toISOString();
+    if (plan.status !== 'ACTIVE') {
+        return sendError(res, 409, 'PLAN_NOT_ACTIVE', `${plan.planId} is ${plan.status}`);
+    }
+    if (amount > remainingAmount(plan)) {
+        return sendError(res, 400, 'OVERPAYMENT', `Payment of ${amount} exceeds the ${remainingAmount(plan)} left on ${plan.planId}`);
+    }
+    if (new Date(paidAt) > now) {
+        return sendError(res, 400, 'INVALID_PAYMENT_DATE', 'paidAt is in the future');
+    }
+
+    const entry = postLedgerEntry(caseData, {
+        type: 'PAYMENT',
+        amount,
+        reference,
+        source: { type: 'PAYMENT_PLAN', planId: plan.planId },
+        dcaId: caseData.allocatedDCA,
+        effectiveAt: paidAt
+    }, session.email, now);
+    const completed = applyPlanPayment(plan, { amount, paidAt, reference, entryId: entry.entryId }, session.email, now);
+    caseData.auditTrail.push({
+        action: 'PAYMENT_RECORDED',
+        user: session.email,
+        timestamp: now.toISOString(),
+        details: `${formatMoney(amount, caseCurrency(caseData))} against ${plan.planId}${reference ? ` (ref ${reference})` : ''}; ${formatMoney(remainingAmount(plan), caseCurrency(caseData))} left`
+    });
+
+    if (!completed) {
+        caseRegistry.save(caseData.caseId);
+        return res.json({ message: 'Payment recorded', plan: planSummary(plan), case: caseData });
+    }
+
+    caseData.auditTrail.push({
+        action: 'PAYMENT_PLAN_COMPLETED',
         user: session.email,
+        timestamp: now.toISOString(),
+        details: `${plan.planId} paid in full (${formatMoney(plan.totalAmount, caseCurrency(caseData))})`
+    });
+    const resolutionType = ledgerTotals(caseData).balance <= 0 ? 'RECOVERED' : 'SETTLED';
+    if (!resolveCase(caseData, 'RESOLVE', { resolutionType, details: `${formatMoney(caseData.recoveredAmount, caseCurrency(caseData))} recovered. ${plan.planId} completed` }, session.email)) {
+        caseRegistry.save(caseData.caseId);
+    }
+
+    res.json({ message: 'Payment recorded, plan completed', plan: planSummary(plan), case: caseData });
+});
+
+app.post('/api/cases/:caseId/payment-plans/:planId/break', requireCaseAccess('payment-plan:break'), validateBody(schemas.breakPaymentPlan), (req, res) => {
+    const { session, caseData } = req.access;
+    const plan = findPaymentPlan(req, res, caseData);
+    if (!plan) return;
+
+    if (plan.status !== 'ACTIVE') {
+        return sendError(res, 409, 'PLAN_NOT_ACTIVE', `${plan.planId} is ${plan.status}`);
+    }
+
+    breakCasePlan(caseData, plan, req.body.reason, session.email);
+    caseRegistry.save(caseData.caseId);
+
+    res.json({ message: 'Payment plan marked broken', plan: planSummary(plan), case: caseData });
+});
+
+// =============== RESOLUTION ===============
+// Closes a case with `action` (RESOLVE or WRITE_OFF): resolution fields,
+// audit entry and the DCA slot. Money is already on the ledger; a payment
+// plan still active is cancelled. Returns false, leaving the case untouched,
+// when the status does not allow it.
+function resolveCase(caseData, action, { resolutionType, details }, user) {
+    if (!applyTransition(caseData, action, user, resolutionType)) return false;
+
+    caseData.resolutionType = resolutionType; // RECOVERED, WRITTEN_OFF, SETTLED; CANCELLED comes from an upheld dispute
+    caseData.resolvedAt = new Date().toISOString();
+
+    const plan = activePlan(caseData);
+    if (plan) cancelPlan(plan, `Case ${resolutionType.toLowerCase()}`);
+
+    caseData.auditTrail.push({
+        action: 'CASE_RESOLVED',
+        user,
         timestamp: new Date().toISOString(),
-        details: `${resolutionType}: $${recoveredAmount} recovered. ${notes}`
+        details: `${resolutionType}: ${details}`
     });
 
+    caseRegistry.save(caseData.caseId);
+    releaseDCASlot(caseData, resolutionType);
+    drainAllocationBacklog();
+    return true;
+}
+
+app.post('/api/cases/:caseId/resolve', requireCaseAccess('case:resolve'), validateBody(schemas.resolve), (req, res) => {
+    const { session, caseData } = req.access;
+
+    const { resolutionType, recoveredAmount, notes } = req.body;
+
+    const action = resolutionType === 'WRITTEN_OFF' ? 'WRITE_OFF' : 'RESOLVE';
+    if (!canTransition(caseData.status, action)) {
+        return res.status(409).json(transitionError(caseData, action));
+    }
+
+    // recoveredAmount is the total recovered; what the ledger does not hold yet
+    // is posted as a final payment
+    const { recovered } = ledgerTotals(caseData);
+    if (recoveredAmount !== undefined && recoveredAmount < recovered) {
+        return sendError(res, 409, 'LEDGER_MISMATCH', `The ledger already records ${formatMoney(recovered, caseCurrency(caseData))} recovered; post a reversal to lower it`, { recovered });
+    }
+    if (recoveredAmount > recovered) {
+        postLedgerEntry(caseData, { type: 'PAYMENT', amount: recoveredAmount - recovered, source: { type: 'RESOLUTION' }, dcaId: caseData.allocatedDCA }, session.email);
+    }
+
+    resolveCase(caseData, action, { resolutionType, details: `${formatMoney(caseData.recoveredAmount || 0, caseCurrency(caseData))} recovered. ${notes}` }, session.email);
+
     res.json({ message: 'Case resolved', case: caseData });
 });
 
+// =============== RECALL & REASSIGNMENT ===============
+// Recall takes the case back from its agency and sends it through allocation
+// again; the recalled agency is excluded so it cannot simply win it back.
+app.post('/api/cases/:caseId/recall', requireCaseAccess('case:recall'), validateBody(schemas.recall), (req, res) => {
+    const { session, caseData } = req.access;
+
+    const disputeBlock = recallBlockedByDisputes(caseData);
+    if (disputeBlock) {
+        return res.status(409).json(disputeBlock);
+    }
+
+    const previousDCA = caseData.allocatedDCA;
+    if (!applyTransition(caseData, 'RECALL', session.email, req.body.reason)) {
+        return res.status(409).json(transitionError(caseData, 'RECALL'));
+    }
+
+    releaseDCASlot(caseData, 'RECALLED');
+    caseData.excludedDCAs = [...new Set([...(caseData.excludedDCAs || []), previousDCA])];
+    caseData.allocatedDCA = null;
+    caseData.slaDeadlines = null;
+    caseData.allocationSla = null;
+    caseData.auditTrail.push({
+        action: 'CASE_RECALLED',
+        user: session.email,
+        timestamp: new Date().toISOString(),
+        details: `Recalled from ${previousDCA}: ${req.body.reason}`
+    });
+    caseRegistry.save(caseData.caseId);
+
+    if (!allocateCaseIntelligently(caseData.caseId)) {
+        queueForAllocation(caseData);
+    }
+    drainAllocationBacklog();
+
+    res.json({ message: 'Case recalled', case: caseData });
+});
+
+app.post('/api/cases/:caseId/reassign', requireCaseAccess('case:reassign'), validateBody(schemas.reassign), (req, res) => {
+    const { session, caseData } = req.access;
+
+    const { dcaId, reason } = req.body;
+    const target = dcaProfiles.get(dcaId);
+    if (!target) return sendError(res, 404, 'DCA_NOT_FOUND', 'DCA not found');
+    if (caseData.allocatedDCA === dcaId) {
+        return sendError(res, 409, 'ALREADY_ASSIGNED', `Case is already assigned to ${dcaId}`);
+    }
+    if (target.currentLoad >= target.capacity) {
+        return sendError(res, 409, 'DCA_AT_CAPACITY', `${dcaId} has no free capacity`);
+    }
+    if (!applyTransition(caseData, 'REASSIGN', session.email, reason)) {
+        return res.status(409).json(transitionError(caseData, 'REASSIGN'));
+    }
+
+    const previousDCA = caseData.allocatedDCA;
+    releaseDCASlot(caseData, 'REASSIGNED');
+    assignDCASlot(caseData, target);
+    caseData.allocationChosen = { dcaId, score: null, manual: true };
+    caseData.auditTrail.push({
+        action: 'CASE_REASSIGNED',
+        user: session.email,
+        timestamp: new Date().toISOString(),
+        details: `Reassigned from ${previousDCA} to ${dcaId}: ${reason}`
+    });
+    caseRegistry.save(caseData.caseId);
+    drainAllocationBacklog();
+
+    res.json({ message: `Case reassigned to ${dcaId}`, case: caseData });
+});
+
+app.post('/api/dcas/recompute-load', (req, res) => {
+    const session = authorizeRequest(req, res, 'dca:recompute-load');
+    if (!session) return;
+
+    const report = recomputeDCALoad();
+    const drifted = report.filter(d => d.drifted);
+    if (drifted.length) {
+        console.warn(`⚠️  LOAD DRIFT corrected for ${drifted.map(d => d.dcaId).join(', ')}`);
+    }
+    drainAllocationBacklog();
+
+    res.json({ message: 'DCA load recomputed', driftDetected: drifted.length > 0, dcas: report });
+});
+
 // =============== SERVE DASHBOARD ===============
 // Dashboard route removed to keep API-only mode
 
 // =============== METRICS / REPORTS ===============
 app.get('/api/cases/:caseId/report', (req, res) => {
-    const session = verifySession(req);
-    if (!session) return res.status(403).json({ error: 'Unauthorized' });
-
-    const caseData = caseRegistry.get(req.params.caseId);
-    if (!caseData) return res.status(404).json({ error: 'Case not found' });
+    const access = authorizeCaseRequest(req, res, 'case:report');
+    if (!access) return;
+    const { caseData } = access;
 
     const report = {
         caseId: caseData.caseId,
         recoveryProbability: caseData.recoveryProbability,
+        recoveryModel: caseData.recoveryModel || null,
         priority: caseData.priority,
+        priorityScore: caseData.priorityScore ?? null,
+        priorityReasons: caseData.priorityReasons || [],
         allocationScore: caseData.allocationScore,
         allocationChosen: caseData.allocationChosen || null,
         allocationCandidates: caseData.allocationCandidates || [],
         slaDeadlines: caseData.slaDeadlines,
+        slaPauses: caseData.slaPauses || [],
         slaBreached: caseData.slaBreached,
         status: caseData.status,
         interactions: caseData.interactions,
         documents: caseData.documents,
         auditTrail: caseData.auditTrail,
-        recoveredAmount: caseData.recoveredAmount || 0
+        currency: caseCurrency(caseData),
+        debtAmount: caseData.debtAmount,
+        reportingDebtAmount: isConvertible(caseData) ? reportingDebtAmount(caseData) : null,
+        recoveredAmount: caseData.recoveredAmount || 0,
+        ledger: ledgerTotals(caseData),
+        paymentPlans: (caseData.paymentPlans || []).map(planSummary)
     };
 
     res.json(report);
 });
 
+// Term-by-term breakdown of the recovery estimate, priority and allocation
+app.get('/api/cases/:caseId/explanation', (req, res) => {
+    const access = authorizeCaseRequest(req, res, 'case:explain');
+    if (!access) return;
+
+    res.json(explainCase(access.caseData));
+});
+
 app.get('/api/metrics', (req, res) => {
-    const session = verifySession(req);
-    if (!session) return res.status(403).json({ error: 'Unauthorized' });
+    const session = authorizeRequest(req, res, 'metrics:read');
+    if (!session) return;
 
     const cases = Array.from(caseRegistry.values());
-    const resolved = cases.filter(c => c.status === 'RESOLVED');
+    // Debts cancelled by an upheld dispute were never collectable
+    const resolved = cases.filter(c => (c.status === 'RESOLVED' || c.status === 'WRITTEN_OFF') && c.resolutionType !== 'CANCELLED');
 
-    // Compute prediction vs outcome stats (use recoveredAmount>0 as positive outcome)
+    // Compute prediction vs outcome stats (net ledger recovery > 0 is a positive outcome)
     const n = resolved.length;
     let mae = 0, mse = 0, successfulAllocations = 0, allocScoresSum = 0, allocChosenCount = 0;
 
     resolved.forEach(c => {
-        const actual = c.recoveredAmount && c.recoveredAmount > 0 ? 1 : 0;
+        const actual = ledgerTotals(c).recovered > 0 ? 1 : 0;
         const pred = typeof c.recoveryProbability === 'number' ? c.recoveryProbability : (parseFloat(c.recoveryProbability) || 0);
         const err = Math.abs(pred - actual);
         mae += err;
@@ -602,12 +2313,23 @@ app.get('/api/metrics', (req, res) => {
     const allocationSuccessRate = n ? Number((successfulAllocations / n).toFixed(4)) : 0;
     const avgAllocationScore = allocChosenCount ? Number((allocScoresSum / allocChosenCount).toFixed(6)) : 0;
 
+    // Money totals are in the reporting currency: recoveries at the rate on
+    // the day they were posted, open balances at today's rate. Cases with no
+    // rate for their currency are left out and counted.
+    const now = new Date();
+    const { cases: convertible, skipped } = convertibleCases(cases);
+    const totalRecovered = Math.round(convertible.reduce((sum, c) => sum + reportingRecovered(c), 0) * 100) / 100;
+    const totalOutstanding = Math.round(convertible
+        .filter(c => c.status !== 'RESOLVED' && c.status !== 'WRITTEN_OFF')
+        .reduce((sum, c) => sum + Math.max(0, toReportingCurrency(ledgerTotals(c).balance, caseCurrency(c), now)), 0) * 100) / 100;
+
+    const ledgerRecovered = recoveredByDCA(convertible);
     const perDCA = Array.from(dcaProfiles.values()).map(dca => ({
         dcaId: dca.dcaId,
         name: dca.name,
         currentLoad: dca.currentLoad,
         slaBreaches: dca.slaBreaches,
-        recoveredAmount: dca.recoveredAmount,
+        recoveredAmount: dcaRecoveredAmount(dca, ledgerRecovered),
         historicalRecoveryRate: dca.historicalRecoveryRate
     }));
 
@@ -618,13 +2340,66 @@ app.get('/api/metrics', (req, res) => {
         recoveryPredictionRMSE,
         allocationSuccessRate,
         avgAllocationScore,
+        reportingCurrency: REPORTING_CURRENCY,
+        totalRecovered,
+        totalOutstanding,
+        skippedUnconvertible: skipped.length,
         perDCA
     });
 });
 
+// Reporting currency and the FX rate history amounts are converted with
+app.get('/api/fx-rates', (req, res) => {
+    const session = authorizeRequest(req, res, 'fx:read');
+    if (!session) return;
+
+    res.json(fxSummary());
+});
+
+// =============== ERROR HANDLING ===============
+app.use((req, res) => {
+    sendError(res, 404, 'ROUTE_NOT_FOUND', `No route for ${req.method} ${req.path}`);
+});
+
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'MALFORMED_JSON', 'Request body is not valid JSON');
+    }
+    if (err.type === 'entity.too.large') {
+        return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+    }
+
+    console.error('❌ Unhandled error:', err);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+});
+
 // =============== START SERVER ===============
-app.listen(port, () => {
-    console.log(`\n🚀 DCA Platform API running on port ${port}`);
+await Promise.all([
+    ...Object.entries(liveModels).map(([name, model]) => model.loadModel(modelRegistry.resolve(name))),
+    shadowScorer.load()
+]);
+
+backfillLedgers();
+const unconvertibleAtStart = convertibleCases(caseRegistry.values()).skipped;
+if (unconvertibleAtStart.length) {
+    console.warn(`⚠️  FX: no rate for the currency of ${unconvertibleAtStart.length} stored case(s); they are left out of money totals`);
+}
+
+// Cases aged while the API was down; re-score before draining the backlog
+reprioritizeOpenCases();
+setInterval(reprioritizeOpenCases, PRIORITY_REFRESH_MS).unref();
+
+// Deadlines may have passed while the API was down
+runSlaMonitor();
+setInterval(runSlaMonitor, SLA_CHECK_MS).unref();
+checkPaymentPlans();
+setInterval(checkPaymentPlans, PAYMENT_CHECK_MS).unref();
+
+// Capacity may have changed while the API was down
+drainAllocationBacklog();
+
+const server = app.listen(port, () => {
+    console.log(`\n🚀 DCA Platform API running on port ${server.address().port}`);
     console.log(`📚 Endpoints available`);
     console.log(``);
 });
@@ -30,21 +30,24 @@ import { RecoveryPredictor } from './ai-engine/ml-models/recovery-predictor.js';
 import { CasePrioritizer } from './ai-engine/ml-models/case-prioritizer.js';
 import { DCAOptimizer } from './ai-engine/ml-models/dca-optimizer.js';
 import { SentimentAnalyzer } from './ai-engine/ml-models/sentiment-analyzer.js';
+import { latestEvaluation, summarizeEvaluation } from './ai-engine/model-serving/evaluation.js';
+import { ModelRegistry } from './ai-engine/model-serving/model-registry.js';
 import { APIService } from './services/api-service.js';
 
 // Initialize AI Models
+const modelRegistry = new ModelRegistry();
 const recoveryPredictor = new RecoveryPredictor();
 const casePrioritizer = new CasePrioritizer();
 const dcaOptimizer = new DCAOptimizer();
 const sentimentAnalyzer = new SentimentAnalyzer();
 const apiService = new APIService();
 
-// Load trained models
+// Load the production versions from the model registry (npm run models)
 Promise.all([
-  recoveryPredictor.loadModel(),
-  casePrioritizer.loadModel(),
+  recoveryPredictor.loadModel(modelRegistry.resolve('recovery-predictor')),
+  casePrioritizer.loadModel(modelRegistry.resolve('case-prioritizer')),
   dcaOptimizer.loadModel(),
-  sentimentAnalyzer.loadModel()
+  sentimentAnalyzer.loadModel(modelRegistry.resolve('sentiment-analyzer'))
 ]).then(() => {
   console.log('✅ All AI models loaded successfully');
 }).catch(err => {
@@ -94,11 +97,15 @@ app.post('/api/ai/analyze-sentiment', async (req, res) => {
 
 app.get('/api/ai/model-metrics', async (req, res) => {
   try {
+    // Live model state plus the latest held-out evaluation (npm run test-models)
+    const evaluation = summarizeEvaluation(latestEvaluation());
     const metrics = {
-      recoveryPredictor: await recoveryPredictor.getMetrics(),
-      casePrioritizer: await casePrioritizer.getMetrics(),
+      runId: evaluation ? evaluation.runId : null,
+      evaluatedAt: evaluation ? evaluation.evaluatedAt : null,
+      recoveryPredictor: { ...await recoveryPredictor.getMetrics(), evaluation: evaluation ? evaluation.recoveryPredictor : null },
+      casePrioritizer: { ...await casePrioritizer.getMetrics(), evaluation: evaluation ? evaluation.casePrioritizer : null },
       dcaOptimizer: await dcaOptimizer.getMetrics(),
-      sentimentAnalyzer: await sentimentAnalyzer.getMetrics()
+      sentimentAnalyzer: { ...await sentimentAnalyzer.getMetrics(), evaluation: evaluation ? evaluation.sentimentAnalyzer : null }
     };
     res.json(metrics);
   } catch (error) {
@@ -106,6 +113,15 @@ app.get('/api/ai/model-metrics', async (req, res) => {
   }
 });
 
+// Registered versions per model with data hash, metrics and stage
+app.get('/api/ai/models', (req, res) => {
+  try {
+    res.json({ models: modelRegistry.list() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Real-time WebSocket
 io.on('connection', (socket) => {
   console.log('🔗 New client connected:', socket.id);
@@ -0,0 +1,133 @@
+// =============== ACCESS POLICY ===============
+// role -> action -> scope
+//   ANY      the role may perform the action on every case
+//   ASSIGNED only on cases allocated to the user's own DCA
+// Anything not listed is denied. This backs the SOP rules
+// "Access only assigned cases" and "Role-based access enforcement".
+const policy = {
+    ADMIN: {
+        'case:list': 'ANY',
+        'case:read': 'ANY',
+        'case:interact': 'ANY',
+        'case:document': 'ANY',
+        'case:escalate': 'ANY',
+        'case:de-escalate': 'ANY',
+        'case:resolve': 'ANY',
+        'case:audit': 'ANY',
+        'case:report': 'ANY',
+        'case:explain': 'ANY',
+        'case:recall': 'ANY',
+        'case:reassign': 'ANY',
+        'dispute:open': 'ANY',
+        'dispute:evidence': 'ANY',
+        'dispute:review': 'ANY',
+        'dispute:decide': 'ANY',
+        'dispute:withdraw': 'ANY',
+        'payment-plan:create': 'ANY',
+        'payment-plan:record': 'ANY',
+        'payment-plan:break': 'ANY',
+        'ledger:payment': 'ANY',
+        'ledger:adjust': 'ANY',
+        'dca:read': 'ANY',
+        'dca:recompute-load': 'ANY',
+        'sla:read': 'ANY',
+        'metrics:read': 'ANY',
+        'fx:read': 'ANY',
+        'contact:check': 'ANY',
+        'dnc:read': 'ANY',
+        'dnc:manage': 'ANY',
+        'allocation:read': 'ANY',
+        'allocation:optimize': 'ANY',
+        'allocation:simulate': 'ANY',
+        'allocation-config:read': 'ANY',
+        'allocation-config:write': 'ANY',
+        'models:read': 'ANY',
+        'models:train': 'ANY',
+        'models:manage': 'ANY'
+    },
+    FEDEX: {
+        'case:ingest': 'ANY',
+        'case:list': 'ANY',
+        'case:read': 'ANY',
+        'case:document': 'ANY',
+        'case:escalate': 'ANY',
+        'case:de-escalate': 'ANY',
+        'case:resolve': 'ANY',
+        'case:audit': 'ANY',
+        'case:report': 'ANY',
+        'case:explain': 'ANY',
+        'case:recall': 'ANY',
+        'case:reassign': 'ANY',
+        'dispute:open': 'ANY',
+        'dispute:evidence': 'ANY',
+        'dispute:review': 'ANY',
+        'dispute:decide': 'ANY',
+        'dispute:withdraw': 'ANY',
+        'payment-plan:create': 'ANY',
+        'payment-plan:record': 'ANY',
+        'payment-plan:break': 'ANY',
+        'ledger:payment': 'ANY',
+        'ledger:adjust': 'ANY',
+        'dca:read': 'ANY',
+        'sla:read': 'ANY',
+        'metrics:read': 'ANY',
+        'fx:read': 'ANY',
+        'contact:check': 'ANY',
+        'dnc:read': 'ANY',
+        'dnc:manage': 'ANY',
+        'allocation:read': 'ANY',
+        'allocation:optimize': 'ANY',
+        'allocation:simulate': 'ANY',
+        'models:read': 'ANY'
+    },
+    DCA: {
+        'case:list': 'ASSIGNED',
+        'case:read': 'ASSIGNED',
+        'case:interact': 'ASSIGNED',
+        'case:document': 'ASSIGNED',
+        'case:escalate': 'ASSIGNED',
+        'case:resolve': 'ASSIGNED',
+        'case:audit': 'ASSIGNED',
+        'case:report': 'ASSIGNED',
+        'dispute:open': 'ASSIGNED',
+        'dispute:evidence': 'ASSIGNED',
+        'dispute:review': 'ASSIGNED',
+        'dispute:withdraw': 'ASSIGNED',
+        'payment-plan:create': 'ASSIGNED',
+        'payment-plan:record': 'ASSIGNED',
+        'payment-plan:break': 'ASSIGNED',
+        'ledger:payment': 'ASSIGNED',
+        'dca:read': 'ANY',
+        'sla:read': 'ASSIGNED',
+        'fx:read': 'ANY',
+        'contact:check': 'ASSIGNED'
+    }
+};
+
+export function scopeFor(session, action) {
+    return (policy[session.role] || {})[action] || null;
+}
+
+export function isOwner(session, caseData) {
+    return Boolean(session.dcaId) && caseData.allocatedDCA === session.dcaId;
+}
+
+// caseData is optional: without it only the role × action part is checked
+export function authorize(session, action, caseData = null) {
+    const scope = scopeFor(session, action);
+    if (!scope) {
+        return { allowed: false, reason: `Role ${session.role} may not perform ${action}` };
+    }
+    if (scope === 'ASSIGNED' && caseData && !isOwner(session, caseData)) {
+        return { allowed: false, reason: `Case ${caseData.caseId} is not assigned to ${session.dcaId || session.email}` };
+    }
+    return { allowed: true, scope };
+}
+
+// Narrows a case list to what the session may see for `action`
+export function filterVisible(session, action, cases) {
+    const scope = scopeFor(session, action);
+    if (scope === 'ANY') return cases;
+    if (scope === 'ASSIGNED') return cases.filter(c => isOwner(session, c));
+    return [];
+}
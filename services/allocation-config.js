@@ -0,0 +1,62 @@
+import { DEFAULT_ALLOCATION_CONFIG, validateAllocationConfig } from '../ai-engine/allocation/strategies/index.js';
+
+// =============== ALLOCATION CONFIG ===============
+// Published versions are immutable. Changing the config publishes a new
+// version and points the active marker at it, so every past allocation can
+// still be traced back to the exact weights and rules that produced it.
+export class AllocationConfigStore {
+    constructor(store) {
+        this.versions = store.collection('allocationConfigs', [
+            [1, {
+                version: 1,
+                config: DEFAULT_ALLOCATION_CONFIG,
+                publishedAt: new Date().toISOString(),
+                publishedBy: 'SYSTEM',
+                note: 'Default configuration'
+            }]
+        ]);
+        this.meta = store.collection('meta');
+        if (!this.meta.has('activeAllocationConfig')) this.meta.set('activeAllocationConfig', 1);
+    }
+
+    active() {
+        return this.versions.get(this.meta.get('activeAllocationConfig'));
+    }
+
+    get(version) {
+        return this.versions.get(Number(version)) || null;
+    }
+
+    list() {
+        const activeVersion = this.meta.get('activeAllocationConfig');
+        return Array.from(this.versions.values())
+            .sort((a, b) => a.version - b.version)
+            .map(({ version, config, publishedAt, publishedBy, note }) => ({
+                version,
+                strategy: config.strategy,
+                publishedAt,
+                publishedBy,
+                note,
+                active: version === activeVersion
+            }));
+    }
+
+    // Returns { errors } when the config is rejected, otherwise { entry }
+    publish(config, user, note = '') {
+        const errors = validateAllocationConfig(config);
+        if (errors.length) return { errors };
+
+        const version = Math.max(...this.versions.keys()) + 1;
+        const entry = { version, config, publishedAt: new Date().toISOString(), publishedBy: user, note };
+        this.versions.set(version, entry);
+        this.meta.set('activeAllocationConfig', version);
+        return { entry };
+    }
+
+    activate(version) {
+        const entry = this.get(version);
+        if (!entry) return null;
+        this.meta.set('activeAllocationConfig', entry.version);
+        return entry;
+    }
+}
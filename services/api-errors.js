@@ -0,0 +1,10 @@
+// =============== ERROR RESPONSES ===============
+// Every error leaves the API as { error, code, ...extra }. `error` is the
+// human-readable message; `code` is stable and safe for integrations to switch on.
+export function errorBody(code, message, extra = {}) {
+    return { error: message, code, ...extra };
+}
+
+export function sendError(res, status, code, message, extra = {}) {
+    return res.status(status).json(errorBody(code, message, extra));
+}
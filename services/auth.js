@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+
+// =============== PASSWORD HASHING ===============
+// Stored as "scrypt$<salt>$<hash>" so the scheme can be rotated later
+const SCRYPT_KEYLEN = 64;
+
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+// Used for unknown accounts so a login attempt costs the same either way
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+export function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || DUMMY_HASH).split('$');
+    if (scheme !== 'scrypt' || typeof password !== 'string') return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual) && Boolean(storedHash);
+}
+
+// =============== SESSION POLICY ===============
+export const sessionPolicy = {
+    idleTimeoutMs: Number(process.env.SESSION_IDLE_MINUTES || 30) * 60000,
+    absoluteTimeoutMs: Number(process.env.SESSION_MAX_HOURS || 12) * 3600000,
+    touchIntervalMs: 60000
+};
+
+export function sessionExpiry(session, now = Date.now()) {
+    if (now - session.timestamp > sessionPolicy.absoluteTimeoutMs) return 'ABSOLUTE_TIMEOUT';
+    if (now - (session.lastSeenAt || session.timestamp) > sessionPolicy.idleTimeoutMs) return 'IDLE_TIMEOUT';
+    return null;
+}
+
+// =============== LOGIN LOCKOUT ===============
+// Counts failures per key (account or IP) inside a sliding window and locks
+// the key out for a fixed period once the limit is reached.
+export class LoginThrottle {
+    constructor({ maxFailures, windowMs, lockoutMs }) {
+        this.maxFailures = maxFailures;
+        this.windowMs = windowMs;
+        this.lockoutMs = lockoutMs;
+        this.entries = new Map();
+    }
+
+    lockedFor(key, now = Date.now()) {
+        const entry = this.entries.get(key);
+        if (!entry || !entry.lockedUntil) return 0;
+        if (entry.lockedUntil <= now) {
+            this.entries.delete(key);
+            return 0;
+        }
+        return entry.lockedUntil - now;
+    }
+
+    // Returns true when this failure triggered a lockout
+    recordFailure(key, now = Date.now()) {
+        const entry = this.entries.get(key) || { failures: [], lockedUntil: null };
+        entry.failures = entry.failures.filter(t => now - t < this.windowMs);
+        entry.failures.push(now);
+
+        const locked = entry.failures.length >= this.maxFailures;
+        if (locked) {
+            entry.lockedUntil = now + this.lockoutMs;
+            entry.failures = [];
+        }
+
+        this.entries.set(key, entry);
+        return locked;
+    }
+
+    reset(key) {
+        this.entries.delete(key);
+    }
+}
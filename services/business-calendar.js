@@ -0,0 +1,148 @@
+import { HOLIDAY_RULES } from './holidays.js';
+import { businessCalendars } from './sla-config.js';
+
+// =============== BUSINESS CALENDAR ===============
+// Working-time arithmetic for the SLA clock. A calendar is a time zone, the
+// working weekdays (0 = Sunday), the local opening hours and its holidays (a
+// rule name or a list of local dates); time outside those windows does not count.
+const HOUR_MS = 3600000;
+const formatters = new Map();
+const holidayCache = new WeakMap();
+
+function partsIn(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(p => [p.type, Number(p.value)]));
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+// Milliseconds the zone is ahead of UTC at that instant
+function offsetAt(ms, timeZone) {
+    const p = partsIn(new Date(ms), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// The instant a local wall-clock time occurs in the zone
+export function zonedTime({ year, month, day }, hour, timeZone) {
+    const local = Date.UTC(year, month - 1, day, hour);
+    const guess = local - offsetAt(local, timeZone);
+    return local - offsetAt(guess, timeZone);
+}
+
+function dayKey({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Local calendar date of an instant as YYYY-MM-DD
+export function localDate(date, timeZone) {
+    return dayKey(partsIn(new Date(date), timeZone));
+}
+
+function nextDay({ year, month, day }) {
+    const d = new Date(Date.UTC(year, month - 1, day + 1));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+// Holidays of one year as a Set of local dates. A listed calendar throws
+// CALENDAR_NOT_COVERED for a year its list does not reach: treating every day
+// as a working day would quietly shorten SLA deadlines.
+function holidaysIn(calendar, year) {
+    if (!holidayCache.has(calendar)) holidayCache.set(calendar, new Map());
+    const years = holidayCache.get(calendar);
+    if (years.has(year)) return years.get(year);
+
+    const { holidays } = calendar;
+    let dates = [];
+    if (typeof holidays === 'string') {
+        dates = HOLIDAY_RULES[holidays](year);
+    } else if (holidays.length) {
+        const listed = holidays.map(d => Number(d.slice(0, 4)));
+        const [first, last] = [Math.min(...listed), Math.max(...listed)];
+        if (year < first || year > last) {
+            const err = new Error(`Business calendar holidays only cover ${first}-${last}; none are listed for ${year}`);
+            err.code = 'CALENDAR_NOT_COVERED';
+            throw err;
+        }
+        dates = holidays;
+    }
+    years.set(year, new Set(dates));
+    return years.get(year);
+}
+
+// Working window of one local day as [open, close] instants, or null on a day off
+function workingWindow(date, calendar) {
+    const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+    if (!calendar.workdays.includes(weekday) || holidaysIn(calendar, date.year).has(dayKey(date))) return null;
+    return [zonedTime(date, calendar.openHour, calendar.timeZone), zonedTime(date, calendar.closeHour, calendar.timeZone)];
+}
+
+// Calls visit(open, close) for each working window from `from` onwards until
+// it returns true. The day limit keeps a calendar without working days from
+// looping forever.
+function eachWindow(from, calendar, visit, maxDays = 366) {
+    let date = partsIn(new Date(from), calendar.timeZone);
+    for (let i = 0; i <= maxDays; i++) {
+        const window = workingWindow(date, calendar);
+        if (window && window[1] > from && visit(Math.max(window[0], from), window[1])) return true;
+        date = nextDay(date);
+    }
+    return false;
+}
+
+// Calendar for a case: its own region when one is configured, else the
+// agency's, else DEFAULT. Returns the region name stored on the SLA clock.
+export function calendarRegionFor(...regions) {
+    return regions.find(region => region && businessCalendars[region]) || 'DEFAULT';
+}
+
+export function getCalendar(region) {
+    return businessCalendars[region] || businessCalendars.DEFAULT;
+}
+
+export function workingHoursPerDay(calendar) {
+    return calendar.closeHour - calendar.openHour;
+}
+
+// Instant reached after `hours` of working time from `start`
+export function addWorkingHours(start, hours, calendar) {
+    const startMs = new Date(start).getTime();
+    let remaining = hours * HOUR_MS;
+    if (remaining <= 0) return new Date(startMs);
+
+    let end = null;
+    const found = eachWindow(startMs, calendar, (open, close) => {
+        if (remaining <= close - open) {
+            end = open + remaining;
+            return true;
+        }
+        remaining -= close - open;
+        return false;
+    });
+    if (!found) throw new Error('Business calendar has no working time in the coming year');
+    return new Date(end);
+}
+
+// Working hours between two instants (0 when `to` is not after `from`)
+export function workingHoursBetween(from, to, calendar) {
+    const fromMs = new Date(from).getTime();
+    const toMs = new Date(to).getTime();
+    if (toMs <= fromMs) return 0;
+
+    let total = 0;
+    eachWindow(fromMs, calendar, (open, close) => {
+        if (open >= toMs) return true;
+        total += Math.min(close, toMs) - open;
+        return close >= toMs;
+    }, Math.ceil((toMs - fromMs) / (24 * HOUR_MS)) + 1);
+    return total / HOUR_MS;
+}
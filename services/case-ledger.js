@@ -0,0 +1,97 @@
+import { caseCurrency, isConvertible, toReportingCurrency } from './fx-rates.js';
+
+// =============== CASE LEDGER ===============
+// Every movement of money on a case is an entry in caseData.ledger. Balances
+// and recovery totals are always derived from the entries, never kept as
+// counters. Amounts are positive except ADJUSTMENT, which is signed, and are
+// in the case's currency; totals across cases are converted to the reporting
+// currency at each entry's effective date.
+//   PAYMENT     received from the debtor, credited to the DCA holding the case
+//   REVERSAL    undoes (part of) an earlier payment: bounced payment, chargeback
+//   ADJUSTMENT  change to the debt itself, e.g. an upheld dispute (negative)
+//   FEE         charge added to what the debtor owes
+export const LEDGER_ENTRY_TYPES = ['PAYMENT', 'REVERSAL', 'ADJUSTMENT', 'FEE'];
+export const REVERSAL_REASONS = ['BOUNCED', 'CHARGEBACK', 'ERROR'];
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export function createLedgerEntry({ entryId, type, amount, currency, reverses = null, reason = null, reference = null, source = null, dcaId = null, effectiveAt = null, user, now = new Date() }) {
+    return {
+        entryId,
+        type,
+        amount: round2(amount),
+        currency,
+        reverses,
+        reason,
+        reference,
+        source,
+        dcaId,
+        effectiveAt: effectiveAt || now.toISOString(),
+        recordedBy: user,
+        recordedAt: now.toISOString()
+    };
+}
+
+// What the case was placed for, before any adjustment
+export function originalAmount(caseData) {
+    return caseData.originalDebtAmount ?? caseData.debtAmount;
+}
+
+export function ledgerTotals(caseData) {
+    const sum = type => round2((caseData.ledger || []).filter(e => e.type === type).reduce((total, e) => total + e.amount, 0));
+    const payments = sum('PAYMENT');
+    const reversals = sum('REVERSAL');
+    const adjustments = sum('ADJUSTMENT');
+    const fees = sum('FEE');
+    const recovered = round2(payments - reversals);
+    const original = originalAmount(caseData);
+
+    return {
+        currency: caseCurrency(caseData),
+        originalAmount: original,
+        adjustments,
+        fees,
+        payments,
+        reversals,
+        recovered,
+        debt: round2(original + adjustments),
+        // Negative when the debtor has paid more than is owed (refund due)
+        balance: round2(original + adjustments + fees - recovered)
+    };
+}
+
+// Part of a payment not yet reversed
+export function reversibleAmount(caseData, paymentId) {
+    const payment = (caseData.ledger || []).find(e => e.entryId === paymentId && e.type === 'PAYMENT');
+    if (!payment) return null;
+    const reversed = caseData.ledger.filter(e => e.type === 'REVERSAL' && e.reverses === paymentId).reduce((total, e) => total + e.amount, 0);
+    return round2(payment.amount - reversed);
+}
+
+// A payment or reversal as a signed reporting-currency amount
+function reportingRecovery(caseData, entry) {
+    const amount = toReportingCurrency(entry.amount, entry.currency || caseCurrency(caseData), entry.effectiveAt);
+    return entry.type === 'PAYMENT' ? amount : -amount;
+}
+
+function isRecovery(entry) {
+    return entry.type === 'PAYMENT' || entry.type === 'REVERSAL';
+}
+
+// Net recovery on a case in the reporting currency
+export function reportingRecovered(caseData) {
+    return round2((caseData.ledger || []).filter(isRecovery).reduce((total, e) => total + reportingRecovery(caseData, e), 0));
+}
+
+// Net recovery credited to each DCA across the given cases (any iterable), in
+// the reporting currency; cases that cannot be converted are left out
+export function recoveredByDCA(cases) {
+    const totals = new Map();
+    Array.from(cases).filter(isConvertible).forEach(caseData => (caseData.ledger || []).forEach(entry => {
+        if (!entry.dcaId || !isRecovery(entry)) return;
+        totals.set(entry.dcaId, round2((totals.get(entry.dcaId) || 0) + reportingRecovery(caseData, entry)));
+    }));
+    return totals;
+}
@@ -0,0 +1,96 @@
+// =============== CASE LIFECYCLE ===============
+// Single source of truth for case status changes:
+// RECEIVED → ALLOCATED → IN_PROGRESS → ESCALATED/DISPUTED → RESOLVED/WRITTEN_OFF
+// Every route that touches caseData.status goes through applyTransition().
+import { errorBody } from './api-errors.js';
+import { syncSlaClock } from './sla-monitor.js';
+
+export const CASE_STATES = ['RECEIVED', 'ALLOCATED', 'IN_PROGRESS', 'ESCALATED', 'DISPUTED', 'RESOLVED', 'WRITTEN_OFF'];
+
+// state -> action -> next state
+const lifecycle = {
+    RECEIVED: {
+        ALLOCATE: 'ALLOCATED',
+        WRITE_OFF: 'WRITTEN_OFF'
+    },
+    ALLOCATED: {
+        LOG_INTERACTION: 'IN_PROGRESS',
+        DISPUTE: 'DISPUTED',
+        ESCALATE: 'ESCALATED',
+        RESOLVE: 'RESOLVED',
+        WRITE_OFF: 'WRITTEN_OFF',
+        RECALL: 'RECEIVED',
+        REASSIGN: 'ALLOCATED'
+    },
+    IN_PROGRESS: {
+        LOG_INTERACTION: 'IN_PROGRESS',
+        DISPUTE: 'DISPUTED',
+        ESCALATE: 'ESCALATED',
+        RESOLVE: 'RESOLVED',
+        WRITE_OFF: 'WRITTEN_OFF',
+        RECALL: 'RECEIVED',
+        REASSIGN: 'IN_PROGRESS'
+    },
+    ESCALATED: {
+        LOG_INTERACTION: 'ESCALATED',
+        DISPUTE: 'DISPUTED',
+        DE_ESCALATE: 'IN_PROGRESS',
+        RESOLVE: 'RESOLVED',
+        WRITE_OFF: 'WRITTEN_OFF',
+        RECALL: 'RECEIVED',
+        REASSIGN: 'ESCALATED'
+    },
+    DISPUTED: {
+        LOG_INTERACTION: 'DISPUTED',
+        ESCALATE: 'ESCALATED',
+        CLOSE_DISPUTE: 'IN_PROGRESS',
+        RESOLVE: 'RESOLVED',
+        WRITE_OFF: 'WRITTEN_OFF',
+        RECALL: 'RECEIVED',
+        REASSIGN: 'DISPUTED'
+    },
+    RESOLVED: {},
+    WRITTEN_OFF: {}
+};
+
+export function allowedActions(status) {
+    return Object.keys(lifecycle[status] || {});
+}
+
+export function nextState(status, action) {
+    return (lifecycle[status] || {})[action] || null;
+}
+
+export function canTransition(status, action) {
+    return nextState(status, action) !== null;
+}
+
+// Moves the case to the state reached by `action` and records it in the audit trail
+// (self-loops such as IN_PROGRESS → IN_PROGRESS are allowed but not recorded).
+// Pauses or resumes the SLA clock when the case enters or leaves DISPUTED/ESCALATED.
+// Returns false (and leaves the case untouched) when the action is illegal.
+export function applyTransition(caseData, action, user, details) {
+    const from = caseData.status;
+    const to = nextState(from, action);
+    if (!to) return false;
+    if (to === from) return true;
+
+    caseData.status = to;
+    caseData.auditTrail.push({
+        action: 'STATUS_TRANSITION',
+        user,
+        timestamp: new Date().toISOString(),
+        details: details ? `${action}: ${from} → ${to}. ${details}` : `${action}: ${from} → ${to}`,
+        transition: { action, from, to }
+    });
+    syncSlaClock(caseData, from, to, user);
+
+    return true;
+}
+
+export function transitionError(caseData, action) {
+    return errorBody('INVALID_TRANSITION', `Cannot ${action} a case in status ${caseData.status}`, {
+        status: caseData.status,
+        allowedActions: allowedActions(caseData.status)
+    });
+}
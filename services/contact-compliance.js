@@ -0,0 +1,157 @@
+import { calendarRegionFor, getCalendar } from './business-calendar.js';
+import { isActiveDispute } from './dispute-workflow.js';
+
+// =============== CONTACT COMPLIANCE ===============
+// Decides whether an outbound contact attempt may go ahead before it is made.
+// A contact is blocked when any of these rules applies:
+//   DO_NOT_CONTACT           the debtor's phone or email is on the do-not-contact list
+//   DISPUTE_COOLING_OFF      a dispute is active or closed less than disputeCoolingOffDays ago
+//   FREQUENCY_CAP            the channel already had its maximum attempts in the window
+//   OUTSIDE_PERMITTED_HOURS  it is outside the channel's hours in the debtor's time zone
+// Inbound contacts (the debtor reaching out) are never blocked.
+export const CONTACT_CHANNELS = ['CALL', 'EMAIL', 'SMS', 'VISIT'];
+
+export const contactRules = {
+    // Debtor-local [from, to) hours per channel
+    permittedHours: { CALL: [9, 18], EMAIL: [9, 18], SMS: [9, 18], VISIT: [9, 18] },
+    // At most `max` outbound attempts per channel in any `days`-day window
+    frequencyCaps: {
+        CALL: { max: 7, days: 7 },
+        EMAIL: { max: 7, days: 7 },
+        SMS: { max: 7, days: 7 },
+        VISIT: { max: 2, days: 30 }
+    },
+    disputeCoolingOffDays: Number(process.env.DISPUTE_COOLING_OFF_DAYS || 7)
+};
+
+const DAY_MS = 24 * 3600 * 1000;
+const STEP_MS = 15 * 60000;
+const hourFormatters = new Map();
+
+// Debtor's own time zone when given at ingest, else the one of its region's calendar
+export function debtorTimeZone(caseData) {
+    return caseData.timeZone || getCalendar(calendarRegionFor(caseData.geoRegion)).timeZone;
+}
+
+function localHour(date, timeZone) {
+    if (!hourFormatters.has(timeZone)) {
+        hourFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', hour: 'numeric', minute: 'numeric' }));
+    }
+    const parts = Object.fromEntries(hourFormatters.get(timeZone).formatToParts(date).map(p => [p.type, Number(p.value)]));
+    return parts.hour + parts.minute / 60;
+}
+
+function withinHours(date, timeZone, [from, to]) {
+    const hour = localHour(date, timeZone);
+    return hour >= from && hour < to;
+}
+
+// First instant at or after `from` inside the channel's hours, on a 15-minute grid
+function nextPermittedTime(from, timeZone, hours) {
+    let t = new Date(Math.ceil(from.getTime() / STEP_MS) * STEP_MS);
+    for (let i = 0; i < 8 * 24 * 4 && !withinHours(t, timeZone, hours); i++) {
+        t = new Date(t.getTime() + STEP_MS);
+    }
+    return t;
+}
+
+function digits(value) {
+    return String(value || '').replace(/\D/g, '');
+}
+
+// Entries of the do-not-contact list covering this debtor on this channel
+export function doNotContactMatches(entries, caseData, channel) {
+    const phone = digits(caseData.phone);
+    const email = String(caseData.email || '').toLowerCase();
+    return entries.filter(entry => {
+        if (entry.channel && entry.channel !== channel) return false;
+        return (phone && entry.phone && digits(entry.phone) === phone) ||
+            (email && entry.email && entry.email.toLowerCase() === email);
+    });
+}
+
+function outboundAttempts(caseData, channel) {
+    return (caseData.interactions || []).filter(i => i.type === channel && i.direction !== 'INBOUND');
+}
+
+// When the last dispute stopped being active: null while one still is,
+// undefined when the case never had one
+function disputeCoolingOffFrom(caseData) {
+    const disputes = (caseData.disputes || []).filter(d => d.disputeId);
+    if (disputes.some(isActiveDispute)) return null;
+    const closedAt = disputes.map(d => d.history[d.history.length - 1].timestamp).sort().pop();
+    return closedAt || undefined;
+}
+
+// Returns { allowed, channel, reasons: [{ rule, message, until }], timeZone,
+// debtorLocalTime, retryAt }. `until` is when that rule stops blocking (null
+// when it does not lift by itself); retryAt is the first instant every rule
+// would allow the contact, or null when one never lifts by itself.
+export function checkContact(caseData, channel, { doNotContact = [], now = new Date(), rules = contactRules } = {}) {
+    const timeZone = debtorTimeZone(caseData);
+    const reasons = [];
+
+    doNotContactMatches(doNotContact, caseData, channel).forEach(entry => {
+        reasons.push({
+            rule: 'DO_NOT_CONTACT',
+            message: `Debtor is on the do-not-contact list (${entry.entryId}${entry.reason ? `: ${entry.reason}` : ''})`,
+            until: null
+        });
+    });
+
+    const coolingFrom = disputeCoolingOffFrom(caseData);
+    if (coolingFrom === null) {
+        reasons.push({ rule: 'DISPUTE_COOLING_OFF', message: 'A dispute on this case is still open', until: null });
+    } else if (coolingFrom) {
+        const until = new Date(new Date(coolingFrom).getTime() + rules.disputeCoolingOffDays * DAY_MS);
+        if (now < until) {
+            reasons.push({
+                rule: 'DISPUTE_COOLING_OFF',
+                message: `No contact within ${rules.disputeCoolingOffDays} days of a dispute closing`,
+                until: until.toISOString()
+            });
+        }
+    }
+
+    const cap = rules.frequencyCaps[channel];
+    if (cap) {
+        const since = now.getTime() - cap.days * DAY_MS;
+        const recent = outboundAttempts(caseData, channel)
+            .map(i => new Date(i.timestamp).getTime())
+            .filter(t => t > since)
+            .sort((a, b) => a - b);
+        if (recent.length >= cap.max) {
+            // The window frees up once enough of the oldest attempts age out of it
+            const until = new Date(recent[recent.length - cap.max] + cap.days * DAY_MS);
+            reasons.push({
+                rule: 'FREQUENCY_CAP',
+                message: `${recent.length} ${channel} attempts in the last ${cap.days} days (max ${cap.max})`,
+                until: until.toISOString()
+            });
+        }
+    }
+
+    const hours = rules.permittedHours[channel];
+    if (hours && !withinHours(now, timeZone, hours)) {
+        reasons.push({
+            rule: 'OUTSIDE_PERMITTED_HOURS',
+            message: `${channel} allowed ${hours[0]}:00-${hours[1]}:00 debtor local time (${timeZone})`,
+            until: nextPermittedTime(now, timeZone, hours).toISOString()
+        });
+    }
+
+    let retryAt = null;
+    if (reasons.length && reasons.every(r => r.until)) {
+        const lifted = new Date(Math.max(...reasons.map(r => new Date(r.until).getTime())));
+        retryAt = (hours ? nextPermittedTime(lifted, timeZone, hours) : lifted).toISOString();
+    }
+
+    return {
+        allowed: reasons.length === 0,
+        channel,
+        reasons,
+        timeZone,
+        debtorLocalTime: now.toLocaleString('en-US', { timeZone, hourCycle: 'h23' }),
+        retryAt
+    };
+}
@@ -0,0 +1,114 @@
+// =============== DISPUTE WORKFLOW ===============
+// A case can carry several disputes; each one moves on its own:
+// OPEN → UNDER_REVIEW → UPHELD/REJECTED, with WITHDRAWN possible until decided.
+// The case stays DISPUTED while any dispute on it is still active.
+import { errorBody } from './api-errors.js';
+
+export const DISPUTE_CATEGORIES = ['BILLING_ERROR', 'SERVICE_FAILURE', 'IDENTITY'];
+
+// SOP "Mark disputed cases within 24 hours": a debtor disputing the debt in an
+// interaction must be followed by an opened dispute within this window
+export const DISPUTE_MARKING_HOURS = 24;
+
+// state -> action -> next state
+const disputeLifecycle = {
+    OPEN: {
+        ATTACH_EVIDENCE: 'OPEN',
+        REQUEST_REVIEW: 'UNDER_REVIEW',
+        WITHDRAW: 'WITHDRAWN'
+    },
+    UNDER_REVIEW: {
+        ATTACH_EVIDENCE: 'UNDER_REVIEW',
+        UPHOLD: 'UPHELD',
+        REJECT: 'REJECTED',
+        WITHDRAW: 'WITHDRAWN'
+    },
+    UPHELD: {},
+    REJECTED: {},
+    WITHDRAWN: {}
+};
+
+export function isActiveDispute(dispute) {
+    return dispute.status === 'OPEN' || dispute.status === 'UNDER_REVIEW';
+}
+
+export function activeDisputes(caseData) {
+    return (caseData.disputes || []).filter(d => d.disputeId && isActiveDispute(d));
+}
+
+// Interactions where the debtor disputed the debt: a DISPUTE result, or
+// dispute intent picked up in the note
+function disputeSignals(caseData) {
+    return (caseData.interactions || [])
+        .filter(i => i.result === 'DISPUTE' || (i.intentFlags && i.intentFlags.dispute))
+        .map(i => i.timestamp)
+        .sort();
+}
+
+// Signals no dispute was opened for at or after them, oldest first
+export function unmarkedDisputeSignals(caseData) {
+    const opened = (caseData.disputes || []).filter(d => d.disputeId).map(d => d.openedAt);
+    return disputeSignals(caseData).filter(signal => !opened.some(at => at >= signal));
+}
+
+export function markingDeadline(signalAt) {
+    return new Date(new Date(signalAt).getTime() + DISPUTE_MARKING_HOURS * 3600000).toISOString();
+}
+
+export function createDispute({ disputeId, category, reason, owner, user, now = new Date(), raisedAt = null }) {
+    const openedAt = now.toISOString();
+    const raised = raisedAt || openedAt;
+    return {
+        disputeId,
+        category,
+        reason,
+        owner,
+        status: 'OPEN',
+        openedBy: user,
+        openedAt,
+        raisedAt: raised,
+        markedWithinSop: openedAt <= markingDeadline(raised),
+        evidence: [],
+        review: null,
+        decision: null,
+        history: [{ action: 'OPEN', status: 'OPEN', user, timestamp: openedAt, notes: reason || null }]
+    };
+}
+
+export function allowedDisputeActions(status) {
+    return Object.keys(disputeLifecycle[status] || {});
+}
+
+export function canApplyDisputeAction(dispute, action) {
+    return Boolean((disputeLifecycle[dispute.status] || {})[action]);
+}
+
+// Moves the dispute to the state reached by `action` and records it in its
+// history. Returns false (and leaves the dispute untouched) when illegal.
+export function applyDisputeAction(dispute, action, user, notes = null, now = new Date()) {
+    const to = (disputeLifecycle[dispute.status] || {})[action];
+    if (!to) return false;
+
+    dispute.status = to;
+    dispute.history.push({ action, status: to, user, timestamp: now.toISOString(), notes });
+    return true;
+}
+
+export function disputeTransitionError(dispute, action) {
+    return errorBody('INVALID_DISPUTE_TRANSITION', `Cannot ${action} a dispute in status ${dispute.status}`, {
+        status: dispute.status,
+        allowedActions: allowedDisputeActions(dispute.status)
+    });
+}
+
+// A recall sends the case back to RECEIVED, where nothing can decide its
+// disputes or bring it back from DISPUTED, so it waits until none is active.
+// Returns the INVALID_TRANSITION body to send, or null when the recall may go ahead.
+export function recallBlockedByDisputes(caseData) {
+    const active = activeDisputes(caseData);
+    if (!active.length) return null;
+    return errorBody('INVALID_TRANSITION', `Cannot RECALL a case with an active dispute (${active.map(d => d.disputeId).join(', ')})`, {
+        status: caseData.status,
+        activeDisputes: active.map(d => ({ disputeId: d.disputeId, status: d.status }))
+    });
+}
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// =============== FX RATES ===============
+// Debts and ledger entries stay in the currency they were placed in. Anything
+// that compares or adds up amounts across cases (prioritization, backlog
+// order, models, metrics) converts them to the reporting currency first.
+// Rates are read from a local file (FX_RATES_FILE, default fx-rates.json next
+// to this module): reporting-currency units per unit of each currency, each
+// with the date it takes effect. A conversion uses the rate in effect on the
+// given day; days before the first known rate use that first rate.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export function loadFxRates(filePath) {
+    const { reportingCurrency, rates = {} } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!/^[A-Z]{3}$/.test(reportingCurrency || '')) throw new Error(`${filePath}: reportingCurrency must be an ISO 4217 code`);
+
+    const table = {};
+    Object.entries(rates).forEach(([currency, history]) => {
+        if (!/^[A-Z]{3}$/.test(currency) || currency === reportingCurrency) throw new Error(`${filePath}: invalid currency ${currency}`);
+        if (!Array.isArray(history) || !history.length) throw new Error(`${filePath}: no rates for ${currency}`);
+        history.forEach(({ effectiveDate, rate }) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate || '') || !(rate > 0)) {
+                throw new Error(`${filePath}: ${currency} needs an effectiveDate (YYYY-MM-DD) and a positive rate on every entry`);
+            }
+        });
+        table[currency] = [...history].sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+    });
+    return { reportingCurrency, rates: table };
+}
+
+const fxTable = loadFxRates(process.env.FX_RATES_FILE || path.join(__dirname, 'fx-rates.json'));
+
+export const REPORTING_CURRENCY = fxTable.reportingCurrency;
+export const SUPPORTED_CURRENCIES = [REPORTING_CURRENCY, ...Object.keys(fxTable.rates)];
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Cases stored before they carried a currency were placed in the reporting currency
+export function caseCurrency(caseData) {
+    return caseData.currency || REPORTING_CURRENCY;
+}
+
+// { currency, rate, effectiveDate } in effect at `at`, or null for an unknown currency
+export function rateFor(currency, at = new Date()) {
+    if (currency === REPORTING_CURRENCY) return { currency, rate: 1, effectiveDate: null };
+    const history = fxTable.rates[currency];
+    if (!history) return null;
+
+    const day = new Date(at).toISOString().slice(0, 10);
+    const { effectiveDate, rate } = history.filter(r => r.effectiveDate <= day).pop() || history[0];
+    return { currency, rate, effectiveDate };
+}
+
+export function hasFxRate(currency) {
+    return rateFor(currency) !== null;
+}
+
+// A case (and every entry on its ledger) can be converted. Ingest only takes
+// currencies with a rate, but cases stored before a currency was dropped from
+// the rates file cannot; aggregates skip and count those instead of failing.
+export function isConvertible(caseData) {
+    return hasFxRate(caseCurrency(caseData)) &&
+        (caseData.ledger || []).every(entry => !entry.currency || hasFxRate(entry.currency));
+}
+
+// Splits cases (any iterable) into { cases, skipped } where skipped lists the
+// caseIds that cannot be converted
+export function convertibleCases(cases) {
+    const result = { cases: [], skipped: [] };
+    Array.from(cases).forEach(caseData => {
+        if (isConvertible(caseData)) result.cases.push(caseData);
+        else result.skipped.push(caseData.caseId);
+    });
+    return result;
+}
+
+export function toReportingCurrency(amount, currency = REPORTING_CURRENCY, at = new Date()) {
+    const fx = rateFor(currency, at);
+    if (!fx) throw new Error(`No FX rate for ${currency}`);
+    return round2((Number(amount) || 0) * fx.rate);
+}
+
+// Debt of a case in the reporting currency at the rate in effect at `at`
+export function reportingDebtAmount(caseData, at = new Date()) {
+    return toReportingCurrency(caseData.debtAmount, caseCurrency(caseData), at);
+}
+
+// What the case was placed for, before any ledger adjustment, at the rate in
+// effect when it was placed; it stays put however the debt or the rates move
+// afterwards (model features, backlog order, replays)
+export function placedDebtAmount(caseData) {
+    return toReportingCurrency(caseData.originalDebtAmount ?? caseData.debtAmount, caseCurrency(caseData), caseData.createdAt || new Date());
+}
+
+// "$1,250", "€980.50", "₹75,000"; whole amounts drop the cents
+export function formatMoney(amount, currency = REPORTING_CURRENCY) {
+    const digits = Number.isInteger(amount) ? 0 : 2;
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, minimumFractionDigits: digits, maximumFractionDigits: digits }).format(amount);
+}
+
+export function fxSummary() {
+    return {
+        reportingCurrency: REPORTING_CURRENCY,
+        rates: fxTable.rates
+    };
+}
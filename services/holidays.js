@@ -0,0 +1,50 @@
+// =============== HOLIDAYS ===============
+// Holiday rules a business calendar can name instead of listing dates, so the
+// SLA clock never runs off the end of a hand-kept list. A rule gives the local
+// dates (YYYY-MM-DD) observed as days off in one year.
+const DAY_MS = 24 * 3600 * 1000;
+
+function dateKey(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+// nth weekday (0 = Sunday) of a month; n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+    if (n < 0) {
+        const last = Date.UTC(year, month, 0);
+        return last - ((new Date(last).getUTCDay() - weekday + 7) % 7) * DAY_MS;
+    }
+    const first = Date.UTC(year, month - 1, 1);
+    return first + (((weekday - new Date(first).getUTCDay() + 7) % 7) + (n - 1) * 7) * DAY_MS;
+}
+
+// A fixed-date holiday on a Saturday is observed the Friday before, on a
+// Sunday the Monday after
+function observed(year, month, day) {
+    const ms = Date.UTC(year, month - 1, day);
+    const weekday = new Date(ms).getUTCDay();
+    return ms + (weekday === 6 ? -DAY_MS : weekday === 0 ? DAY_MS : 0);
+}
+
+// US federal holidays as observed (5 U.S.C. 6103). New Year's Day falling on a
+// Saturday is observed on December 31, so it belongs to the year before.
+export function usFederalHolidays(year) {
+    return [
+        observed(year, 1, 1),
+        nthWeekday(year, 1, 1, 3),
+        nthWeekday(year, 2, 1, 3),
+        nthWeekday(year, 5, 1, -1),
+        observed(year, 6, 19),
+        observed(year, 7, 4),
+        nthWeekday(year, 9, 1, 1),
+        nthWeekday(year, 10, 1, 2),
+        observed(year, 11, 11),
+        nthWeekday(year, 11, 4, 4),
+        observed(year, 12, 25),
+        observed(year + 1, 1, 1)
+    ].map(dateKey).filter(date => date.startsWith(`${year}-`));
+}
+
+export const HOLIDAY_RULES = {
+    US_FEDERAL: usFederalHolidays
+};
@@ -0,0 +1,80 @@
+// =============== STREAMING JSON ARRAYS ===============
+// Splits a top-level JSON array into its elements as the text arrives and
+// parses one element at a time, so a large upload is never held in memory or
+// handed to JSON.parse as a whole. Only the nesting of brackets and strings is
+// tracked here; each element is still checked by JSON.parse.
+export const MAX_ELEMENT_CHARS = 1024 * 1024;
+
+function uploadError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+// `chunks` is any (async) iterable of strings, e.g. a request after setEncoding('utf8')
+export async function* parseJsonArray(chunks) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let done = false;
+    let element = '';
+    let count = 0;
+
+    const take = text => {
+        element += text;
+        if (element.length > MAX_ELEMENT_CHARS) {
+            throw uploadError('ELEMENT_TOO_LARGE', `Array element ${count + 1} is larger than ${MAX_ELEMENT_CHARS} characters`);
+        }
+    };
+    const finish = closing => {
+        const text = element.trim();
+        element = '';
+        if (!text) {
+            if (closing && count === 0) return undefined;
+            throw uploadError('MALFORMED_JSON', `Array element ${count + 1} is empty`);
+        }
+        count++;
+        try {
+            return { value: JSON.parse(text) };
+        } catch (err) {
+            throw uploadError('MALFORMED_JSON', `Array element ${count} is not valid JSON: ${err.message}`);
+        }
+    };
+
+    for await (const chunk of chunks) {
+        let from = 0;
+        for (let i = 0; i < chunk.length; i++) {
+            const c = chunk[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (c === '\\') escaped = true;
+                else if (c === '"') inString = false;
+                continue;
+            }
+            if (c === ' ' || c === '\n' || c === '\r' || c === '\t') continue;
+            if (done) throw uploadError('MALFORMED_JSON', 'Unexpected data after the JSON array');
+
+            if (depth === 0) {
+                if (c !== '[') throw uploadError('NOT_AN_ARRAY', 'Expected a JSON array');
+                depth = 1;
+                from = i + 1;
+            } else if (c === '"') {
+                inString = true;
+            } else if (c === '{' || c === '[') {
+                depth++;
+            } else if (c === '}' || c === ']') {
+                if (--depth > 0) continue;
+                if (c !== ']') throw uploadError('MALFORMED_JSON', 'Unexpected } closing the JSON array');
+                take(chunk.slice(from, i));
+                const last = finish(true);
+                if (last) yield last.value;
+                done = true;
+            } else if (c === ',' && depth === 1) {
+                take(chunk.slice(from, i));
+                yield finish(false).value;
+                from = i + 1;
+            }
+        }
+        if (depth > 0) take(chunk.slice(from));
+    }
+
+    if (!done) throw uploadError(depth > 0 ? 'MALFORMED_JSON' : 'NOT_AN_ARRAY', depth > 0 ? 'JSON array is not closed' : 'Expected a JSON array');
+}
@@ -0,0 +1,182 @@
+// =============== PAYMENT PLANS ===============
+// Arrangements agreed with the debtor: a promise to pay (one installment) or
+// an installment plan. Payments are applied to installments oldest first; an
+// installment still short after its due date plus the grace period is MISSED,
+// which breaks the plan. A plan is ACTIVE until it is COMPLETED or BROKEN, or
+// CANCELLED because the case was closed some other way. Due dates are dates in
+// the debtor's time zone.
+import { zonedTime } from './business-calendar.js';
+import { reversibleAmount } from './case-ledger.js';
+
+export const PLAN_TYPES = ['PROMISE_TO_PAY', 'INSTALLMENT'];
+export const PLAN_FREQUENCIES = ['WEEKLY', 'BIWEEKLY', 'MONTHLY'];
+export const PAYMENT_GRACE_DAYS = Number(process.env.PAYMENT_GRACE_DAYS || 3);
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function toDateOnly(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Due dates are calendar dates; monthly ones keep the day of the month where
+// it exists (Jan 31 → Feb 28 → Mar 31)
+function dueDateAt(firstDueDate, frequency, index) {
+    const first = new Date(`${firstDueDate.slice(0, 10)}T00:00:00Z`);
+    if (frequency !== 'MONTHLY') return toDateOnly(first.getTime() + index * (frequency === 'WEEKLY' ? 7 : 14) * DAY_MS);
+
+    const year = first.getUTCFullYear();
+    const month = first.getUTCMonth() + index;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return toDateOnly(Date.UTC(year, month, Math.min(first.getUTCDate(), lastDay)));
+}
+
+// Even split in cents; the last installment takes the rounding remainder
+export function buildSchedule({ totalAmount, installmentCount, frequency, firstDueDate }) {
+    const cents = Math.round(totalAmount * 100);
+    const base = Math.floor(cents / installmentCount);
+    return Array.from({ length: installmentCount }, (_, i) => ({
+        number: i + 1,
+        dueDate: dueDateAt(firstDueDate, frequency, i),
+        amount: (i === installmentCount - 1 ? cents - base * (installmentCount - 1) : base) / 100,
+        paidAmount: 0,
+        status: 'PENDING',
+        paidAt: null,
+        missedAt: null
+    }));
+}
+
+export function createPaymentPlan({ planId, type, totalAmount, installmentCount = 1, frequency = 'MONTHLY', firstDueDate, graceDays = PAYMENT_GRACE_DAYS, notes = null, user, now = new Date() }) {
+    const count = type === 'PROMISE_TO_PAY' ? 1 : installmentCount;
+    return {
+        planId,
+        type,
+        status: 'ACTIVE',
+        totalAmount: round2(totalAmount),
+        paidAmount: 0,
+        frequency: count > 1 ? frequency : null,
+        graceDays,
+        notes,
+        createdBy: user,
+        createdAt: now.toISOString(),
+        installments: buildSchedule({ totalAmount, installmentCount: count, frequency, firstDueDate }),
+        payments: [],
+        completedAt: null,
+        brokenAt: null,
+        breakReason: null,
+        cancelledAt: null,
+        cancelReason: null
+    };
+}
+
+export function remainingAmount(plan) {
+    return round2(plan.totalAmount - plan.paidAmount);
+}
+
+// Spreads an amount over the oldest open installments
+function applyToInstallments(plan, amount, paidAt) {
+    let left = Math.round(amount * 100);
+    plan.installments.filter(i => i.status !== 'PAID').forEach(installment => {
+        if (left <= 0) return;
+        const due = Math.round((installment.amount - installment.paidAmount) * 100);
+        const applied = Math.min(due, left);
+        left -= applied;
+        installment.paidAmount = round2(installment.paidAmount + applied / 100);
+        installment.status = applied === due ? 'PAID' : 'PARTIAL';
+        if (installment.status === 'PAID') installment.paidAt = paidAt;
+    });
+}
+
+// Applies a payment to the oldest open installments. The caller checks the
+// plan is ACTIVE and the amount does not exceed remainingAmount(). Returns
+// true when the payment completes the plan.
+export function applyPlanPayment(plan, { amount, paidAt, reference = null, entryId = null }, user, now = new Date()) {
+    applyToInstallments(plan, amount, paidAt);
+    plan.paidAmount = round2(plan.paidAmount + amount);
+    plan.payments.push({ entryId, amount: round2(amount), paidAt, reference, recordedBy: user, recordedAt: now.toISOString() });
+
+    if (plan.installments.every(i => i.status === 'PAID')) {
+        plan.status = 'COMPLETED';
+        plan.completedAt = now.toISOString();
+        return true;
+    }
+    return false;
+}
+
+// Rebuilds the plan's payments and installments from the case ledger after a
+// reversal: each plan payment counts only for the part of its ledger entry
+// not yet reversed, and one reversed in full drops off the plan. Installments
+// already missed stay MISSED unless paid again.
+export function reconcilePlanPayments(plan, caseData) {
+    plan.payments = plan.payments
+        .map(payment => ({ ...payment, amount: payment.entryId ? reversibleAmount(caseData, payment.entryId) ?? payment.amount : payment.amount }))
+        .filter(payment => payment.amount > 0);
+
+    plan.installments.forEach(installment => {
+        installment.paidAmount = 0;
+        installment.paidAt = null;
+        installment.status = installment.missedAt ? 'MISSED' : 'PENDING';
+    });
+    [...plan.payments]
+        .sort((a, b) => Date.parse(a.paidAt) - Date.parse(b.paidAt))
+        .forEach(payment => applyToInstallments(plan, payment.amount, payment.paidAt));
+    plan.paidAmount = round2(plan.payments.reduce((total, p) => total + p.amount, 0));
+}
+
+// Instant after which an unpaid installment counts as missed: the debtor-local
+// midnight ending the last grace day
+export function missedAfter(installment, graceDays, timeZone = 'UTC') {
+    const last = new Date(Date.parse(`${installment.dueDate}T00:00:00Z`) + (graceDays + 1) * DAY_MS);
+    return new Date(zonedTime({ year: last.getUTCFullYear(), month: last.getUTCMonth() + 1, day: last.getUTCDate() }, 0, timeZone));
+}
+
+// Marks overdue installments MISSED and returns the ones newly missed
+export function detectMissedInstallments(plan, now = new Date(), timeZone = 'UTC') {
+    if (plan.status !== 'ACTIVE') return [];
+    const missed = plan.installments.filter(i => i.status !== 'PAID' && i.status !== 'MISSED' && now >= missedAfter(i, plan.graceDays, timeZone));
+    missed.forEach(installment => {
+        installment.status = 'MISSED';
+        installment.missedAt = now.toISOString();
+    });
+    return missed;
+}
+
+export function breakPlan(plan, reason, now = new Date()) {
+    plan.status = 'BROKEN';
+    plan.brokenAt = now.toISOString();
+    plan.breakReason = reason;
+}
+
+export function cancelPlan(plan, reason, now = new Date()) {
+    plan.status = 'CANCELLED';
+    plan.cancelledAt = now.toISOString();
+    plan.cancelReason = reason;
+}
+
+export function activePlan(caseData) {
+    return (caseData.paymentPlans || []).find(p => p.status === 'ACTIVE') || null;
+}
+
+export function planSummary(plan) {
+    const next = plan.status === 'ACTIVE' ? plan.installments.find(i => i.status !== 'PAID') : null;
+    return {
+        planId: plan.planId,
+        type: plan.type,
+        status: plan.status,
+        totalAmount: plan.totalAmount,
+        paidAmount: plan.paidAmount,
+        remainingAmount: remainingAmount(plan),
+        installmentsPaid: plan.installments.filter(i => i.status === 'PAID').length,
+        installmentsTotal: plan.installments.length,
+        installmentsMissed: plan.installments.filter(i => i.status === 'MISSED').length,
+        nextInstallment: next ? { number: next.number, dueDate: next.dueDate, amountDue: round2(next.amount - next.paidAmount) } : null,
+        completedAt: plan.completedAt,
+        brokenAt: plan.brokenAt,
+        breakReason: plan.breakReason,
+        cancelledAt: plan.cancelledAt,
+        cancelReason: plan.cancelReason
+    };
+}
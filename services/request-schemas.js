@@ -0,0 +1,202 @@
+import { sendError } from './api-errors.js';
+import { DISPUTE_CATEGORIES } from './dispute-workflow.js';
+import { PLAN_FREQUENCIES, PLAN_TYPES } from './payment-plans.js';
+import { LEDGER_ENTRY_TYPES, REVERSAL_REASONS } from './case-ledger.js';
+import { SUPPORTED_CURRENCIES } from './fx-rates.js';
+import { CONTACT_CHANNELS } from './contact-compliance.js';
+
+// =============== REQUEST SCHEMAS ===============
+// Field rules: type ('string' | 'number' | 'integer'), required, min, max,
+// maxLength, format ('email' | 'phone' | 'date' | 'timeZone') and enum. Unknown fields are ignored.
+export const schemas = {
+    ingestCase: {
+        trackingNumber: { type: 'string', required: true, maxLength: 64 },
+        debtor: { type: 'string', required: true, maxLength: 200 },
+        debtAmount: { type: 'number', required: true, min: 0.01 },
+        // Only currencies with an FX rate, so every ingested case converts
+        currency: { type: 'string', enum: SUPPORTED_CURRENCIES },
+        debtAge: { type: 'integer', required: true, min: 0, max: 3650 },
+        phone: { type: 'string', format: 'phone' },
+        email: { type: 'string', format: 'email' },
+        notes: { type: 'string', maxLength: 5000 },
+        geoRegion: { type: 'string', maxLength: 64 },
+        // IANA zone of the debtor; defaults to the geoRegion's calendar zone
+        timeZone: { type: 'string', format: 'timeZone' },
+        pastPaymentScore: { type: 'number', min: 0, max: 1 },
+        customerRating: { type: 'number', min: 0, max: 1 },
+        businessPriority: { type: 'number', min: 0.5, max: 2 }
+    },
+    interaction: {
+        type: { type: 'string', required: true, enum: CONTACT_CHANNELS },
+        direction: { type: 'string', enum: ['OUTBOUND', 'INBOUND'] },
+        details: { type: 'string', maxLength: 5000 },
+        result: { type: 'string', required: true, enum: ['SUCCESS', 'CALLBACK', 'DISPUTE', 'NO_ANSWER'] },
+        disputeCategory: { type: 'string', enum: DISPUTE_CATEGORIES }
+    },
+    document: {
+        fileName: { type: 'string', required: true, maxLength: 255 },
+        type: { type: 'string', required: true, enum: ['PAYMENT_PROOF', 'NOTE', 'LEGAL', 'OTHER'] },
+        content: { type: 'string', required: true }
+    },
+    escalate: {
+        reason: { type: 'string', required: true, maxLength: 2000 },
+        targetRole: { type: 'string', required: true, maxLength: 64 }
+    },
+    deEscalate: {
+        reason: { type: 'string', required: true, maxLength: 2000 }
+    },
+    resolve: {
+        resolutionType: { type: 'string', required: true, enum: ['RECOVERED', 'WRITTEN_OFF', 'SETTLED'] },
+        recoveredAmount: { type: 'number', min: 0 },
+        notes: { type: 'string', maxLength: 5000 }
+    },
+    recall: {
+        reason: { type: 'string', required: true, maxLength: 2000 }
+    },
+    reassign: {
+        dcaId: { type: 'string', required: true, maxLength: 32 },
+        reason: { type: 'string', required: true, maxLength: 2000 }
+    },
+    openDispute: {
+        category: { type: 'string', required: true, enum: DISPUTE_CATEGORIES },
+        reason: { type: 'string', required: true, maxLength: 2000 },
+        owner: { type: 'string', format: 'email' }
+    },
+    // Either docId of a document already on the case, or a new document
+    disputeEvidence: {
+        docId: { type: 'string', maxLength: 32 },
+        fileName: { type: 'string', maxLength: 255 },
+        type: { type: 'string', enum: ['PAYMENT_PROOF', 'NOTE', 'LEGAL', 'OTHER'] },
+        content: { type: 'string' }
+    },
+    disputeReview: {
+        category: { type: 'string', enum: DISPUTE_CATEGORIES },
+        reviewer: { type: 'string', format: 'email' },
+        notes: { type: 'string', maxLength: 2000 }
+    },
+    upholdDispute: {
+        resolution: { type: 'string', required: true, enum: ['ADJUST', 'CANCEL'] },
+        adjustedAmount: { type: 'number', min: 0.01 },
+        notes: { type: 'string', maxLength: 2000 }
+    },
+    rejectDispute: {
+        notes: { type: 'string', required: true, maxLength: 2000 }
+    },
+    withdrawDispute: {
+        notes: { type: 'string', maxLength: 2000 }
+    },
+    createPaymentPlan: {
+        type: { type: 'string', required: true, enum: PLAN_TYPES },
+        totalAmount: { type: 'number', min: 0.01 },
+        installmentCount: { type: 'integer', min: 1, max: 60 },
+        frequency: { type: 'string', enum: PLAN_FREQUENCIES },
+        firstDueDate: { type: 'string', required: true, format: 'date' },
+        graceDays: { type: 'integer', min: 0, max: 30 },
+        notes: { type: 'string', maxLength: 2000 }
+    },
+    planPayment: {
+        amount: { type: 'number', required: true, min: 0.01 },
+        paidAt: { type: 'string', format: 'date' },
+        reference: { type: 'string', maxLength: 128 }
+    },
+    breakPaymentPlan: {
+        reason: { type: 'string', required: true, maxLength: 2000 }
+    },
+    // amount is signed for ADJUSTMENT, positive otherwise; reverses and reason
+    // are required for REVERSAL
+    ledgerEntry: {
+        type: { type: 'string', required: true, enum: LEDGER_ENTRY_TYPES },
+        amount: { type: 'number', required: true },
+        currency: { type: 'string', enum: SUPPORTED_CURRENCIES },
+        reverses: { type: 'string', maxLength: 32 },
+        reason: { type: 'string', enum: REVERSAL_REASONS },
+        reference: { type: 'string', maxLength: 128 },
+        effectiveAt: { type: 'string', format: 'date' }
+    },
+    contactCheck: {
+        channel: { type: 'string', required: true, enum: CONTACT_CHANNELS }
+    },
+    // At least one of phone and email; no channel blocks every channel
+    doNotContact: {
+        phone: { type: 'string', format: 'phone' },
+        email: { type: 'string', format: 'email' },
+        channel: { type: 'string', enum: CONTACT_CHANNELS },
+        reason: { type: 'string', required: true, maxLength: 2000 }
+    },
+    promoteModel: {
+        version: { type: 'string', required: true, maxLength: 64 }
+    },
+    shadowModel: {
+        version: { type: 'string', maxLength: 64 }
+    }
+};
+
+const formats = {
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    phone: value => /^\+?[0-9\s().-]{7,20}$/.test(value) && value.replace(/\D/g, '').length >= 7,
+    // ISO 8601 date, optionally with a time
+    date: value => /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(value) && !Number.isNaN(Date.parse(value)),
+    timeZone: value => {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+};
+
+function checkType(type, value) {
+    if (type === 'string') return typeof value === 'string';
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'integer') return Number.isInteger(value);
+    return true;
+}
+
+// Returns [{ field, code, message }]; an empty array means the body is valid
+export function validate(schema, body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return [{ field: null, code: 'INVALID_BODY', message: 'Request body must be a JSON object' }];
+    }
+
+    const errors = [];
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = body[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) errors.push({ field, code: 'REQUIRED', message: `${field} is required` });
+            return;
+        }
+        if (!checkType(rule.type, value)) {
+            errors.push({ field, code: 'INVALID_TYPE', message: `${field} must be a${rule.type === 'integer' ? 'n' : ''} ${rule.type}` });
+            return;
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            errors.push({ field, code: 'INVALID_ENUM', message: `${field} must be one of ${rule.enum.join(', ')}` });
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push({ field, code: 'TOO_SMALL', message: `${field} must be at least ${rule.min}` });
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            errors.push({ field, code: 'TOO_LARGE', message: `${field} must be at most ${rule.max}` });
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            errors.push({ field, code: 'TOO_LONG', message: `${field} must be at most ${rule.maxLength} characters` });
+        }
+        if (rule.format && !formats[rule.format](value)) {
+            errors.push({ field, code: 'INVALID_FORMAT', message: `${field} is not a valid ${rule.format}` });
+        }
+    });
+
+    return errors;
+}
+
+export function validateBody(schema) {
+    return (req, res, next) => {
+        const errors = validate(schema, req.body);
+        if (errors.length) {
+            return sendError(res, 400, 'VALIDATION_FAILED', 'Request validation failed', { details: errors });
+        }
+        next();
+    };
+}
@@ -0,0 +1,45 @@
+import fs from 'fs';
+import { HOLIDAY_RULES } from './holidays.js';
+
+// =============== SLA CONFIG ===============
+// allocationWaitHours: how long a case may sit in the backlog when every DCA is full
+export const slaConfig = {
+    CRITICAL: { allocationWaitHours: 4, firstActionHours: 24, followUpDays: 2, resolutionDays: 7 },
+    HIGH: { allocationWaitHours: 12, firstActionHours: 48, followUpDays: 3, resolutionDays: 15 },
+    MEDIUM: { allocationWaitHours: 24, firstActionHours: 72, followUpDays: 4, resolutionDays: 20 },
+    LOW: { allocationWaitHours: 48, firstActionHours: 96, followUpDays: 7, resolutionDays: 30 }
+};
+
+// Share of an SLA window that has elapsed when an "approaching breach" warning
+// goes out, e.g. SLA_WARNING_THRESHOLDS=0.5,0.9
+export const slaWarningThresholds = (process.env.SLA_WARNING_THRESHOLDS || '0.75,0.9')
+    .split(',')
+    .map(Number)
+    .filter(t => t > 0 && t < 1)
+    .sort((a, b) => a - b);
+
+// =============== BUSINESS CALENDARS ===============
+// Working calendars per region (matched against case and DCA geoRegion). SLA
+// clocks only run inside these windows: a day in slaConfig is one working day
+// of the region, and hours are the matching share of it (24h = 1 working day).
+// Holidays are either the name of a rule in holidays.js (US_FEDERAL) or a
+// list of local dates; a list only covers the years it spans, and working time
+// outside them cannot be computed. SLA_CALENDAR_FILE can point to a JSON file
+// of further regions; a region listed there replaces the built-in one.
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+export const businessCalendars = {
+    DEFAULT: { timeZone: 'UTC', workdays: WEEKDAYS, openHour: 9, closeHour: 18, holidays: [] },
+    'North-East': { timeZone: 'America/New_York', workdays: WEEKDAYS, openHour: 9, closeHour: 18, holidays: 'US_FEDERAL' },
+    'Central': { timeZone: 'America/Chicago', workdays: WEEKDAYS, openHour: 9, closeHour: 18, holidays: 'US_FEDERAL' },
+    'South-West': { timeZone: 'America/Phoenix', workdays: WEEKDAYS, openHour: 9, closeHour: 18, holidays: 'US_FEDERAL' },
+    'West-Coast': { timeZone: 'America/Los_Angeles', workdays: WEEKDAYS, openHour: 9, closeHour: 18, holidays: 'US_FEDERAL' },
+    ...(process.env.SLA_CALENDAR_FILE ? JSON.parse(fs.readFileSync(process.env.SLA_CALENDAR_FILE, 'utf8')) : {})
+};
+
+Object.entries(businessCalendars).forEach(([region, calendar]) => {
+    const { holidays } = calendar;
+    if (typeof holidays === 'string' ? !HOLIDAY_RULES[holidays] : !Array.isArray(holidays) || holidays.some(d => !/^\d{4}-\d{2}-\d{2}$/.test(d))) {
+        throw new Error(`Business calendar ${region}: holidays must be one of ${Object.keys(HOLIDAY_RULES).join(', ')} or a list of YYYY-MM-DD dates`);
+    }
+});
@@ -0,0 +1,221 @@
+import { slaConfig, slaWarningThresholds } from './sla-config.js';
+import { addWorkingHours, getCalendar, workingHoursBetween, workingHoursPerDay } from './business-calendar.js';
+
+// =============== SLA EVALUATION ===============
+// Where each of a case's SLA deadlines stands, worked out from interaction
+// timestamps and the resolution time. Only interactions logged after the SLA
+// clock started (the allocation) count. Evaluation never mutates the case; the
+// monitor in dca-api.js turns the result into breach and warning events.
+//   FIRST_ACTION  met by the first interaction
+//   FOLLOW_UP     met by a second interaction
+//   RESOLUTION    met by resolving or writing off the case
+export const SLA_DEADLINES = [
+    { type: 'FIRST_ACTION', field: 'firstAction', interactions: 1 },
+    { type: 'FOLLOW_UP', field: 'followUp', interactions: 2 },
+    { type: 'RESOLUTION', field: 'resolution', interactions: null }
+];
+
+// While a case waits on FedEx its clock stands still
+export const SLA_PAUSED_STATUSES = ['DISPUTED', 'ESCALATED'];
+
+const CLOSED_STATUSES = ['RESOLVED', 'WRITTEN_OFF'];
+
+// When the deadline was satisfied, or null while it is still open. Closing a
+// case also settles the contact deadlines it never reached.
+function satisfiedAt(caseData, sla, startedAt) {
+    const closedAt = CLOSED_STATUSES.includes(caseData.status) ? caseData.resolvedAt || null : null;
+    if (!sla.interactions) return closedAt;
+
+    const contacts = (caseData.interactions || [])
+        .map(i => i.timestamp)
+        .filter(timestamp => new Date(timestamp) >= startedAt)
+        .sort();
+    return contacts[sla.interactions - 1] || closedAt;
+}
+
+// Working hours the clock has run between its start and `until`, leaving out
+// paused intervals (an open pause runs up to `until`)
+function activeWorkingHours(caseData, until) {
+    const { startedAt, calendar } = caseData.slaDeadlines;
+    const cal = getCalendar(calendar);
+    const paused = (caseData.slaPauses || []).reduce((sum, pause) => {
+        const to = pause.to && new Date(pause.to) < until ? pause.to : until;
+        return sum + workingHoursBetween(new Date(pause.from) > new Date(startedAt) ? pause.from : startedAt, to, cal);
+    }, 0);
+    return workingHoursBetween(startedAt, until, cal) - paused;
+}
+
+function round1(value) {
+    return Number(value.toFixed(1));
+}
+
+// Returns [{ type, deadline, state, metAt, hoursRemaining, workingHoursRemaining, warnings }],
+// where state is MET, PENDING, APPROACHING, PAUSED or BREACHED and warnings
+// lists the thresholds an open deadline has already crossed. Clocks started
+// before business calendars existed have no budgets and run on wall time.
+export function evaluateCaseSla(caseData, now = new Date(), thresholds = slaWarningThresholds) {
+    if (!caseData.slaDeadlines) return [];
+
+    const { budgetHours, pausedAt } = caseData.slaDeadlines;
+    const startedAt = new Date(caseData.slaDeadlines.startedAt || caseData.createdAt);
+    const used = budgetHours ? activeWorkingHours(caseData, now) : null;
+
+    return SLA_DEADLINES.map(sla => {
+        const deadline = new Date(caseData.slaDeadlines[sla.field]);
+        const metAt = satisfiedAt(caseData, sla, startedAt);
+        const budget = budgetHours ? budgetHours[sla.field] : null;
+
+        let state;
+        let warnings = [];
+        if (metAt) {
+            state = new Date(metAt) <= deadline ? 'MET' : 'BREACHED';
+        } else if (pausedAt) {
+            // Missed before the pause began, or waiting for the clock to resume
+            state = new Date(pausedAt) > deadline ? 'BREACHED' : 'PAUSED';
+        } else if (now > deadline) {
+            state = 'BREACHED';
+        } else {
+            const window = deadline - startedAt;
+            const elapsed = budget ? used / budget : window > 0 ? (now - startedAt) / window : 1;
+            warnings = thresholds.filter(t => elapsed >= t);
+            state = warnings.length ? 'APPROACHING' : 'PENDING';
+        }
+
+        const open = state === 'PENDING' || state === 'APPROACHING' || state === 'PAUSED';
+        return {
+            type: sla.type,
+            deadline: deadline.toISOString(),
+            state,
+            metAt,
+            hoursRemaining: open && state !== 'PAUSED' ? round1((deadline - now) / 3600000) : null,
+            workingHoursRemaining: open && budget ? round1(Math.max(0, budget - used)) : null,
+            warnings
+        };
+    });
+}
+
+// A closed case whose deadlines are all MET or BREACHED can never change
+// again, so once its breaches are on record the monitor can stop checking it
+export function slaSettled(caseData, now = new Date()) {
+    return CLOSED_STATUSES.includes(caseData.status) &&
+        evaluateCaseSla(caseData, now).every(d => d.state === 'MET' || d.state === 'BREACHED');
+}
+
+// A holiday list that does not reach a date leaves working time uncomputable.
+// The clock is left as it was and the case records the error once, in
+// slaCalendarError and an SLA_CALENDAR_ERROR audit entry, until the calendar is
+// extended. Returns whether it was new; any other error is rethrown.
+export function recordSlaCalendarError(caseData, err, now = new Date()) {
+    if (err.code !== 'CALENDAR_NOT_COVERED') throw err;
+    if (caseData.slaCalendarError && caseData.slaCalendarError.error === err.message) return false;
+
+    caseData.slaCalendarError = { error: err.message, at: now.toISOString() };
+    caseData.auditTrail.push({
+        action: 'SLA_CALENDAR_ERROR',
+        user: 'SYSTEM',
+        timestamp: now.toISOString(),
+        details: err.message
+    });
+    return true;
+}
+
+// =============== SLA CLOCK ===============
+// The clock starts on allocation with a budget of working hours per deadline,
+// taken from slaConfig and the region's calendar. Entering DISPUTED or
+// ESCALATED pauses it; leaving them resumes it and moves every open deadline
+// out by the working time spent paused. Paused intervals are kept on the case
+// in slaPauses as { status, from, to, workingHours }.
+export function startSlaClock(caseData, region, now = new Date()) {
+    const sla = slaConfig[caseData.priority];
+    const calendar = getCalendar(region);
+    const day = workingHoursPerDay(calendar);
+    const budgetHours = {
+        firstAction: round1(sla.firstActionHours / 24 * day),
+        followUp: sla.followUpDays * day,
+        resolution: sla.resolutionDays * day
+    };
+
+    caseData.slaPauses = [];
+    caseData.slaDeadlines = {
+        startedAt: now.toISOString(),
+        calendar: region,
+        budgetHours,
+        pausedAt: null,
+        ...Object.fromEntries(Object.entries(budgetHours).map(([field, hours]) => [field, addWorkingHours(now, hours, calendar).toISOString()]))
+    };
+    return caseData.slaDeadlines;
+}
+
+function openPause(caseData, now) {
+    if (!caseData.slaPauses) caseData.slaPauses = [];
+    caseData.slaPauses.push({ status: caseData.status, from: now.toISOString(), to: null, workingHours: null });
+}
+
+// Ends the open paused interval; returns it
+function closePause(caseData, now) {
+    const pause = (caseData.slaPauses || []).find(p => !p.to);
+    if (pause) {
+        pause.workingHours = round1(workingHoursBetween(pause.from, now, getCalendar(caseData.slaDeadlines.calendar)));
+        pause.to = now.toISOString();
+    }
+    return pause;
+}
+
+function pauseSlaClock(caseData, user, now) {
+    caseData.slaDeadlines.pausedAt = now.toISOString();
+    openPause(caseData, now);
+    caseData.auditTrail.push({
+        action: 'SLA_PAUSED',
+        user,
+        timestamp: now.toISOString(),
+        details: `SLA clock paused while ${caseData.status}`
+    });
+}
+
+function resumeSlaClock(caseData, user, now) {
+    const clock = caseData.slaDeadlines;
+    const calendar = getCalendar(clock.calendar);
+    const pausedAt = new Date(clock.pausedAt);
+    const open = evaluateCaseSla(caseData, now)
+        .filter(d => d.state === 'PAUSED')
+        .map(d => SLA_DEADLINES.find(sla => sla.type === d.type));
+
+    closePause(caseData, now);
+    clock.pausedAt = null;
+
+    const used = clock.budgetHours ? activeWorkingHours(caseData, now) : null;
+    open.forEach(({ field }) => {
+        clock[field] = clock.budgetHours
+            ? addWorkingHours(now, Math.max(0, clock.budgetHours[field] - used), calendar).toISOString()
+            : new Date(new Date(clock[field]).getTime() + (now - pausedAt)).toISOString();
+    });
+
+    const due = open.map(({ type, field }) => `${type} due ${clock[field]}`).join(', ');
+    caseData.auditTrail.push({
+        action: 'SLA_RESUMED',
+        user,
+        timestamp: now.toISOString(),
+        details: `SLA clock resumed after ${round1(workingHoursBetween(pausedAt, now, calendar))} working hours paused${due ? `; ${due}` : ''}`
+    });
+}
+
+// Called on every status change; pauses or resumes the clock when the case
+// crosses into or out of a paused status. A calendar gap does not block the
+// status change: the clock stays as it was and the error is recorded.
+export function syncSlaClock(caseData, from, to, user, now = new Date()) {
+    if (!caseData.slaDeadlines) return;
+
+    const wasPaused = Boolean(caseData.slaDeadlines.pausedAt);
+    const pauses = SLA_PAUSED_STATUSES.includes(to);
+    try {
+        if (pauses && !wasPaused) pauseSlaClock(caseData, user, now);
+        else if (!pauses && wasPaused) resumeSlaClock(caseData, user, now);
+        else if (pauses && from !== to) {
+            // DISPUTED ↔ ESCALATED: the clock stays paused, under a new interval
+            closePause(caseData, now);
+            openPause(caseData, now);
+        }
+    } catch (err) {
+        recordSlaCalendarError(caseData, err, now);
+    }
+}
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+
+// =============== COLLECTIONS ===============
+// A Collection is a Map whose writes are forwarded to the store's journal.
+// Records are mutated in place all over the API, so callers re-persist a
+// record with save(key) once they are done changing it.
+export class Collection extends Map {
+    constructor(name, journal = null) {
+        super();
+        this.name = name;
+        this.journal = journal;
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        if (this.journal) this.journal.write(this.name, key, value);
+        return this;
+    }
+
+    delete(key) {
+        const removed = super.delete(key);
+        if (removed && this.journal) this.journal.remove(this.name, key);
+        return removed;
+    }
+
+    save(key) {
+        if (this.journal && super.has(key)) this.journal.write(this.name, key, super.get(key));
+    }
+
+    hydrate(entries) {
+        entries.forEach((value, key) => super.set(key, value));
+    }
+}
+
+// =============== JSON JOURNAL ===============
+// Replays a journal file into collection name -> Map without touching it, so
+// offline tools can read a live store safely
+export function readJournal(filePath) {
+    const state = new Map();
+    if (!fs.existsSync(filePath)) return state;
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            // A crash mid-append leaves a truncated last line; skip it
+            console.warn(`⚠️  Skipping unreadable journal line ${index + 1} in ${filePath}`);
+            return;
+        }
+
+        if (!state.has(record.c)) state.set(record.c, new Map());
+        if (record.d) state.get(record.c).delete(record.k);
+        else state.get(record.c).set(record.k, record.v);
+    });
+
+    return state;
+}
+
+// Append-only JSON lines file: one { c, k, v } record per write, { c, k, d } per
+// delete. On open the journal is replayed (last write wins) and compacted into
+// a fresh snapshot. Every save re-appends the whole record, so a long-running
+// process compacts again whenever the records appended since the last
+// snapshot outgrow it (and at least compactAfterBytes have been appended).
+export const COMPACT_AFTER_BYTES = 8 * 1024 * 1024;
+
+export class JsonJournal {
+    constructor(filePath, { compactAfterBytes = COMPACT_AFTER_BYTES } = {}) {
+        this.filePath = filePath;
+        this.compactAfterBytes = compactAfterBytes;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        // Latest value of every record; collections hold the same objects
+        this.state = this.replay();
+        this.compact();
+    }
+
+    replay() {
+        return readJournal(this.filePath);
+    }
+
+    compact() {
+        const tmpPath = `${this.filePath}.tmp`;
+        const lines = [];
+        this.state.forEach((entries, c) => {
+            entries.forEach((v, k) => lines.push(JSON.stringify({ c, k, v })));
+        });
+
+        const snapshot = lines.length ? lines.join('\n') + '\n' : '';
+        fs.writeFileSync(tmpPath, snapshot);
+        fs.renameSync(tmpPath, this.filePath);
+        this.snapshotBytes = Buffer.byteLength(snapshot);
+        this.appendedBytes = 0;
+    }
+
+    entries(name) {
+        if (!this.state.has(name)) this.state.set(name, new Map());
+        return this.state.get(name);
+    }
+
+    append(line) {
+        fs.appendFileSync(this.filePath, line);
+        this.appendedBytes += Buffer.byteLength(line);
+        if (this.appendedBytes > Math.max(this.compactAfterBytes, this.snapshotBytes)) this.compact();
+    }
+
+    write(c, k, v) {
+        this.entries(c).set(k, v);
+        this.append(JSON.stringify({ c, k, v }) + '\n');
+    }
+
+    remove(c, k) {
+        this.entries(c).delete(k);
+        this.append(JSON.stringify({ c, k, d: 1 }) + '\n');
+    }
+}
+
+// =============== STORE ===============
+export class Store {
+    constructor(journal = null) {
+        this.journal = journal;
+        this.collections = new Map();
+    }
+
+    // Seed entries are only written when the collection has never been persisted
+    collection(name, seed = []) {
+        if (this.collections.has(name)) return this.collections.get(name);
+
+        const collection = new Collection(name, this.journal);
+        if (this.journal) collection.hydrate(this.journal.entries(name));
+        if (collection.size === 0) {
+            seed.forEach(([key, value]) => collection.set(key, value));
+        }
+
+        this.collections.set(name, collection);
+        return collection;
+    }
+
+    nextSequence(name, initial = 0) {
+        const meta = this.collection('meta');
+        const value = (meta.has(name) ? meta.get(name) : initial) + 1;
+        meta.set(name, value);
+        return value;
+    }
+}
+
+export function journalPath(dataDir) {
+    return path.join(dataDir, 'dca-store.jsonl');
+}
+
+export function createStore({ driver = 'json', dataDir, compactAfterBytes } = {}) {
+    if (driver === 'memory') return new Store();
+    if (driver === 'json') return new Store(new JsonJournal(journalPath(dataDir), { compactAfterBytes }));
+    throw new Error(`Unknown store driver: ${driver}`);
+}
@@ -2,6 +2,12 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { RecoveryPredictor } from './ai-engine/ml-models/recovery-predictor.js';
+import { CasePrioritizer } from './ai-engine/ml-models/case-prioritizer.js';
+import { SentimentAnalyzer } from './ai-engine/ml-models/sentiment-analyzer.js';
+import { latestEvaluation, summarizeEvaluation } from './ai-engine/model-serving/evaluation.js';
+import { ModelRegistry } from './ai-engine/model-serving/model-registry.js';
+import { formatMoney, REPORTING_CURRENCY, SUPPORTED_CURRENCIES } from './services/fx-rates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,6 +27,11 @@ const dcaWorkload = {            // DCA availability
 
 let caseIdCounter = 1000;
 
+const modelRegistry = new ModelRegistry();
+const recoveryPredictor = new RecoveryPredictor();
+const casePrioritizer = new CasePrioritizer();
+const sentimentAnalyzer = new SentimentAnalyzer();
+
 app.use(cors());
 app.use(express.json());
 
@@ -46,7 +57,11 @@ app.post('/api/cases/ingest', (req, res) => {
         debtAge = 0,
         phone,
         email,
-        notes
+        notes,
+        geoRegion,
+        pastPaymentScore,
+        businessPriority,
+        currency = REPORTING_CURRENCY
     } = req.body;
     
     if (!trackingNumber || !debtor || !debtAmount) {
@@ -54,6 +69,9 @@ app.post('/api/cases/ingest', (req, res) => {
             error: 'Missing required fields: trackingNumber, debtor, debtAmount'
         });
     }
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        return res.status(400).json({ error: `Unsupported currency ${currency}` });
+    }
     
     const caseId = `FDX-${++caseIdCounter}`;
     const newCase = {
@@ -61,10 +79,14 @@ app.post('/api/cases/ingest', (req, res) => {
         trackingNumber,
         debtor,
         debtAmount,
+        currency,
         debtAge,
         phone,
         email,
         notes,
+        geoRegion,
+        pastPaymentScore,
+        businessPriority,
         status: 'RECEIVED',
         priority: null,
         allocatedDCA: null,
@@ -79,7 +101,7 @@ app.post('/api/cases/ingest', (req, res) => {
     caseRegistry.set(caseId, newCase);
     allocationQueue.push(caseId);
     
-    console.log(`📥 NEW CASE RECEIVED: ${caseId} | Debtor: ${debtor} | Amount: $${debtAmount}`);
+    console.log(`📥 NEW CASE RECEIVED: ${caseId} | Debtor: ${debtor} | Amount: ${formatMoney(debtAmount, currency)}`);
     
     // Trigger auto-allocation
     setTimeout(() => allocatePendingCases(), 100);
@@ -162,37 +184,38 @@ function allocatePendingCases() {
 
 function prioritizeCase(caseId) {
     const caseData = caseRegistry.get(caseId);
-    const { debtAmount, debtAge } = caseData;
-    
-    // Smart prioritization logic
-    let priority = 'LOW';
-    let score = 10;
-    
-    if (debtAmount > 100000) {
-        priority = 'CRITICAL';
-        score = 95;
-    } else if (debtAmount > 50000 || debtAge > 120) {
-        priority = 'HIGH';
-        score = 75;
-    } else if (debtAmount > 20000 || debtAge > 60) {
-        priority = 'MEDIUM';
-        score = 50;
-    } else {
-        priority = 'LOW';
-        score = 20;
-    }
     
-    // Add recovery probability
-    const recoveryProbability = (Math.random() * 0.4 + 0.5).toFixed(4);
+    // Add recovery probability (trained model, or heuristic until one exists)
+    caseData.recoveryProbability = Number(recoveryPredictor.predict(caseData).recoveryProbability.toFixed(4));
+    
+    // Shared prioritization rules (same as the main DCA API)
+    const { tier, score, reasons } = casePrioritizer.getPriority(caseData);
     
-    caseData.priority = priority;
-    caseData.recoveryProbability = parseFloat(recoveryProbability);
+    caseData.priority = tier;
+    caseData.priorityScore = score;
+    caseData.priorityReasons = reasons;
     caseData.status = 'PRIORITIZED';
     caseData.prioritizedAt = new Date().toISOString();
     
-    console.log(`🎯 PRIORITIZED: ${caseId} | ${priority} | Score: ${score} | Recovery: ${recoveryProbability}`);
+    console.log(`🎯 PRIORITIZED: ${caseId} | ${tier} | Score: ${score} | Recovery: ${caseData.recoveryProbability}`);
 }
 
+// Re-score prioritized cases as they age; status and allocation are untouched
+function reprioritizeCases() {
+    caseRegistry.forEach(caseData => {
+        if (!caseData.priority) return;
+        const { tier, score, reasons } = casePrioritizer.getPriority(caseData);
+        if (tier !== caseData.priority) {
+            console.log(`🎯 REPRIORITIZED: ${caseData.caseId} | ${caseData.priority} → ${tier} | Score: ${score}`);
+        }
+        caseData.priority = tier;
+        caseData.priorityScore = score;
+        caseData.priorityReasons = reasons;
+    });
+}
+
+setInterval(reprioritizeCases, Number(process.env.PRIORITY_REFRESH_MINUTES || 60) * 60 * 1000).unref();
+
 function allocateCase(caseId) {
     const caseData = caseRegistry.get(caseId);
     const { priority, debtAmount } = caseData;
@@ -333,35 +356,58 @@ app.get('/health', (req, res) => {
 
 // Recovery prediction
 app.post('/api/predict/recovery', (req, res) => {
-    const { caseAmount = 5000, caseAge = 30, attempts = 2 } = req.body;
+    const { caseAmount = 5000, currency = REPORTING_CURRENCY, caseAge = 30, attempts = 2, geoRegion, pastPaymentScore } = req.body;
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        return res.status(400).json({ error: `Unsupported currency ${currency}` });
+    }
+    const { recoveryProbability, source, modelVersion, attribution } = recoveryPredictor.predict({
+        debtAmount: caseAmount,
+        currency,
+        debtAge: caseAge,
+        geoRegion,
+        pastPaymentScore,
+        interactions: Array.from({ length: attempts }, () => ({}))
+    });
     
     res.json({
         caseId: `CASE-${Date.now()}`,
-        recoveryProbability: (Math.random() * 0.4 + 0.6).toFixed(4),
-        riskLevel: ['Low', 'Medium', 'High'][Math.floor(Math.random() * 3)],
-        confidence: (Math.random() * 0.3 + 0.7).toFixed(4),
-        estimatedRecoveryAmount: (caseAmount * (Math.random() * 0.4 + 0.5)).toFixed(2),
-        keyFactors: ['Case Amount', 'Age', 'Recovery History'],
-        explanation: 'Prediction based on case amount and historical recovery patterns',
+        recoveryProbability: recoveryProbability.toFixed(4),
+        riskLevel: recoveryProbability >= 0.7 ? 'Low' : recoveryProbability >= 0.4 ? 'Medium' : 'High',
+        confidence: Math.max(recoveryProbability, 1 - recoveryProbability).toFixed(4),
+        estimatedRecoveryAmount: (caseAmount * recoveryProbability).toFixed(2),
+        keyFactors: attribution.factors.slice(0, 3).map(f => f.feature),
+        featureAttributions: attribution,
+        model: { source, version: modelVersion },
+        explanation: source === 'model'
+            ? 'Prediction from the trained recovery model'
+            : 'Heuristic estimate from case amount and age (no trained model yet)',
         timestamp: new Date().toISOString()
     });
 });
 
 // Case prioritization
 app.post('/api/prioritize/case', (req, res) => {
-    const { caseAmount = 5000, caseAge = 30 } = req.body;
+    const { caseAmount = 5000, currency = REPORTING_CURRENCY, caseAge = 30, businessPriority, recoveryProbability } = req.body;
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        return res.status(400).json({ error: `Unsupported currency ${currency}` });
+    }
     
-    let priority = 'Medium';
-    if (caseAmount > 50000) priority = 'Critical';
-    else if (caseAmount > 20000 || caseAge > 60) priority = 'High';
-    else if (caseAge > 120) priority = 'Critical';
+    const { tier, score, reasons } = casePrioritizer.getPriority({
+        debtAmount: caseAmount,
+        currency,
+        debtAge: caseAge,
+        businessPriority,
+        recoveryProbability
+    });
+    const priority = tier.charAt(0) + tier.slice(1).toLowerCase();
     
     res.json({
         caseId: `CASE-${Date.now()}`,
         priority: priority,
-        score: (Math.random() * 100).toFixed(2),
-        reasoning: `High case amount requires priority handling (Amount: $${caseAmount}, Age: ${caseAge} days)`,
-        recommendedAction: priority === 'Critical' ? 'Assign immediately' : 'Review in next batch',
+        score: score.toFixed(2),
+        reasons,
+        reasoning: reasons.length ? reasons.join('; ') : `No strong priority drivers (Amount: ${formatMoney(caseAmount, currency)}, Age: ${caseAge} days)`,
+        recommendedAction: tier === 'CRITICAL' ? 'Assign immediately' : 'Review in next batch',
         timestamp: new Date().toISOString()
     });
 });
@@ -383,49 +429,49 @@ app.post('/api/optimize/dca', (req, res) => {
 app.post('/api/analyze/sentiment', (req, res) => {
     const { text = '' } = req.body;
     
-    const hasPositive = text.toLowerCase().match(/good|great|excellent|satisfied|happy/);
-    const hasNegative = text.toLowerCase().match(/bad|poor|disappointed|angry|upset/);
-    
-    let sentiment = 'Neutral';
-    if (hasPositive && !hasNegative) sentiment = 'Positive';
-    else if (hasNegative && !hasPositive) sentiment = 'Negative';
+    const analysis = sentimentAnalyzer.analyze(text);
+    const sentiment = analysis.sentiment.charAt(0) + analysis.sentiment.slice(1).toLowerCase();
     
     res.json({
         text: text.substring(0, 100),
         sentiment: sentiment,
-        score: (Math.random() * 0.5 + 0.5).toFixed(4),
-        keywords: text.split(/\s+/).slice(0, 5),
+        score: analysis.score.toFixed(4),
+        keywords: analysis.keyPhrases,
+        intents: analysis.flags,
+        intentPhrases: analysis.intents,
         timestamp: new Date().toISOString()
     });
 });
 
-// Model metrics
+// Model metrics (latest `npm run test-models` run on held-out data)
 app.get('/api/models/metrics', (req, res) => {
+    const summary = summarizeEvaluation(latestEvaluation());
+    if (!summary) {
+        return res.json({
+            runId: null,
+            recoveryPredictor: null,
+            casePrioritizer: null,
+            dcaOptimizer: null,
+            sentimentAnalyzer: null,
+            lastUpdated: null,
+            message: 'No evaluation run yet; run npm run test-models'
+        });
+    }
+    
     res.json({
-        recoveryPredictor: {
-            accuracy: '0.8912',
-            precision: '0.8654',
-            recall: '0.8701',
-            f1Score: '0.8677'
-        },
-        casePrioritizer: {
-            accuracy: '0.9123',
-            precision: '0.9087',
-            recall: '0.9156',
-            f1Score: '0.9121'
-        },
-        dcaOptimizer: {
-            allocationAccuracy: '0.8765',
-            efficiencyGain: '23.4%'
-        },
-        sentimentAnalyzer: {
-            accuracy: '0.8945',
-            precision: '0.8876'
-        },
-        lastUpdated: new Date().toISOString()
+        ...summary,
+        dcaOptimizer: null, // no ground truth to evaluate allocations against yet
+        lastUpdated: summary.evaluatedAt
     });
 });
 
+// Production versions from the model registry (npm run models)
+await Promise.all([
+    recoveryPredictor.loadModel(modelRegistry.resolve('recovery-predictor')),
+    casePrioritizer.loadModel(modelRegistry.resolve('case-prioritizer')),
+    sentimentAnalyzer.loadModel(modelRegistry.resolve('sentiment-analyzer'))
+]);
+
 app.listen(port, () => {
     console.log(`🚀 Inference API running on port ${port}`);
     console.log(`\n📚 CASE INTAKE & ALLOCATION API:`);
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { authorize, filterVisible } from '../services/access-policy.js';
+import { startApi } from './helpers/api-server.js';
+
+const agent = { role: 'DCA', email: 'dca1@company.com', dcaId: 'DCA-001' };
+const fedex = { role: 'FEDEX', email: 'fedex@company.com' };
+const own = { caseId: 'FDX-1001', allocatedDCA: 'DCA-001' };
+const other = { caseId: 'FDX-1002', allocatedDCA: 'DCA-002' };
+
+test('agents act only on cases assigned to their DCA', () => {
+    assert.equal(authorize(agent, 'case:interact', own).allowed, true);
+    assert.deepEqual(authorize(agent, 'case:interact', other), { allowed: false, reason: 'Case FDX-1002 is not assigned to DCA-001' });
+    assert.equal(authorize(agent, 'case:interact', { caseId: 'FDX-1003', allocatedDCA: null }).allowed, false);
+});
+
+test('actions a role does not list are denied', () => {
+    assert.deepEqual(authorize(agent, 'case:recall', own), { allowed: false, reason: 'Role DCA may not perform case:recall' });
+    assert.equal(authorize(fedex, 'case:interact').allowed, false);
+    assert.equal(authorize({ role: 'GUEST' }, 'case:read').allowed, false);
+    assert.equal(authorize(fedex, 'case:recall', other).allowed, true);
+});
+
+test('case lists are narrowed to what the session may see', () => {
+    assert.deepEqual(filterVisible(agent, 'case:list', [own, other]), [own]);
+    assert.deepEqual(filterVisible(fedex, 'case:list', [own, other]), [own, other]);
+    assert.deepEqual(filterVisible(agent, 'allocation:read', [own, other]), []);
+});
+
+test('an agent cannot read or work another agency\'s case, and the attempt is audited', async t => {
+    const api = await startApi(t);
+    const fedexSession = await api.login('fedex');
+    const { caseId } = await api.ingest(fedexSession);
+    await api.assignTo(fedexSession, caseId, 'DCA-001');
+
+    const owner = await api.login('dca1');
+    const outsider = await api.login('dca2');
+
+    assert.equal((await api.request('GET', `/api/cases/${caseId}`, { session: owner })).status, 200);
+
+    const read = await api.request('GET', `/api/cases/${caseId}`, { session: outsider });
+    assert.equal(read.status, 403);
+    assert.equal(read.body.code, 'FORBIDDEN');
+
+    const list = await api.request('GET', '/api/cases', { session: outsider });
+    assert.equal(list.body.cases.some(c => c.caseId === caseId), false);
+
+    const audit = await api.request('GET', `/api/audit/${caseId}`, { session: fedexSession });
+    const denied = audit.body.auditTrail.filter(a => a.action === 'ACCESS_DENIED');
+    assert.equal(denied.length, 1);
+    assert.equal(denied[0].user, 'dca2@company.com');
+
+    assert.equal((await api.request('GET', '/api/cases/FDX-9999', { session: owner })).status, 404);
+    assert.equal((await api.request('POST', '/api/dcas/recompute-load', { session: owner })).status, 403);
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compareBacklogCases } from '../ai-engine/allocation/backlog-order.js';
+import { startApi } from './helpers/api-server.js';
+
+const waiting = (caseId, priority, debtAge, debtAmount, createdAt = '2026-01-05T09:00:00Z') =>
+    ({ caseId, priority, debtAge, debtAmount, originalDebtAmount: debtAmount, currency: 'USD', createdAt });
+
+test('the backlog orders by tier, then age, then amount, then arrival', () => {
+    const cases = [
+        waiting('late', 'HIGH', 60, 5000, '2026-01-05T10:00:00Z'),
+        waiting('small', 'HIGH', 60, 1000),
+        waiting('low', 'LOW', 300, 90000),
+        waiting('early', 'HIGH', 60, 5000),
+        waiting('critical', 'CRITICAL', 10, 100),
+        waiting('old', 'HIGH', 90, 100)
+    ];
+
+    assert.deepEqual(cases.sort(compareBacklogCases).map(c => c.caseId), ['critical', 'old', 'early', 'late', 'small', 'low']);
+});
+
+const row = (i, fields = {}) => ({ trackingNumber: `TRK-${i}`, debtor: `Debtor ${i}`, debtAmount: 5000, debtAge: 30, geoRegion: 'Central', ...fields });
+
+test('cases wait in the backlog when every DCA is full and drain as slots free up', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+
+    const filled = await api.request('POST', '/api/cases/ingest/bulk', { session: fedex, body: Array.from({ length: 20 }, (_, i) => row(i)) });
+    assert.equal(filled.body.rows.filter(r => r.allocatedDCA).length, 20);
+
+    const newer = await api.ingest(fedex, { debtAge: 20, debtAmount: 2000 });
+    const older = await api.ingest(fedex, { debtAge: 200, debtAmount: 80000 });
+    assert.equal(newer.status, 'RECEIVED');
+    assert.equal(newer.allocatedDCA, null);
+    assert.ok(newer.allocationSla.deadline > newer.allocationSla.queuedAt);
+    assert.equal(newer.auditTrail.at(-1).action, 'ALLOCATION_QUEUED');
+
+    const backlog = await api.request('GET', '/api/allocation/backlog', { session: fedex });
+    assert.equal(backlog.status, 200);
+    assert.equal(backlog.body.size, 2);
+    assert.equal(backlog.body.freeCapacity, 0);
+    assert.deepEqual(backlog.body.cases.map(c => [c.position, c.caseId]), [[1, older.caseId], [2, newer.caseId]]);
+    assert.equal(backlog.body.cases[0].breached, false);
+
+    // Freeing one slot allocates the head of the backlog and only that
+    const resolved = await api.request('POST', `/api/cases/${filled.body.rows[0].caseId}/resolve`, { session: fedex, body: { resolutionType: 'SETTLED', notes: 'Paid in full' } });
+    assert.equal(resolved.status, 200);
+
+    const head = await api.request('GET', `/api/cases/${older.caseId}`, { session: fedex });
+    assert.equal(head.body.status, 'ALLOCATED');
+    assert.ok(head.body.allocationSla.allocatedAt);
+    assert.equal(head.body.allocationSla.breached, false);
+
+    const after = await api.request('GET', '/api/allocation/backlog', { session: fedex });
+    assert.deepEqual(after.body.cases.map(c => c.caseId), [newer.caseId]);
+
+    const agent = await api.login('dca1');
+    assert.equal((await api.request('GET', '/api/allocation/backlog', { session: agent })).status, 403);
+});
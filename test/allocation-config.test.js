@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AllocationConfigStore } from '../services/allocation-config.js';
+import { createStore } from '../services/store.js';
+import { DEFAULT_ALLOCATION_CONFIG, getStrategy, validateAllocationConfig } from '../ai-engine/allocation/strategies/index.js';
+import { startApi } from './helpers/api-server.js';
+
+const withWeights = weights => ({ ...DEFAULT_ALLOCATION_CONFIG, weights: { ...DEFAULT_ALLOCATION_CONFIG.weights, ...weights } });
+
+test('the weighted score is the sum of its terms scaled by recovery and priority', () => {
+    const strategy = getStrategy('weighted-score');
+    const dca = { historicalRecoveryRate: 0.8, specialization: ['High-Value'], geoRegion: 'Central', capacity: 5, complianceScore: 0.9 };
+    const caseData = { priority: 'CRITICAL', geoRegion: 'Central', recoveryProbability: 0.5 };
+
+    const { dcaScore, priorityFactor, finalScore, terms } = strategy.score(caseData, dca, 2, DEFAULT_ALLOCATION_CONFIG);
+
+    assert.equal(terms.specialization.value, 1);
+    assert.equal(terms.geo.value, 1);
+    assert.equal(terms.loadPenalty.contribution, -0.15 * 0.4);
+    assert.ok(Math.abs(dcaScore - (0.3 * 0.8 + 0.25 + 0.2 - 0.06 - 0.1 * 0.1)) < 1e-12);
+    assert.equal(priorityFactor, 1.5);
+    assert.equal(finalScore, 0.5 * dcaScore * 1.5);
+
+    // No rule for MEDIUM, so the default match applies
+    const medium = strategy.score({ ...caseData, priority: 'MEDIUM' }, dca, 2, DEFAULT_ALLOCATION_CONFIG);
+    assert.equal(medium.terms.specialization.value, DEFAULT_ALLOCATION_CONFIG.defaultSpecializationMatch);
+});
+
+test('configs are validated field by field', () => {
+    assert.deepEqual(validateAllocationConfig(DEFAULT_ALLOCATION_CONFIG), []);
+    assert.deepEqual(validateAllocationConfig(null).map(e => e.code), ['INVALID_BODY']);
+    assert.deepEqual(validateAllocationConfig({ ...DEFAULT_ALLOCATION_CONFIG, strategy: 'coin-flip' }).map(e => e.field), ['strategy']);
+
+    const errors = validateAllocationConfig({
+        ...withWeights({ geo: -1 }),
+        priorityFactors: { ...DEFAULT_ALLOCATION_CONFIG.priorityFactors, LOW: 0 },
+        specializationRules: [{ priority: 'URGENT', specialization: 'High-Value', match: 1 }]
+    });
+    assert.deepEqual(errors.map(e => [e.field, e.code]), [
+        ['weights.geo', 'INVALID_TYPE'], ['priorityFactors.LOW', 'INVALID_TYPE'], ['specializationRules[0]', 'INVALID_RULE']
+    ]);
+});
+
+test('publishing adds an immutable version and activation moves the marker', () => {
+    const configs = new AllocationConfigStore(createStore({ driver: 'memory' }));
+    assert.equal(configs.active().version, 1);
+
+    assert.equal(configs.publish({ strategy: 'weighted-score' }, 'admin@fedex.com').errors.length > 0, true);
+    assert.equal(configs.list().length, 1);
+
+    const { entry } = configs.publish(withWeights({ geo: 0.5 }), 'admin@fedex.com', 'Favour local agencies');
+    assert.equal(entry.version, 2);
+    assert.equal(configs.active().version, 2);
+
+    assert.equal(configs.activate(1).version, 1);
+    assert.equal(configs.get(2).config.weights.geo, 0.5);
+    assert.deepEqual(configs.list().map(v => [v.version, v.active]), [[1, true], [2, false]]);
+    assert.equal(configs.activate(7), null);
+});
+
+test('each allocation records the config version that made it', async t => {
+    const api = await startApi(t);
+    const admin = await api.login('admin');
+    const fedex = await api.login('fedex');
+
+    const before = await api.ingest(fedex);
+    assert.deepEqual(before.allocationStrategy, { strategy: 'weighted-score', configVersion: 1 });
+
+    const rejected = await api.request('PUT', '/api/admin/allocation-config', { session: admin, body: { config: withWeights({ loadPenalty: 'high' }) } });
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(rejected.body.details.map(e => e.field), ['weights.loadPenalty']);
+
+    assert.equal((await api.request('PUT', '/api/admin/allocation-config', { session: fedex, body: { config: DEFAULT_ALLOCATION_CONFIG } })).status, 403);
+
+    const published = await api.request('PUT', '/api/admin/allocation-config', { session: admin, body: { config: withWeights({ geo: 0.6 }), note: 'Favour local agencies' } });
+    assert.equal(published.status, 201);
+    assert.equal(published.body.active.version, 2);
+    assert.equal((await api.ingest(fedex)).allocationStrategy.configVersion, 2);
+
+    const rollback = await api.request('POST', '/api/admin/allocation-config/1/activate', { session: admin });
+    assert.equal(rollback.status, 200);
+    assert.equal((await api.ingest(fedex)).allocationStrategy.configVersion, 1);
+
+    const listing = await api.request('GET', '/api/admin/allocation-config', { session: admin });
+    assert.equal(listing.body.active.version, 1);
+    assert.deepEqual(listing.body.versions.map(v => [v.version, v.active, v.note]), [[1, true, 'Default configuration'], [2, false, 'Favour local agencies']]);
+    assert.equal((await api.request('GET', '/api/admin/allocation-config/9', { session: admin })).body.code, 'CONFIG_VERSION_NOT_FOUND');
+    assert.equal((await api.request('POST', '/api/admin/allocation-config/9/activate', { session: admin })).status, 404);
+});
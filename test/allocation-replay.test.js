@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { replayAllocations } from '../ai-engine/simulation/allocation-replay.js';
+import { generateSyntheticCases, toCaseRecord } from '../ai-engine/simulation/synthetic-data.js';
+import { DEFAULT_ALLOCATION_CONFIG } from '../ai-engine/allocation/strategies/index.js';
+import { createRng } from '../ai-engine/utils/seeded-rng.js';
+import { slaConfig } from '../services/sla-config.js';
+import { startApi } from './helpers/api-server.js';
+
+const dca = (dcaId, geoRegion, fields = {}) => ({
+    dcaId, name: dcaId, geoRegion, capacity: 1, historicalRecoveryRate: 0.8, specialization: [],
+    complianceScore: 0.9, averageResolutionDays: 10, ...fields
+});
+
+const hoursAfter = hours => new Date(Date.UTC(2026, 0, 5, 9) + hours * 3600000).toISOString();
+
+const stored = (caseId, at, geoRegion, fields = {}) => ({
+    caseId, createdAt: hoursAfter(at), geoRegion, priority: 'MEDIUM', status: 'ALLOCATED',
+    debtAmount: 10000, originalDebtAmount: 10000, currency: 'USD', debtAge: 30, recoveryProbability: 0.5, ...fields
+});
+
+test('the seeded RNG repeats for a seed and differs across seeds', () => {
+    const draw = seed => Array.from({ length: 5 }, createRng(seed));
+
+    assert.deepEqual(draw(42), draw(42));
+    assert.deepEqual(draw('FDX-1001'), draw('FDX-1001'));
+    assert.notDeepEqual(draw(42), draw(43));
+    assert.ok(draw(42).every(x => x >= 0 && x < 1));
+});
+
+test('replay frees slots at the historical resolve time and drains its own backlog', () => {
+    const dcas = [dca('DCA-B', 'Central'), dca('DCA-A', 'North-East')];
+    const cases = [
+        stored('FDX-1003', 1.5, 'North-East', { allocatedDCA: 'DCA-B' }),
+        stored('FDX-1001', 0, 'North-East', { allocatedDCA: 'DCA-A', status: 'RESOLVED', resolvedAt: hoursAfter(2) }),
+        stored('FDX-1002', 1, 'Central', { allocatedDCA: 'DCA-B' })
+    ];
+
+    const report = replayAllocations({ cases, dcas, config: DEFAULT_ALLOCATION_CONFIG, slaConfig });
+
+    assert.equal(report.casesReplayed, 3);
+    assert.deepEqual(report.simulated.unallocatedCases, []);
+    // FDX-1003 waited half an hour for FDX-1001's slot instead of going to DCA-B
+    assert.deepEqual(report.changes, [{ caseId: 'FDX-1003', actualDCA: 'DCA-B', simulatedDCA: 'DCA-A' }]);
+    assert.equal(report.changedAssignments, 1);
+    assert.deepEqual(report.simulated.perDCA.map(r => [r.dcaId, r.assignedCases, r.peakLoad]), [['DCA-A', 2, 1], ['DCA-B', 1, 1]]);
+    assert.deepEqual(report.actual.perDCA.map(r => [r.dcaId, r.assignedCases, r.peakLoad]), [['DCA-A', 1, 1], ['DCA-B', 2, 2]]);
+    assert.equal(report.simulated.slaRisk.allocationWaitBreaches, 0);
+});
+
+test('cases with no FX rate are skipped, not replayed', () => {
+    const cases = [stored('FDX-1001', 0, 'Central'), stored('FDX-1002', 1, 'Central', { currency: 'XTS' })];
+
+    const report = replayAllocations({ cases, dcas: [dca('DCA-A', 'Central')], config: DEFAULT_ALLOCATION_CONFIG, slaConfig });
+
+    assert.equal(report.casesReplayed, 1);
+    assert.deepEqual(report.skippedCases, ['FDX-1002']);
+});
+
+test('the same seed gives the same report without touching Math.random', () => {
+    const priorities = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+    const cases = generateSyntheticCases({ n: 60, seed: 3 }).map((row, i) => ({
+        ...toCaseRecord(row),
+        caseId: `FDX-${1001 + i}`,
+        createdAt: hoursAfter(i),
+        priority: priorities[i % 4],
+        status: 'ALLOCATED',
+        currency: 'USD',
+        recoveryProbability: 0.5
+    }));
+    const dcas = [dca('DCA-001', 'North-East', { capacity: 10 }), dca('DCA-002', 'Central', { capacity: 10 }), dca('DCA-003', 'West-Coast', { capacity: 10, historicalRecoveryRate: 0.7 })];
+    const run = seed => replayAllocations({ cases, dcas, config: DEFAULT_ALLOCATION_CONFIG, slaConfig, seed, rescoreRecovery: true });
+
+    const random = Math.random;
+    Math.random = () => { throw new Error('Math.random used during replay'); };
+    try {
+        assert.deepEqual(run(7), run(7));
+        assert.notEqual(run(7).simulated.expectedRecovered, run(8).simulated.expectedRecovered);
+    } finally {
+        Math.random = random;
+    }
+});
+
+test('the simulate endpoint replays stored cases against a candidate config', async t => {
+    const api = await startApi(t);
+    const admin = await api.login('admin');
+    const fedex = await api.login('fedex');
+    for (const geoRegion of ['North-East', 'Central', 'South-West']) await api.ingest(fedex, { geoRegion });
+
+    const active = await api.request('POST', '/api/allocation/simulate', { session: admin, body: {} });
+    assert.equal(active.status, 200);
+    assert.equal(active.body.casesReplayed, 3);
+    assert.equal(active.body.changedAssignments, 0);
+
+    const again = await api.request('POST', '/api/allocation/simulate', { session: admin, body: { seed: 9, rescoreRecovery: true } });
+    assert.deepEqual((await api.request('POST', '/api/allocation/simulate', { session: admin, body: { seed: 9, rescoreRecovery: true } })).body, again.body);
+
+    const invalid = await api.request('POST', '/api/allocation/simulate', { session: admin, body: { config: { strategy: 'weighted-score' } } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'VALIDATION_FAILED');
+    assert.equal((await api.request('POST', '/api/allocation/simulate', { session: admin, body: { configVersion: 5 } })).status, 404);
+    assert.equal((await api.request('POST', '/api/allocation/simulate', { session: await api.login('dca1'), body: {} })).status, 403);
+});
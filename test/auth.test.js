@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPassword, LoginThrottle, sessionExpiry, sessionPolicy, verifyPassword } from '../services/auth.js';
+import { startApi } from './helpers/api-server.js';
+
+test('passwords are stored salted and verified against the hash', () => {
+    const stored = hashPassword('dca123');
+
+    assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.notEqual(hashPassword('dca123'), stored);
+    assert.equal(verifyPassword('dca123', stored), true);
+    assert.equal(verifyPassword('dca124', stored), false);
+    assert.equal(verifyPassword('dca123', undefined), false);
+    assert.equal(verifyPassword(undefined, stored), false);
+});
+
+test('sessions expire when idle and after the absolute limit', () => {
+    const start = Date.UTC(2026, 0, 5, 9);
+    const session = { timestamp: start, lastSeenAt: start };
+
+    assert.equal(sessionExpiry(session, start + sessionPolicy.idleTimeoutMs), null);
+    assert.equal(sessionExpiry(session, start + sessionPolicy.idleTimeoutMs + 1), 'IDLE_TIMEOUT');
+
+    session.lastSeenAt = start + sessionPolicy.absoluteTimeoutMs - 1000;
+    assert.equal(sessionExpiry(session, start + sessionPolicy.absoluteTimeoutMs + 1), 'ABSOLUTE_TIMEOUT');
+});
+
+test('the throttle locks a key after maxFailures inside the window', () => {
+    const throttle = new LoginThrottle({ maxFailures: 3, windowMs: 60000, lockoutMs: 300000 });
+    const start = 1_000_000;
+
+    assert.equal(throttle.recordFailure('a@x.com', start), false);
+    assert.equal(throttle.recordFailure('a@x.com', start + 1000), false);
+    assert.equal(throttle.recordFailure('a@x.com', start + 2000), true);
+    assert.equal(throttle.lockedFor('a@x.com', start + 2000), 300000);
+    assert.equal(throttle.lockedFor('b@x.com', start + 2000), 0);
+    assert.equal(throttle.lockedFor('a@x.com', start + 302000), 0);
+});
+
+test('failures outside the window do not add up', () => {
+    const throttle = new LoginThrottle({ maxFailures: 2, windowMs: 60000, lockoutMs: 300000 });
+
+    throttle.recordFailure('a@x.com', 0);
+    assert.equal(throttle.recordFailure('a@x.com', 60000), false);
+    throttle.reset('a@x.com');
+    assert.equal(throttle.recordFailure('a@x.com', 61000), false);
+});
+
+test('login locks the account after five bad passwords, logout ends the session', async t => {
+    const api = await startApi(t);
+    const login = password => api.request('POST', '/auth/login', { body: { email: 'dca1@company.com', password } });
+
+    const session = await api.login('dca1');
+    assert.equal((await api.request('GET', '/api/cases', { session })).status, 200);
+    assert.equal((await api.request('POST', '/auth/logout', { session })).status, 200);
+    const afterLogout = await api.request('GET', '/api/cases', { session });
+    assert.equal(afterLogout.status, 403);
+    assert.equal(afterLogout.body.code, 'UNAUTHENTICATED');
+
+    for (let i = 0; i < 5; i++) {
+        const res = await login('wrong');
+        assert.equal(res.status, 401);
+        assert.equal(res.body.code, 'INVALID_CREDENTIALS');
+    }
+
+    const locked = await login('dca123');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+    assert.ok(locked.body.retryAfterSeconds > 0);
+});
+
+test('an idle session is rejected', async t => {
+    // 0.001 minutes = 60ms of inactivity
+    const api = await startApi(t, { SESSION_IDLE_MINUTES: '0.001' });
+    const session = await api.login('fedex');
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    const res = await api.request('GET', '/api/cases', { session });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'UNAUTHENTICATED');
+});
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonArray } from '../services/json-array-stream.js';
+import { startApi } from './helpers/api-server.js';
+
+async function collect(chunks) {
+    const values = [];
+    for await (const value of parseJsonArray(chunks)) values.push(value);
+    return values;
+}
+
+test('array elements are parsed across chunk boundaries', async () => {
+    const text = JSON.stringify([{ debtor: 'A, "B" [C]', n: [1, { x: '}' }] }, 2, 'three']);
+    const chunks = text.match(/.{1,3}/gs);
+
+    assert.deepEqual(await collect(chunks), [{ debtor: 'A, "B" [C]', n: [1, { x: '}' }] }, 2, 'three']);
+    assert.deepEqual(await collect([' [ ] ']), []);
+});
+
+test('a body that is not one JSON array is rejected', async () => {
+    await assert.rejects(collect(['{"debtor":"A"}']), { code: 'NOT_AN_ARRAY' });
+    await assert.rejects(collect(['[{"a":1},']), { code: 'MALFORMED_JSON', message: 'JSON array is not closed' });
+    await assert.rejects(collect(['[1,,2]']), { code: 'MALFORMED_JSON' });
+    await assert.rejects(collect(['[1] [2]']), { code: 'MALFORMED_JSON' });
+});
+
+const CSV = [
+    'trackingNumber,debtor,debtAmount,debtAge,geoRegion',
+    'TRK-1,Acme Freight,12000,45,North-East',
+    'TRK-2,,5000,30,Central',
+    'TRK-3,Beta Logistics,lots,30,Central',
+    'TRK-1,Acme Again,100,10,Central',
+    'TRK-4,Gamma,100,10,Central,extra',
+    ''
+].join('\n');
+
+test('a CSV upload gets a per-row report and ingests only valid rows', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+
+    const res = await api.request('POST', '/api/cases/ingest/bulk', { session: fedex, body: CSV, contentType: 'text/csv' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.summary, { total: 5, accepted: 1, rejected: 4 });
+    const [first, missing, badNumber, duplicate, extra] = res.body.rows;
+    assert.equal(first.status, 'ACCEPTED');
+    assert.match(first.caseId, /^FDX-\d+$/);
+    assert.deepEqual(missing.reasons.map(r => [r.field, r.code]), [['debtor', 'REQUIRED']]);
+    assert.deepEqual(badNumber.reasons.map(r => [r.field, r.code]), [['debtAmount', 'INVALID_TYPE']]);
+    assert.deepEqual(duplicate.reasons.map(r => [r.field, r.code]), [['trackingNumber', 'DUPLICATE']]);
+    assert.deepEqual(extra.reasons.map(r => r.code), ['TOO_MANY_FIELDS']);
+
+    const created = await api.request('GET', `/api/cases/${first.caseId}`, { session: fedex });
+    assert.equal(created.body.status, 'ALLOCATED');
+    assert.equal((await api.request('GET', '/api/cases', { session: fedex })).body.cases.length, 1);
+});
+
+test('a large JSON array is streamed into the same report', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+    const rows = Array.from({ length: 400 }, (_, i) => ({ trackingNumber: `TRK-${i}`, debtor: `Debtor ${i}`, debtAmount: 1000 + i, debtAge: i % 90, geoRegion: 'Central' }));
+    rows[250].debtAge = -1;
+
+    const res = await api.request('POST', '/api/cases/ingest/bulk', { session: fedex, body: rows });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.summary, { total: 400, accepted: 399, rejected: 1 });
+    assert.deepEqual(res.body.rows[250], { row: 251, status: 'REJECTED', reasons: [{ field: 'debtAge', code: 'TOO_SMALL', message: 'debtAge must be at least 0' }] });
+    // Twenty DCA slots; the rest wait in the backlog
+    assert.equal(res.body.rows.filter(r => r.allocatedDCA).length, 20);
+});
+
+test('bulk ingest rejects other bodies and other roles', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+    const agent = await api.login('dca1');
+
+    const notArray = await api.request('POST', '/api/cases/ingest/bulk', { session: fedex, body: { trackingNumber: 'TRK-1' } });
+    assert.equal(notArray.status, 400);
+    assert.equal(notArray.body.code, 'INVALID_BODY');
+
+    const broken = await api.request('POST', '/api/cases/ingest/bulk', { session: fedex, body: '[{"trackingNumber":"TRK-1","debtor":"A","debtAmount":1,"debtAge":1}, {"debtor":', contentType: 'application/json' });
+    assert.equal(broken.status, 400);
+    assert.equal(broken.body.code, 'MALFORMED_UPLOAD');
+    assert.equal(broken.body.processedRows.length, 1);
+
+    const xml = await api.request('POST', '/api/cases/ingest/bulk', { session: fedex, body: '<cases/>', contentType: 'application/xml' });
+    assert.equal(xml.status, 415);
+
+    const denied = await api.request('POST', '/api/cases/ingest/bulk', { session: agent, body: CSV, contentType: 'text/csv' });
+    assert.equal(denied.status, 403);
+});
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addWorkingHours, getCalendar } from '../services/business-calendar.js';
+import { usFederalHolidays } from '../services/holidays.js';
+
+test('the US federal rule gives the observed dates', () => {
+    assert.deepEqual(usFederalHolidays(2026), [
+        '2026-01-01', '2026-01-19', '2026-02-16', '2026-05-25', '2026-06-19', '2026-07-03',
+        '2026-09-07', '2026-10-12', '2026-11-11', '2026-11-26', '2026-12-25'
+    ]);
+    // New Year's Day 2028 is a Saturday, observed on Friday 2027-12-31
+    assert.deepEqual(usFederalHolidays(2027).slice(-2), ['2027-12-24', '2027-12-31']);
+    assert.equal(usFederalHolidays(2028).includes('2028-01-01'), false);
+});
+
+test('US calendars keep skipping holidays past any hand-kept list', () => {
+    // Wednesday before Thanksgiving 2030, 17:00 New York; 2 working hours land on Friday
+    const end = addWorkingHours('2030-11-27T22:00:00Z', 2, getCalendar('North-East'));
+
+    assert.equal(end.toISOString(), '2030-11-29T15:00:00.000Z');
+});
+
+test('a listed calendar fails outside the years its list covers', () => {
+    const calendar = { timeZone: 'UTC', workdays: [1, 2, 3, 4, 5], openHour: 9, closeHour: 18, holidays: ['2026-12-25', '2027-12-24'] };
+
+    assert.equal(addWorkingHours('2026-12-24T17:00:00Z', 2, calendar).toISOString(), '2026-12-28T10:00:00.000Z');
+    assert.throws(() => addWorkingHours('2028-01-03T09:00:00Z', 2, calendar), /only cover 2026-2027/);
+});
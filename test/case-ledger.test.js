@@ -0,0 +1,131 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLedgerEntry, ledgerTotals, reversibleAmount } from '../services/case-ledger.js';
+import { createStore } from '../services/store.js';
+import { startApi } from './helpers/api-server.js';
+
+function post(caseData, fields) {
+    const entry = createLedgerEntry({ entryId: `LED-${1001 + caseData.ledger.length}`, currency: 'USD', user: 'agent@dca.com', ...fields });
+    caseData.ledger.push(entry);
+    return entry;
+}
+
+test('reversals come off recovered and back onto the balance', () => {
+    const caseData = { caseId: 'FDX-1001', currency: 'USD', debtAmount: 1000, ledger: [] };
+    const first = post(caseData, { type: 'PAYMENT', amount: 300 });
+    post(caseData, { type: 'PAYMENT', amount: 200 });
+    post(caseData, { type: 'REVERSAL', amount: 120.5, reverses: first.entryId, reason: 'CHARGEBACK' });
+    post(caseData, { type: 'FEE', amount: 25 });
+
+    const totals = ledgerTotals(caseData);
+
+    assert.equal(totals.payments, 500);
+    assert.equal(totals.reversals, 120.5);
+    assert.equal(totals.recovered, 379.5);
+    assert.equal(totals.balance, 645.5);
+    assert.equal(reversibleAmount(caseData, first.entryId), 179.5);
+});
+
+test('a payment reversed in full recovers nothing', () => {
+    const caseData = { caseId: 'FDX-1002', currency: 'USD', debtAmount: 400, ledger: [] };
+    const payment = post(caseData, { type: 'PAYMENT', amount: 400 });
+    post(caseData, { type: 'REVERSAL', amount: 400, reverses: payment.entryId, reason: 'BOUNCED' });
+
+    assert.equal(ledgerTotals(caseData).recovered, 0);
+    assert.equal(ledgerTotals(caseData).balance, 400);
+    assert.equal(reversibleAmount(caseData, payment.entryId), 0);
+    assert.equal(reversibleAmount(caseData, 'LED-9999'), null);
+});
+
+async function recoveredBy(api, session, dcaId) {
+    return (await api.request('GET', '/api/dcas', { session })).body.find(d => d.dcaId === dcaId).recoveredAmount;
+}
+
+test('the ledger route posts payments and reversals and derives every total from them', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+    const dca = await api.login('dca1');
+    const { caseId } = await api.assignTo(fedex, (await api.ingest(fedex, { debtAmount: 12000 })).caseId, 'DCA-001');
+    const post = (session, body) => api.request('POST', `/api/cases/${caseId}/ledger`, { session, body });
+    const metricsBefore = (await api.request('GET', '/api/metrics', { session: fedex })).body.totalRecovered;
+    const dcaBefore = await recoveredBy(api, fedex, 'DCA-001');
+
+    const first = await post(dca, { type: 'PAYMENT', amount: 3000, reference: 'WIRE-1' });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.entry.dcaId, 'DCA-001');
+    assert.equal(first.body.totals.balance, 9000);
+    await post(dca, { type: 'PAYMENT', amount: 2000 });
+
+    const reversal = await post(dca, { type: 'REVERSAL', amount: 1000, reverses: first.body.entry.entryId, reason: 'CHARGEBACK' });
+    assert.equal(reversal.status, 201);
+    assert.equal(reversal.body.entry.dcaId, 'DCA-001');
+    assert.equal(reversal.body.totals.recovered, 4000);
+    assert.equal(reversal.body.case.recoveredAmount, 4000);
+
+    const tooMuch = await post(dca, { type: 'REVERSAL', amount: 2500, reverses: first.body.entry.entryId, reason: 'BOUNCED' });
+    assert.equal(tooMuch.status, 400);
+    assert.equal(tooMuch.body.code, 'REVERSAL_EXCEEDS_PAYMENT');
+    assert.match(tooMuch.body.error, /Only \$2,000 of /);
+    assert.equal((await post(dca, { type: 'REVERSAL', amount: 10, reverses: first.body.entry.entryId })).body.code, 'VALIDATION_FAILED');
+    assert.equal((await post(dca, { type: 'REVERSAL', amount: 10, reverses: 'LED-9999', reason: 'ERROR' })).status, 404);
+    assert.equal((await post(dca, { type: 'PAYMENT', amount: 0 })).body.code, 'INVALID_AMOUNT');
+    assert.equal((await post(dca, { type: 'PAYMENT', amount: 10, currency: 'EUR' })).body.code, 'CURRENCY_MISMATCH');
+
+    // Fees and adjustments change what is owed, which only FedEx may do
+    assert.equal((await post(dca, { type: 'FEE', amount: 50 })).status, 403);
+    assert.equal((await post(fedex, { type: 'FEE', amount: 50 })).body.totals.balance, 8050);
+    assert.equal((await post(fedex, { type: 'ADJUSTMENT', amount: -20000 })).body.code, 'INVALID_ADJUSTMENT');
+    const adjusted = await post(fedex, { type: 'ADJUSTMENT', amount: -2000 });
+    assert.deepEqual(adjusted.body.totals, {
+        currency: 'USD', originalAmount: 12000, adjustments: -2000, fees: 50, payments: 5000, reversals: 1000, recovered: 4000, debt: 10000, balance: 6050
+    });
+    assert.equal(adjusted.body.case.debtAmount, 10000);
+
+    const ledger = await api.request('GET', `/api/cases/${caseId}/ledger`, { session: dca });
+    assert.deepEqual(ledger.body.totals, adjusted.body.totals);
+    assert.deepEqual(ledger.body.entries.map(e => e.type), ['PAYMENT', 'PAYMENT', 'REVERSAL', 'FEE', 'ADJUSTMENT']);
+    assert.equal((await api.request('GET', `/api/cases/${caseId}/ledger`, { session: await api.login('dca2') })).status, 403);
+
+    assert.equal(await recoveredBy(api, fedex, 'DCA-001'), dcaBefore + 4000);
+    assert.equal((await api.request('GET', '/api/metrics', { session: fedex })).body.totalRecovered, metricsBefore + 4000);
+
+    // Resolving tops the ledger up to the amount recovered, never down
+    const lower = await api.request('POST', `/api/cases/${caseId}/resolve`, { session: dca, body: { resolutionType: 'RECOVERED', recoveredAmount: 3000 } });
+    assert.equal(lower.status, 409);
+    assert.equal(lower.body.code, 'LEDGER_MISMATCH');
+    await api.request('POST', `/api/cases/${caseId}/resolve`, { session: dca, body: { resolutionType: 'RECOVERED', recoveredAmount: 6000 } });
+    const closed = (await api.request('GET', `/api/cases/${caseId}/ledger`, { session: fedex })).body;
+    assert.equal(closed.totals.recovered, 6000);
+    assert.deepEqual(closed.entries.at(-1).source, { type: 'RESOLUTION' });
+});
+
+test('cases stored before the ledger get one rebuilt from their counters', async t => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const seeded = createStore({ dataDir });
+    seeded.collection('dcas').set('DCA-001', {
+        dcaId: 'DCA-001', name: 'John Smith', capacity: 5, currentLoad: 0,
+        historicalRecoveryRate: 0.82, specialization: ['High-Value'], geoRegion: 'North-East',
+        complianceScore: 0.95, cases: [], slaBreaches: 0, recoveredAmount: 1500, averageResolutionDays: 22
+    });
+    seeded.collection('cases').set('FDX-0901', {
+        caseId: 'FDX-0901', trackingNumber: 'TRK-0901', debtor: 'Acme Freight', debtAmount: 800, debtAge: 40, geoRegion: 'North-East',
+        status: 'RESOLVED', priority: 'LOW', recoveryProbability: 0.5, allocatedDCA: 'DCA-001', recoveredAmount: 500,
+        createdAt: '2026-01-05T10:00:00.000Z', resolvedAt: '2026-02-05T10:00:00.000Z', interactions: [], documents: [], auditTrail: [],
+        debtAdjustments: [{ disputeId: 'DSP-1', from: 1000, to: 800, at: '2026-01-20T10:00:00.000Z' }]
+    });
+
+    const api = await startApi(t, { DCA_STORE_DRIVER: 'json', DCA_DATA_DIR: dataDir });
+    const fedex = await api.login('fedex');
+
+    const { body } = await api.request('GET', '/api/cases/FDX-0901/ledger', { session: fedex });
+    assert.deepEqual(body.entries.map(e => [e.type, e.amount, e.source.type]), [['ADJUSTMENT', -200, 'DISPUTE'], ['PAYMENT', 500, 'BACKFILL']]);
+    assert.equal(body.totals.originalAmount, 1000);
+    assert.equal(body.totals.balance, 300);
+    // The old counter already held this case's 500; it is not counted twice
+    assert.equal(await recoveredBy(api, fedex, 'DCA-001'), 1500);
+    assert.match(api.output(), /LEDGER BACKFILL: 1 case/);
+});
@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { allowedActions, applyTransition, canTransition, transitionError } from '../services/case-lifecycle.js';
+import { startApi } from './helpers/api-server.js';
+
+function makeCase(status) {
+    return { caseId: 'FDX-1001', status, auditTrail: [] };
+}
+
+test('a legal transition moves the case and is audited', () => {
+    const caseData = makeCase('ALLOCATED');
+
+    assert.equal(applyTransition(caseData, 'ESCALATE', 'fedex@company.com', 'Legal review'), true);
+    assert.equal(caseData.status, 'ESCALATED');
+    assert.equal(caseData.auditTrail.length, 1);
+    assert.equal(caseData.auditTrail[0].action, 'STATUS_TRANSITION');
+    assert.equal(caseData.auditTrail[0].user, 'fedex@company.com');
+    assert.deepEqual(caseData.auditTrail[0].transition, { action: 'ESCALATE', from: 'ALLOCATED', to: 'ESCALATED' });
+    assert.match(caseData.auditTrail[0].details, /Legal review/);
+});
+
+test('an illegal transition leaves the case untouched', () => {
+    const caseData = makeCase('RESOLVED');
+
+    assert.equal(canTransition('RESOLVED', 'LOG_INTERACTION'), false);
+    assert.equal(applyTransition(caseData, 'LOG_INTERACTION', 'dca1@company.com'), false);
+    assert.equal(caseData.status, 'RESOLVED');
+    assert.deepEqual(caseData.auditTrail, []);
+    assert.deepEqual(transitionError(caseData, 'LOG_INTERACTION'), {
+        error: 'Cannot LOG_INTERACTION a case in status RESOLVED',
+        code: 'INVALID_TRANSITION',
+        status: 'RESOLVED',
+        allowedActions: []
+    });
+});
+
+test('self-loops are allowed but not recorded', () => {
+    const caseData = makeCase('IN_PROGRESS');
+
+    assert.equal(applyTransition(caseData, 'LOG_INTERACTION', 'dca1@company.com'), true);
+    assert.deepEqual(caseData.auditTrail, []);
+});
+
+test('closed cases allow nothing', () => {
+    assert.deepEqual(allowedActions('RESOLVED'), []);
+    assert.deepEqual(allowedActions('WRITTEN_OFF'), []);
+});
+
+test('escalation and de-escalation go through the routes with audit entries', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+    const { caseId } = await api.ingest(fedex);
+
+    const escalated = await api.request('POST', `/api/cases/${caseId}/escalate`, { session: fedex, body: { reason: 'Legal threat', targetRole: 'LEGAL' } });
+    assert.equal(escalated.status, 200);
+    assert.equal(escalated.body.case.status, 'ESCALATED');
+
+    const transitions = await api.request('GET', `/api/cases/${caseId}/transitions`, { session: fedex });
+    assert.ok(transitions.body.allowedActions.some(a => a.action === 'DE_ESCALATE' && a.to === 'IN_PROGRESS'));
+
+    const returned = await api.request('POST', `/api/cases/${caseId}/de-escalate`, { session: fedex, body: { reason: 'Legal cleared it' } });
+    assert.equal(returned.status, 200);
+    assert.equal(returned.body.case.status, 'IN_PROGRESS');
+
+    const actions = returned.body.case.auditTrail.map(a => a.action);
+    assert.deepEqual(actions.filter(a => a === 'ESCALATION' || a === 'DE_ESCALATION'), ['ESCALATION', 'DE_ESCALATION']);
+    assert.deepEqual(
+        returned.body.case.auditTrail.filter(a => a.transition).map(a => a.transition.action),
+        ['ALLOCATE', 'ESCALATE', 'DE_ESCALATE']
+    );
+});
+
+test('routes answer 409 INVALID_TRANSITION for an illegal action', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+    const { caseId } = await api.ingest(fedex);
+
+    const notEscalated = await api.request('POST', `/api/cases/${caseId}/de-escalate`, { session: fedex, body: { reason: 'Nothing to undo' } });
+    assert.equal(notEscalated.status, 409);
+    assert.equal(notEscalated.body.code, 'INVALID_TRANSITION');
+    assert.equal(notEscalated.body.status, 'ALLOCATED');
+
+    const resolved = await api.request('POST', `/api/cases/${caseId}/resolve`, { session: fedex, body: { resolutionType: 'RECOVERED', recoveredAmount: 12000, notes: 'Paid' } });
+    assert.equal(resolved.status, 200);
+
+    const again = await api.request('POST', `/api/cases/${caseId}/escalate`, { session: fedex, body: { reason: 'Too late', targetRole: 'LEGAL' } });
+    assert.equal(again.status, 409);
+    assert.deepEqual(again.body.allowedActions, []);
+
+    const audit = await api.request('GET', `/api/audit/${caseId}`, { session: fedex });
+    assert.equal(audit.body.auditTrail.filter(a => a.action === 'ESCALATION').length, 0);
+});
+
+test('agencies cannot de-escalate', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+    const { caseId } = await api.ingest(fedex);
+    await api.assignTo(fedex, caseId, 'DCA-001');
+    await api.request('POST', `/api/cases/${caseId}/escalate`, { session: fedex, body: { reason: 'Legal threat', targetRole: 'LEGAL' } });
+
+    const agent = await api.login('dca1');
+    const res = await api.request('POST', `/api/cases/${caseId}/de-escalate`, { session: agent, body: { reason: 'Back to us' } });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.reason, 'Role DCA may not perform case:de-escalate');
+});
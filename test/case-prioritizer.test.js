@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CasePrioritizer, effectiveAgeDays } from '../ai-engine/ml-models/case-prioritizer.js';
+
+const NOW = new Date('2026-03-02T12:00:00Z');
+const DAY_MS = 24 * 3600 * 1000;
+
+const placed = (fields = {}) => ({
+    caseId: 'FDX-1001', status: 'ALLOCATED', debtAmount: 10000, currency: 'USD', debtAge: 45,
+    createdAt: NOW.toISOString(), recoveryProbability: 0.6, businessPriority: 1.25, interactions: [], ...fields
+});
+
+function tempModelPath(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prioritizer-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'case-prioritizer.json');
+}
+
+test('the score is the weighted sum of its factors, with reasons largest first', t => {
+    const prioritizer = new CasePrioritizer(undefined, { modelPath: tempModelPath(t) });
+
+    const result = prioritizer.getPriority(placed(), NOW);
+
+    // amount 0.5, age 45/180, recovery 0.6, no deadline, business priority 0.5
+    assert.deepEqual(result.components, { amount: 0.5, age: 0.25, recovery: 0.6, slaProximity: 0, businessPriority: 0.5 });
+    assert.deepEqual(result.contributions, { amount: 17.5, age: 6.25, recovery: 6, slaProximity: 0, businessPriority: 7.5 });
+    assert.equal(result.score, 37.25);
+    assert.equal(result.tier, 'MEDIUM');
+    assert.equal(result.riskLevel, 2);
+    assert.deepEqual(result.reasons.map(r => r.split(':')[0]), ['+17.5', '+7.5', '+6.3', '+6.0']);
+    assert.match(result.reasons[0], /debt amount \$10,000$/);
+});
+
+test('cases climb tiers as they age and hit the hard CRITICAL rules', t => {
+    const prioritizer = new CasePrioritizer(undefined, { modelPath: tempModelPath(t) });
+    const caseData = placed();
+    const later = days => new Date(NOW.getTime() + days * DAY_MS);
+
+    assert.equal(effectiveAgeDays(caseData, later(100)), 145);
+    assert.equal(prioritizer.getPriority(caseData, later(100)).tier, 'HIGH');
+
+    const aged = prioritizer.getPriority(caseData, later(150));
+    assert.equal(aged.tier, 'CRITICAL');
+    assert.equal(aged.reasons[0], 'Debt has been outstanding 195 days (critical after 180)');
+
+    const large = prioritizer.getPriority(placed({ debtAmount: 150000, debtAge: 1, recoveryProbability: 0, businessPriority: 0.5 }), NOW);
+    assert.equal(large.tier, 'CRITICAL');
+    assert.ok(large.score < 50);
+    assert.match(large.reasons[0], /exceeds the \$100,000 critical threshold/);
+});
+
+test('a close SLA deadline adds urgency unless the clock is paused', t => {
+    const prioritizer = new CasePrioritizer(undefined, { modelPath: tempModelPath(t) });
+    const firstAction = new Date(NOW.getTime() + 12 * 3600000).toISOString();
+
+    const running = prioritizer.getPriority(placed({ slaDeadlines: { firstAction } }), NOW);
+    assert.equal(running.components.slaProximity, 0.75);
+    assert.ok(running.reasons.includes('+11.3: first action SLA deadline in 12.0h'));
+
+    const paused = prioritizer.getPriority(placed({ slaDeadlines: { firstAction, pausedAt: NOW.toISOString() } }), NOW);
+    assert.equal(paused.components.slaProximity, 0);
+});
+
+test('a recent dispute note raises the case one tier', t => {
+    const prioritizer = new CasePrioritizer(undefined, { modelPath: tempModelPath(t) });
+    const note = days => ({ type: 'CALL', timestamp: new Date(NOW.getTime() - days * DAY_MS).toISOString(), intentFlags: { dispute: true } });
+
+    const raised = prioritizer.getPriority(placed({ interactions: [note(1)] }), NOW);
+    assert.equal(raised.tier, 'HIGH');
+    assert.equal(raised.reasons[0], 'Raised one tier: dispute intent in CALL note on 2026-03-01');
+
+    assert.equal(prioritizer.getPriority(placed({ interactions: [note(30)] }), NOW).tier, 'MEDIUM');
+});
+
+test('fitted tier thresholds split cases in the target shares and survive a reload', async t => {
+    const modelPath = tempModelPath(t);
+    const prioritizer = new CasePrioritizer(undefined, { modelPath });
+    // Strictly increasing scores, all below the hard CRITICAL rules
+    const cases = Array.from({ length: 100 }, (_, i) => placed({ caseId: `FDX-${1001 + i}`, debtAmount: 1000 * (i + 1), debtAge: i }));
+
+    const metrics = prioritizer.fit(cases, { version: 'test-1', now: NOW });
+
+    assert.deepEqual(metrics.distribution, { CRITICAL: 10, HIGH: 25, MEDIUM: 35, LOW: 30 });
+    const { CRITICAL, HIGH, MEDIUM } = metrics.tierThresholds;
+    assert.ok(CRITICAL > HIGH && HIGH > MEDIUM);
+
+    prioritizer.saveModel();
+    const reloaded = new CasePrioritizer(undefined, { modelPath });
+    assert.equal(await reloaded.loadModel(), true);
+    assert.equal(reloaded.version, 'test-1');
+    assert.deepEqual(reloaded.config.tierThresholds, metrics.tierThresholds);
+    assert.equal((await reloaded.getMetrics()).status, 'fitted');
+});
+
+test('side scorings leave the served metrics alone', async t => {
+    const prioritizer = new CasePrioritizer(undefined, { modelPath: tempModelPath(t) });
+
+    prioritizer.getPriority(placed(), NOW);
+    prioritizer.getPriority(placed(), NOW, { count: false });
+
+    const metrics = await prioritizer.getMetrics();
+    assert.equal(metrics.status, 'rule-based');
+    assert.equal(metrics.scoresComputed, 1);
+    assert.equal(metrics.tierDistribution.MEDIUM, 1);
+});
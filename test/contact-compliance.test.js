@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkContact } from '../services/contact-compliance.js';
+
+// 14:00 UTC is 19:30 in Kolkata and 10:00 in New York
+const NOW = new Date('2026-03-10T14:00:00Z');
+
+function makeCase(overrides = {}) {
+    return {
+        caseId: 'FDX-1001',
+        timeZone: 'America/New_York',
+        phone: '+1 555 0100',
+        email: 'ap@acme.example',
+        interactions: [],
+        disputes: [],
+        ...overrides
+    };
+}
+
+function rulesOf(check) {
+    return check.reasons.map(r => r.rule);
+}
+
+test('allows a contact inside debtor-local hours with nothing else blocking', () => {
+    const check = checkContact(makeCase(), 'CALL', { now: NOW });
+
+    assert.equal(check.allowed, true);
+    assert.equal(check.retryAt, null);
+});
+
+test('blocks outside permitted hours in the debtor time zone and says when to retry', () => {
+    const check = checkContact(makeCase({ timeZone: 'Asia/Kolkata' }), 'CALL', { now: NOW });
+
+    assert.equal(check.allowed, false);
+    assert.deepEqual(rulesOf(check), ['OUTSIDE_PERMITTED_HOURS']);
+    // 09:00 the next morning in Kolkata
+    assert.equal(check.retryAt, '2026-03-11T03:30:00.000Z');
+});
+
+test('blocks a debtor on the do-not-contact list with no retry time', () => {
+    const doNotContact = [{ entryId: 'DNC-1001', phone: '+15550100', reason: 'Cease and desist' }];
+    const check = checkContact(makeCase(), 'CALL', { now: NOW, doNotContact });
+
+    assert.deepEqual(rulesOf(check), ['DO_NOT_CONTACT']);
+    assert.equal(check.retryAt, null);
+    // The entry lists a phone only, so it does not match a debtor without that number
+    assert.equal(checkContact(makeCase({ phone: null }), 'EMAIL', { now: NOW, doNotContact }).allowed, true);
+});
+
+test('caps outbound attempts per channel and ignores inbound ones', () => {
+    const attempt = (hoursAgo, direction = 'OUTBOUND') => ({
+        type: 'CALL',
+        direction,
+        timestamp: new Date(NOW.getTime() - hoursAgo * 3600 * 1000).toISOString()
+    });
+    const interactions = [1, 2, 3, 4, 5, 6].map(h => attempt(h * 24));
+
+    assert.equal(checkContact(makeCase({ interactions: [...interactions, attempt(2, 'INBOUND')] }), 'CALL', { now: NOW }).allowed, true);
+
+    const check = checkContact(makeCase({ interactions: [...interactions, attempt(2)] }), 'CALL', { now: NOW });
+    assert.deepEqual(rulesOf(check), ['FREQUENCY_CAP']);
+    assert.equal(check.reasons[0].until, new Date(NOW.getTime() + 24 * 3600 * 1000).toISOString());
+});
+
+test('blocks while a dispute is active and for the cooling-off period after it closes', () => {
+    const open = { disputeId: 'DSP-1001', status: 'UNDER_REVIEW', history: [{ timestamp: '2026-03-01T00:00:00Z' }] };
+    assert.deepEqual(rulesOf(checkContact(makeCase({ disputes: [open] }), 'EMAIL', { now: NOW })), ['DISPUTE_COOLING_OFF']);
+
+    const closed = { ...open, status: 'REJECTED', history: [...open.history, { timestamp: '2026-03-08T00:00:00Z' }] };
+    const check = checkContact(makeCase({ disputes: [closed] }), 'EMAIL', { now: NOW });
+    assert.deepEqual(rulesOf(check), ['DISPUTE_COOLING_OFF']);
+    assert.equal(check.reasons[0].until, '2026-03-15T00:00:00.000Z');
+});
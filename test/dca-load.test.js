@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStore } from '../services/store.js';
+import { startApi } from './helpers/api-server.js';
+
+async function loads(api, session) {
+    const res = await api.request('GET', '/api/dcas', { session });
+    return Object.fromEntries(res.body.map(d => [d.dcaId, d.currentLoad]));
+}
+
+const total = byDCA => Object.values(byDCA).reduce((sum, n) => sum + n, 0);
+
+test('resolve, write-off, reassignment and recall each give the slot back', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+
+    const [a, b, c] = [await api.ingest(fedex), await api.ingest(fedex), await api.ingest(fedex)];
+    for (const { caseId } of [a, b, c]) await api.assignTo(fedex, caseId, 'DCA-001');
+    assert.equal((await loads(api, fedex))['DCA-001'], 3);
+
+    await api.request('POST', `/api/cases/${a.caseId}/resolve`, { session: fedex, body: { resolutionType: 'RECOVERED', recoveredAmount: 12000 } });
+    await api.request('POST', `/api/cases/${b.caseId}/resolve`, { session: fedex, body: { resolutionType: 'WRITTEN_OFF', notes: 'Debtor insolvent' } });
+    assert.equal((await loads(api, fedex))['DCA-001'], 1);
+
+    await api.assignTo(fedex, c.caseId, 'DCA-002');
+    let byDCA = await loads(api, fedex);
+    assert.equal(byDCA['DCA-001'], 0);
+    assert.equal(byDCA['DCA-002'], 1);
+
+    const recalled = await api.request('POST', `/api/cases/${c.caseId}/recall`, { session: fedex, body: { reason: 'No contact in 30 days' } });
+    assert.equal(recalled.status, 200);
+    assert.notEqual(recalled.body.case.allocatedDCA, 'DCA-002');
+    byDCA = await loads(api, fedex);
+    assert.equal(byDCA['DCA-002'], 0);
+    assert.equal(total(byDCA), 1);
+
+    // A resolved case cannot be resolved again, so its slot is not released twice
+    const again = await api.request('POST', `/api/cases/${a.caseId}/resolve`, { session: fedex, body: { resolutionType: 'SETTLED' } });
+    assert.equal(again.status, 409);
+    assert.equal(total(await loads(api, fedex)), 1);
+
+    const recompute = await api.request('POST', '/api/dcas/recompute-load', { session: await api.login('admin') });
+    assert.equal(recompute.status, 200);
+    assert.equal(recompute.body.driftDetected, false);
+});
+
+test('recompute-load corrects a load that never came down and drains the backlog', async t => {
+    // A store written before loads were released: DCA-001 still counts five
+    // cases that were closed long ago, and is the only agency on file
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-data-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    createStore({ dataDir }).collection('dcas').set('DCA-001', {
+        dcaId: 'DCA-001', name: 'John Smith', capacity: 5, currentLoad: 5,
+        historicalRecoveryRate: 0.82, specialization: ['High-Value'], geoRegion: 'North-East',
+        complianceScore: 0.95, cases: ['FDX-0901', 'FDX-0902', 'FDX-0903', 'FDX-0904', 'FDX-0905'],
+        slaBreaches: 0, priorRecoveredAmount: 0, averageResolutionDays: 22
+    });
+
+    const api = await startApi(t, { DCA_STORE_DRIVER: 'json', DCA_DATA_DIR: dataDir });
+    const admin = await api.login('admin');
+    const waiting = await api.ingest(await api.login('fedex'));
+    assert.equal(waiting.status, 'RECEIVED');
+
+    const dca = await api.login('dca1');
+    assert.equal((await api.request('POST', '/api/dcas/recompute-load', { session: dca })).status, 403);
+
+    const res = await api.request('POST', '/api/dcas/recompute-load', { session: admin });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.driftDetected, true);
+    assert.deepEqual(res.body.dcas, [{
+        dcaId: 'DCA-001',
+        previousLoad: 5,
+        recomputedLoad: 0,
+        missingCases: [],
+        staleCases: ['FDX-0901', 'FDX-0902', 'FDX-0903', 'FDX-0904', 'FDX-0905'],
+        drifted: true
+    }]);
+
+    const allocated = await api.request('GET', `/api/cases/${waiting.caseId}`, { session: admin });
+    assert.equal(allocated.body.allocatedDCA, 'DCA-001');
+    assert.deepEqual(await loads(api, admin), { 'DCA-001': 1 });
+});
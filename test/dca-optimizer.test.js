@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DCAOptimizer } from '../ai-engine/ml-models/dca-optimizer.js';
+import { createRng } from '../ai-engine/utils/seeded-rng.js';
+
+const PRIORITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+const REGIONS = ['North-East', 'Central', 'South-West', 'West-Coast'];
+
+function makeDCA(dcaId, capacity, currentLoad = 0, overrides = {}) {
+    return {
+        dcaId,
+        capacity,
+        currentLoad,
+        historicalRecoveryRate: 0.7,
+        complianceScore: 0.9,
+        geoRegion: 'Central',
+        specialization: ['HIGH_VALUE'],
+        ...overrides
+    };
+}
+
+function makeCases(count, rng, overrides = {}) {
+    return Array.from({ length: count }, (_, i) => ({
+        caseId: `CASE-${i}`,
+        priority: PRIORITIES[Math.floor(rng() * PRIORITIES.length)],
+        geoRegion: REGIONS[Math.floor(rng() * REGIONS.length)],
+        recoveryProbability: 0.2 + rng() * 0.7,
+        ...overrides
+    }));
+}
+
+function loadsAfter(dcas, assignments) {
+    const loads = new Map(dcas.map(dca => [dca.dcaId, dca.currentLoad]));
+    assignments.forEach(a => loads.set(a.dcaId, loads.get(a.dcaId) + 1));
+    return loads;
+}
+
+test('optimizeBatch never fills a DCA past its capacity', () => {
+    const rng = createRng(7);
+    const dcas = [makeDCA('DCA-A', 5, 2), makeDCA('DCA-B', 4, 0, { geoRegion: 'West-Coast' }), makeDCA('DCA-C', 3, 3)];
+    const cases = makeCases(40, rng);
+
+    for (const chunkSize of [1, 7, 100]) {
+        const { assignments, unassigned } = new DCAOptimizer().optimizeBatch(cases, dcas, undefined, { chunkSize });
+        const loads = loadsAfter(dcas, assignments);
+
+        dcas.forEach(dca => assert.ok(loads.get(dca.dcaId) <= dca.capacity, `${dca.dcaId} over capacity with chunkSize ${chunkSize}`));
+        assert.equal(assignments.length, 7);
+        assert.equal(assignments.length + unassigned.length, cases.length);
+        assert.equal(new Set(assignments.map(a => a.caseId)).size, assignments.length);
+    }
+});
+
+test('optimizeBatch leaves slots empty rather than breaking exclusions', () => {
+    const dcas = [makeDCA('DCA-A', 3), makeDCA('DCA-B', 3)];
+    const cases = makeCases(2, createRng(1), { excludedDCAs: ['DCA-A'] });
+
+    const { assignments, unassigned } = new DCAOptimizer().optimizeBatch(cases, dcas);
+
+    assert.deepEqual(unassigned, []);
+    assert.ok(assignments.every(a => a.dcaId === 'DCA-B'));
+});
+
+test('optimizeBatch scores at least as well as greedy on one chunk', () => {
+    const rng = createRng(11);
+    const dcas = [makeDCA('DCA-A', 4, 1), makeDCA('DCA-B', 4, 0, { historicalRecoveryRate: 0.5, geoRegion: 'West-Coast' })];
+    const cases = makeCases(10, rng);
+    const optimizer = new DCAOptimizer();
+
+    const optimal = optimizer.optimizeBatch(cases, dcas);
+    const greedy = optimizer.greedyBatch(cases, dcas);
+
+    assert.ok(optimal.objective >= greedy.objective - 1e-9);
+});
+
+test('replanBatch pins allocated cases it cannot place again to their DCA', () => {
+    const dcas = [makeDCA('DCA-A', 2, 2)];
+    const cases = [
+        { caseId: 'HELD-1', priority: 'LOW', geoRegion: 'Central', recoveryProbability: 0.3, allocatedDCA: 'DCA-A' },
+        { caseId: 'HELD-2', priority: 'LOW', geoRegion: 'Central', recoveryProbability: 0.2, allocatedDCA: 'DCA-A' },
+        { caseId: 'NEW-1', priority: 'CRITICAL', geoRegion: 'Central', recoveryProbability: 0.9 }
+    ];
+
+    const { optimal, pinned } = new DCAOptimizer().replanBatch(cases, dcas);
+
+    assert.deepEqual(pinned.sort(), ['HELD-1', 'HELD-2']);
+    assert.deepEqual(optimal.assignments, []);
+    assert.deepEqual(optimal.unassigned, ['NEW-1']);
+});
+
+test('replanBatch frees the slot of an allocated case it moves', () => {
+    const dcas = [makeDCA('DCA-A', 1, 1, { historicalRecoveryRate: 0.2 }), makeDCA('DCA-B', 1, 0)];
+    const cases = [
+        { caseId: 'HELD-1', priority: 'HIGH', geoRegion: 'Central', recoveryProbability: 0.8, allocatedDCA: 'DCA-A' },
+        { caseId: 'NEW-1', priority: 'HIGH', geoRegion: 'Central', recoveryProbability: 0.8 }
+    ];
+
+    const { optimal, pinned } = new DCAOptimizer().replanBatch(cases, dcas);
+    const moved = optimal.assignments.filter(a => a.dcaId !== cases.find(c => c.caseId === a.caseId).allocatedDCA);
+    const loads = new Map(dcas.map(dca => [dca.dcaId, dca.currentLoad]));
+    moved.forEach(a => {
+        const from = cases.find(c => c.caseId === a.caseId).allocatedDCA;
+        if (from) loads.set(from, loads.get(from) - 1);
+        loads.set(a.dcaId, loads.get(a.dcaId) + 1);
+    });
+
+    assert.deepEqual(pinned, []);
+    assert.equal(optimal.assignments.length, 2);
+    dcas.forEach(dca => assert.ok(loads.get(dca.dcaId) <= dca.capacity));
+});
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyDisputeAction, createDispute, recallBlockedByDisputes } from '../services/dispute-workflow.js';
+import { applyTransition } from '../services/case-lifecycle.js';
+
+const NOW = new Date('2026-03-10T14:00:00Z');
+
+function disputedCase() {
+    const caseData = { caseId: 'FDX-1001', status: 'IN_PROGRESS', auditTrail: [], disputes: [] };
+    applyTransition(caseData, 'DISPUTE', 'agent@dca.example');
+    caseData.disputes.push(createDispute({ disputeId: 'DSP-1001', category: 'BILLING_ERROR', reason: 'Invoice disputed', owner: 'FEDEX', user: 'agent@dca.example', now: NOW }));
+    return caseData;
+}
+
+test('a case cannot be recalled while a dispute on it is open or under review', () => {
+    const caseData = disputedCase();
+
+    let block = recallBlockedByDisputes(caseData);
+    assert.equal(block.code, 'INVALID_TRANSITION');
+    assert.deepEqual(block.activeDisputes, [{ disputeId: 'DSP-1001', status: 'OPEN' }]);
+
+    applyDisputeAction(caseData.disputes[0], 'REQUEST_REVIEW', 'ops@fedex.example', null, NOW);
+    block = recallBlockedByDisputes(caseData);
+    assert.deepEqual(block.activeDisputes, [{ disputeId: 'DSP-1001', status: 'UNDER_REVIEW' }]);
+});
+
+test('a recall goes ahead once every dispute is decided or withdrawn', () => {
+    const caseData = disputedCase();
+    caseData.disputes.push(createDispute({ disputeId: 'DSP-1002', category: 'IDENTITY', owner: 'FEDEX', user: 'agent@dca.example', now: NOW }));
+
+    applyDisputeAction(caseData.disputes[0], 'WITHDRAW', 'agent@dca.example', null, NOW);
+    assert.deepEqual(recallBlockedByDisputes(caseData).activeDisputes.map(d => d.disputeId), ['DSP-1002']);
+
+    applyDisputeAction(caseData.disputes[1], 'REQUEST_REVIEW', 'ops@fedex.example', null, NOW);
+    applyDisputeAction(caseData.disputes[1], 'REJECT', 'ops@fedex.example', null, NOW);
+    assert.equal(recallBlockedByDisputes(caseData), null);
+    assert.equal(applyTransition(caseData, 'RECALL', 'ops@fedex.example'), true);
+    assert.equal(caseData.status, 'RECEIVED');
+});
+
+test('a case that was never disputed can always be recalled', () => {
+    assert.equal(recallBlockedByDisputes({ caseId: 'FDX-1002', status: 'ALLOCATED' }), null);
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { allocationCandidate, explainCase } from '../ai-engine/model-serving/explanations.js';
+import { DEFAULT_ALLOCATION_CONFIG, getStrategy } from '../ai-engine/allocation/strategies/index.js';
+import { startApi } from './helpers/api-server.js';
+
+const strategy = getStrategy('weighted-score');
+const dcas = [
+    { dcaId: 'DCA-001', historicalRecoveryRate: 0.82, specialization: ['High-Value'], geoRegion: 'North-East', capacity: 5, complianceScore: 0.95 },
+    { dcaId: 'DCA-002', historicalRecoveryRate: 0.78, specialization: [], geoRegion: 'South-West', capacity: 5, complianceScore: 0.88 }
+];
+
+function allocatedCase(fields = {}) {
+    const caseData = { caseId: 'FDX-1001', priority: 'CRITICAL', geoRegion: 'North-East', recoveryProbability: 0.6, ...fields };
+    const candidates = dcas.map(dca => allocationCandidate(dca.dcaId, strategy.score(caseData, dca, 1, DEFAULT_ALLOCATION_CONFIG)));
+    return {
+        ...caseData,
+        allocatedDCA: 'DCA-001',
+        allocationChosen: { dcaId: 'DCA-001', score: candidates[0].finalScore, method: 'GREEDY' },
+        allocationStrategy: { strategy: 'weighted-score', configVersion: 3 },
+        allocationCandidates: candidates
+    };
+}
+
+test('the chosen DCA is broken down term by term and compared with the runner-up', () => {
+    const { allocation } = explainCase(allocatedCase());
+
+    assert.equal(allocation.dcaId, 'DCA-001');
+    assert.equal(allocation.configVersion, 3);
+    assert.equal(allocation.chosen.priorityFactor, 1.5);
+    assert.deepEqual(allocation.chosen.terms.map(t => t.term), ['historicalRecovery', 'specialization', 'geo', 'loadPenalty', 'complianceRisk']);
+    assert.equal(allocation.chosen.terms[3].label, 'Load penalty');
+    assert.ok(allocation.chosen.terms[3].contribution < 0);
+
+    // The final contributions add back up to the final score
+    const sum = allocation.chosen.terms.reduce((total, t) => total + t.finalContribution, 0);
+    assert.ok(Math.abs(sum - allocation.chosen.finalScore) < 1e-4);
+
+    const [runnerUp] = allocation.alternatives;
+    assert.equal(runnerUp.dcaId, 'DCA-002');
+    assert.equal(runnerUp.margin, Number((allocation.chosen.finalScore - runnerUp.finalScore).toFixed(6)));
+    assert.ok(runnerUp.termGaps.specialization > 0 && runnerUp.termGaps.geo > 0);
+});
+
+test('manual, batch and unallocated cases say what they are', () => {
+    const manual = explainCase({ ...allocatedCase(), allocationChosen: { dcaId: 'DCA-001', score: null, manual: true } });
+    assert.equal(manual.allocation.method, 'MANUAL');
+    assert.equal(manual.allocation.chosen, null);
+    assert.equal(manual.allocation.note, 'Manually reassigned to DCA-001; no score was involved');
+
+    const batch = explainCase({ ...allocatedCase(), allocationChosen: { dcaId: 'DCA-001', score: 0.5, method: 'BATCH_OPTIMAL' } });
+    assert.match(batch.allocation.note, /batch optimization/);
+
+    const waiting = explainCase({ caseId: 'FDX-1002', priority: 'LOW', allocatedDCA: null, recoveryProbability: 0.4 });
+    assert.equal(waiting.allocation, null);
+    assert.deepEqual(waiting.recovery.factors, []);
+    assert.deepEqual(waiting.priority.reasons, []);
+});
+
+test('the explanation endpoint reflects the decision as it was made', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+    const admin = await api.login('admin');
+    const created = await api.ingest(fedex, { debtAmount: 150000 });
+
+    const res = await api.request('GET', `/api/cases/${created.caseId}/explanation`, { session: fedex });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.recovery.probability, created.recoveryProbability);
+    assert.equal(res.body.recovery.source, 'heuristic');
+    assert.equal(res.body.priority.tier, 'CRITICAL');
+    assert.match(res.body.priority.reasons[0], /critical threshold/);
+    assert.equal(res.body.allocation.dcaId, created.allocatedDCA);
+    assert.equal(res.body.allocation.chosen.dcaId, created.allocatedDCA);
+    assert.equal(res.body.allocation.alternatives.length, 3);
+
+    // A later config does not rewrite the earlier decision
+    const weights = { ...DEFAULT_ALLOCATION_CONFIG.weights, geo: 0.9 };
+    await api.request('PUT', '/api/admin/allocation-config', { session: admin, body: { config: { ...DEFAULT_ALLOCATION_CONFIG, weights } } });
+    assert.deepEqual((await api.request('GET', `/api/cases/${created.caseId}/explanation`, { session: fedex })).body, res.body);
+
+    const other = created.allocatedDCA === 'DCA-002' ? 'dca1' : 'dca2';
+    assert.equal((await api.request('GET', `/api/cases/${created.caseId}/explanation`, { session: await api.login(other) })).status, 403);
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { convertibleCases, isConvertible, placedDebtAmount, rateFor, REPORTING_CURRENCY, reportingDebtAmount, toReportingCurrency } from '../services/fx-rates.js';
+import { recoveredByDCA } from '../services/case-ledger.js';
+import { compareBacklogCases } from '../ai-engine/allocation/backlog-order.js';
+
+function payment(entryId, amount, dcaId, effectiveAt, currency) {
+    return { entryId, type: 'PAYMENT', amount, currency, dcaId, effectiveAt };
+}
+
+test('converts at the rate in effect on the day', () => {
+    assert.equal(rateFor('EUR', '2026-03-31T23:00:00Z').rate, 1.04);
+    assert.equal(rateFor('EUR', '2026-04-01T00:00:00Z').rate, 1.08);
+    // Days before the first known rate use that first rate
+    assert.equal(rateFor('EUR', '2025-06-01T00:00:00Z').rate, 1.04);
+    assert.equal(toReportingCurrency(1000, 'EUR', '2026-05-01T00:00:00Z'), 1080);
+    assert.equal(toReportingCurrency(1000, REPORTING_CURRENCY), 1000);
+});
+
+test('the placed amount is the original debt at the placement rate', () => {
+    // Placed at 1000 EUR in March, since adjusted down to 600 on the ledger
+    const adjusted = { caseId: 'FDX-1001', currency: 'EUR', originalDebtAmount: 1000, debtAmount: 600, createdAt: '2026-03-15T10:00:00Z' };
+
+    assert.equal(placedDebtAmount(adjusted), 1040);
+    assert.equal(reportingDebtAmount(adjusted, '2026-05-01T00:00:00Z'), 648);
+    // Cases stored before originalDebtAmount existed fall back to debtAmount
+    assert.equal(placedDebtAmount({ currency: 'EUR', debtAmount: 600, createdAt: '2026-03-15T10:00:00Z' }), 624);
+});
+
+test('an unknown currency has no rate and cannot be converted directly', () => {
+    assert.equal(rateFor('XYZ'), null);
+    assert.throws(() => toReportingCurrency(100, 'XYZ'), /No FX rate for XYZ/);
+    assert.throws(() => reportingDebtAmount({ debtAmount: 100, currency: 'XYZ' }), /No FX rate for XYZ/);
+});
+
+test('cases with no rate for their own or a ledger currency are skipped and counted', () => {
+    const cases = [
+        { caseId: 'FDX-1001', currency: 'EUR', debtAmount: 500 },
+        { caseId: 'FDX-1002', currency: 'XYZ', debtAmount: 500 },
+        { caseId: 'FDX-1003', debtAmount: 500, ledger: [payment('LED-1', 50, 'DCA-001', '2026-05-01T00:00:00Z', 'XYZ')] }
+    ];
+
+    assert.equal(isConvertible(cases[0]), true);
+    assert.equal(isConvertible(cases[2]), false);
+
+    const { cases: convertible, skipped } = convertibleCases(cases);
+    assert.deepEqual(convertible.map(c => c.caseId), ['FDX-1001']);
+    assert.deepEqual(skipped, ['FDX-1002', 'FDX-1003']);
+});
+
+test('DCA recovery totals leave out cases that cannot be converted', () => {
+    const cases = [
+        { caseId: 'FDX-1001', currency: 'EUR', ledger: [payment('LED-1', 100, 'DCA-001', '2026-05-01T00:00:00Z', 'EUR')] },
+        { caseId: 'FDX-1002', currency: 'XYZ', ledger: [payment('LED-2', 100, 'DCA-001', '2026-05-01T00:00:00Z', 'XYZ')] }
+    ];
+
+    assert.deepEqual(Array.from(recoveredByDCA(cases)), [['DCA-001', 108]]);
+});
+
+test('backlog order does not fail on a case with no rate', () => {
+    const base = { priority: 'HIGH', debtAge: 30, createdAt: '2026-05-01T00:00:00Z' };
+    const backlog = [
+        { ...base, caseId: 'FDX-1001', currency: 'XYZ', debtAmount: 1e6 },
+        { ...base, caseId: 'FDX-1002', currency: 'EUR', debtAmount: 10 }
+    ];
+
+    assert.deepEqual(backlog.sort(compareBacklogCases).map(c => c.caseId), ['FDX-1002', 'FDX-1001']);
+});
@@ -0,0 +1,86 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const API_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'dca-api.js');
+
+export const USERS = {
+    admin: ['admin@fedex.com', 'admin123'],
+    fedex: ['fedex@company.com', 'fedex123'],
+    dca1: ['dca1@company.com', 'dca123'],
+    dca2: ['dca2@company.com', 'dca123']
+};
+
+// Starts dca-api.js on a free port with an in-memory store and no trained
+// models, and stops it when the test ends
+export async function startApi(t, env = {}) {
+    const modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-models-'));
+    const child = spawn(process.execPath, [API_PATH], {
+        env: { ...process.env, PORT: '0', DCA_STORE_DRIVER: 'memory', MODEL_DIR: modelDir, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    t.after(async () => {
+        if (child.exitCode === null) {
+            child.kill();
+            await new Promise(resolve => child.once('exit', resolve));
+        }
+        fs.rmSync(modelDir, { recursive: true, force: true });
+    });
+
+    const port = await new Promise((resolve, reject) => {
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = /running on port (\d+)/.exec(output);
+            if (match) resolve(Number(match[1]));
+        });
+        child.once('exit', code => reject(new Error(`dca-api.js exited with ${code}:\n${output}`)));
+    });
+
+    const api = {
+        output: () => output,
+
+        async request(method, url, { session, body, contentType = 'application/json' } = {}) {
+            const headers = {};
+            if (session) headers['x-session-id'] = session;
+            if (body !== undefined) headers['content-type'] = contentType;
+            const res = await fetch(`http://127.0.0.1:${port}${url}`, {
+                method,
+                headers,
+                body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+            });
+            const text = await res.text();
+            return { status: res.status, body: text ? JSON.parse(text) : null };
+        },
+
+        async login(user) {
+            const [email, password] = USERS[user];
+            const res = await api.request('POST', '/auth/login', { body: { email, password } });
+            if (res.status !== 200) throw new Error(`login ${email}: ${res.status} ${JSON.stringify(res.body)}`);
+            return res.body.sessionId;
+        },
+
+        async ingest(session, fields = {}) {
+            const res = await api.request('POST', '/api/cases/ingest', {
+                session,
+                body: { trackingNumber: `TRK-${Math.random().toString(36).slice(2, 10)}`, debtor: 'Acme Freight', debtAmount: 12000, debtAge: 45, geoRegion: 'North-East', ...fields }
+            });
+            if (res.status !== 201) throw new Error(`ingest: ${res.status} ${JSON.stringify(res.body)}`);
+            return res.body.case;
+        },
+
+        // Moves an allocated case to dcaId unless it is there already
+        async assignTo(session, caseId, dcaId) {
+            const current = await api.request('GET', `/api/cases/${caseId}`, { session });
+            if (current.body.allocatedDCA === dcaId) return current.body;
+            const res = await api.request('POST', `/api/cases/${caseId}/reassign`, { session, body: { dcaId, reason: 'Test setup' } });
+            if (res.status !== 200) throw new Error(`reassign: ${res.status} ${JSON.stringify(res.body)}`);
+            return res.body.case;
+        }
+    };
+    return api;
+}
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { binaryMetrics, brierScore, multiclassMetrics, rocAuc } from '../ai-engine/utils/classification-metrics.js';
+import { isHeldOut } from '../ai-engine/utils/holdout.js';
+import { evaluateModels, latestEvaluation, PRIORITY_NOT_EVALUATED, saveEvaluationRun, summarizeEvaluation } from '../ai-engine/model-serving/evaluation.js';
+import { generateSyntheticCases, toCaseRecord } from '../ai-engine/simulation/synthetic-data.js';
+import { RecoveryPredictor } from '../ai-engine/ml-models/recovery-predictor.js';
+import { CasePrioritizer } from '../ai-engine/ml-models/case-prioritizer.js';
+import { SentimentAnalyzer } from '../ai-engine/ml-models/sentiment-analyzer.js';
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evaluation-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('binary metrics come from the confusion matrix and the raw scores', () => {
+    const actual = [1, 1, 1, 0, 0, 0];
+    const scores = [0.9, 0.6, 0.3, 0.7, 0.2, 0.1];
+
+    const metrics = binaryMetrics(actual, scores);
+
+    // TP 2, FN 1, FP 1, TN 2
+    assert.deepEqual(metrics.confusionMatrix, { labels: [0, 1], matrix: [[2, 1], [1, 2]] });
+    assert.equal(metrics.accuracy, 0.6667);
+    assert.equal(metrics.precision, 0.6667);
+    assert.equal(metrics.recall, 0.6667);
+    assert.equal(metrics.f1Score, 0.6667);
+    assert.equal(metrics.auc, rocAuc(actual, scores));
+    assert.equal(rocAuc(actual, scores), 0.7778);
+    assert.equal(metrics.brierScore, brierScore(actual, scores));
+    assert.equal(metrics.calibration.reduce((n, bin) => n + bin.count, 0), 6);
+
+    assert.equal(rocAuc([1, 1], [0.2, 0.8]), null);
+    assert.equal(rocAuc([1, 0], [0.5, 0.5]), 0.5);
+});
+
+test('multiclass metrics average F1 over the classes', () => {
+    const metrics = multiclassMetrics(['A', 'A', 'B', 'B'], ['A', 'B', 'B', 'B'], ['A', 'B']);
+
+    assert.equal(metrics.accuracy, 0.75);
+    assert.deepEqual(metrics.classes.A, { precision: 1, recall: 0.5, f1Score: 0.6667, support: 2 });
+    assert.equal(metrics.macroF1, Number(((0.6667 + 0.8) / 2).toFixed(4)));
+});
+
+test('models are scored on the hold-out split, and the prioritizer is marked unevaluated', t => {
+    const modelDir = tempDir(t);
+    const cases = generateSyntheticCases({ n: 400, seed: 11 }).map(toCaseRecord).map(c => ({ ...c, currency: 'USD' }));
+    const models = {
+        recoveryPredictor: new RecoveryPredictor({ modelPath: path.join(modelDir, 'r.json') }),
+        casePrioritizer: new CasePrioritizer(undefined, { modelPath: path.join(modelDir, 'p.json') }),
+        sentimentAnalyzer: new SentimentAnalyzer({ modelPath: path.join(modelDir, 's.json') })
+    };
+
+    const run = evaluateModels({ cases, ...models, seed: 11 });
+
+    const heldOut = cases.filter(c => isHeldOut(c.caseId)).length;
+    assert.ok(heldOut > 0 && heldOut < cases.length);
+    assert.equal(run.heldOut.cases, heldOut);
+    assert.equal(run.models.recoveryPredictor.samples, heldOut);
+    assert.equal(run.models.recoveryPredictor.source, 'heuristic');
+    assert.equal(typeof run.models.recoveryPredictor.auc, 'number');
+
+    assert.equal(run.models.casePrioritizer.evaluated, false);
+    assert.equal(run.models.casePrioritizer.reason, PRIORITY_NOT_EVALUATED);
+    assert.equal(run.models.casePrioritizer.accuracy, undefined);
+    assert.equal(Object.values(run.models.casePrioritizer.distribution).reduce((a, b) => a + b, 0), heldOut);
+
+    const summary = summarizeEvaluation(run);
+    assert.equal(summary.recoveryPredictor.evaluated, true);
+    assert.equal(summary.sentimentAnalyzer.evaluated, true);
+    assert.deepEqual(Object.keys(summary.casePrioritizer), ['evaluated', 'reason', 'version', 'samples', 'distribution']);
+    assert.equal(summary.casePrioritizer.evaluated, false);
+
+    // Nothing held out: no recovery numbers, and the flag still says why
+    const empty = summarizeEvaluation(evaluateModels({ cases: [], ...models }));
+    assert.equal(empty.recoveryPredictor.evaluated, false);
+    assert.equal(empty.recoveryPredictor.accuracy, null);
+    assert.equal(empty.casePrioritizer.reason, PRIORITY_NOT_EVALUATED);
+});
+
+test('the metrics endpoints serve the latest production run, not candidates', t => {
+    const modelDir = tempDir(t);
+    const run = (runId, candidate = null) => ({ runId, candidate, evaluatedAt: runId, source: 'synthetic', heldOut: {}, models: {
+        recoveryPredictor: { accuracy: 0.7 }, casePrioritizer: { samples: 3, distribution: { LOW: 3 } }, sentimentAnalyzer: {}
+    } });
+
+    assert.equal(latestEvaluation(modelDir), null);
+    saveEvaluationRun(run('20260101T000000'), modelDir);
+    saveEvaluationRun(run('20260102T000000', 'candidate-1'), modelDir);
+
+    const latest = latestEvaluation(modelDir);
+    assert.equal(latest.runId, '20260101T000000');
+    // Runs saved before the flag existed are summarized with it
+    const summary = summarizeEvaluation(latest);
+    assert.equal(summary.casePrioritizer.evaluated, false);
+    assert.equal(summary.sentimentAnalyzer.evaluated, false);
+    assert.equal(summarizeEvaluation(null), null);
+});
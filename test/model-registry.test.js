@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { newModelVersion, writeArtifact } from '../ai-engine/ml-models/model-store.js';
+import { ModelRegistry } from '../ai-engine/model-serving/model-registry.js';
+import { startApi } from './helpers/api-server.js';
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Stands in for a trained model: addVersion only needs saveModel()
+const artifact = (body = { version: 'x', metrics: { samples: 1 } }) => ({
+    saveModel(filePath) {
+        if (typeof body !== 'string') return writeArtifact(filePath, body);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, body);
+    }
+});
+
+const run = (version, body) => ({ version, models: { 'recovery-predictor': { model: artifact(body), dataHash: 'h', samples: 1, metrics: {} } } });
+
+test('version labels get a suffix instead of reusing a taken second', () => {
+    const now = new Date('2026-10-19T18:15:53.250Z');
+    const taken = new Set(['20261019T181553', '20261019T181553-2']);
+
+    assert.equal(newModelVersion(now), '20261019T181553');
+    assert.equal(newModelVersion(now, v => taken.has(v)), '20261019T181553-3');
+});
+
+test('the registry never overwrites a version and promotes only the first', t => {
+    const registry = new ModelRegistry({ modelDir: tempDir(t) });
+    const now = new Date('2026-10-19T18:15:53Z');
+
+    const first = registry.newVersion(now);
+    assert.deepEqual(registry.addVersion(run(first), 'admin@fedex.com'), ['recovery-predictor']);
+    const second = registry.newVersion(now);
+    assert.equal(second, `${first}-2`);
+    assert.deepEqual(registry.addVersion(run(second), 'admin@fedex.com'), []);
+
+    assert.throws(() => registry.addVersion(run(first)), { code: 'VERSION_EXISTS' });
+    assert.throws(() => registry.addVersion(run('../escape')), { code: 'INVALID_VERSION' });
+    assert.deepEqual(registry.listVersions('recovery-predictor').map(v => [v.version, v.stage]), [[first, 'production'], [second, null]]);
+
+    registry.promote('recovery-predictor', second, 'admin@fedex.com');
+    assert.throws(() => registry.setShadow('recovery-predictor', second, 'admin@fedex.com'), { code: 'SHADOW_IS_PRODUCTION' });
+    assert.equal(registry.rollback('recovery-predictor', 'admin@fedex.com').production, first);
+    assert.throws(() => registry.rollback('recovery-predictor', 'admin@fedex.com'), { code: 'NO_PREVIOUS_VERSION' });
+    assert.throws(() => registry.promote('recovery-predictor', 'missing', 'admin@fedex.com'), { code: 'MODEL_VERSION_NOT_FOUND' });
+    assert.throws(() => registry.state('fraud-detector'), { code: 'UNKNOWN_MODEL' });
+});
+
+test('a registry change that fails to load answers 500 and the API stays up', async t => {
+    const modelDir = tempDir(t);
+    const registry = new ModelRegistry({ modelDir });
+    registry.addVersion(run('good-1', { version: 'good-1', metrics: { samples: 20 }, features: [], weights: [], bias: 0 }));
+    registry.addVersion(run('broken-1', '{ not json'));
+
+    const api = await startApi(t, { MODEL_DIR: modelDir });
+    const admin = await api.login('admin');
+
+    const missing = await api.request('POST', '/api/models/recovery-predictor/promote', { session: admin, body: { version: 'nope' } });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'MODEL_VERSION_NOT_FOUND');
+
+    const broken = await api.request('POST', '/api/models/recovery-predictor/promote', { session: admin, body: { version: 'broken-1' } });
+    assert.equal(broken.status, 500);
+    assert.equal(broken.body.code, 'INTERNAL_ERROR');
+
+    const rollback = await api.request('POST', '/api/models/recovery-predictor/rollback', { session: admin });
+    assert.equal(rollback.status, 200);
+    assert.equal(rollback.body.production, 'good-1');
+    assert.equal((await api.request('GET', '/api/models', { session: admin })).status, 200);
+});
+
+test('two training runs in the same second get separate versions', async t => {
+    const api = await startApi(t);
+    const admin = await api.login('admin');
+    const fedex = await api.login('fedex');
+
+    const rows = Array.from({ length: 40 }, (_, i) => ({ trackingNumber: `TRK-${i}`, debtor: `Debtor ${i}`, debtAmount: 2000 + 500 * i, debtAge: 10 + i, geoRegion: 'Central' }));
+    const upload = await api.request('POST', '/api/cases/ingest/bulk', { session: fedex, body: rows });
+    for (const [i, { caseId }] of upload.body.rows.entries()) {
+        const body = i % 2 ? { resolutionType: 'WRITTEN_OFF', notes: 'No assets' } : { resolutionType: 'RECOVERED', recoveredAmount: 1000 };
+        const res = await api.request('POST', `/api/cases/${caseId}/resolve`, { session: fedex, body });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+    }
+
+    const [first, second] = await Promise.all([
+        api.request('POST', '/api/models/recovery/train', { session: admin }),
+        api.request('POST', '/api/models/recovery/train', { session: admin })
+    ]);
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 201);
+    assert.notEqual(first.body.version, second.body.version);
+    assert.deepEqual([first.body.promoted, second.body.promoted].sort(), [false, true]);
+
+    const listing = await api.request('GET', '/api/models', { session: admin });
+    assert.equal(listing.body.models['recovery-predictor'].versions.length, 2);
+});
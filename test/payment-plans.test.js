@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLedgerEntry } from '../services/case-ledger.js';
+import { applyPlanPayment, createPaymentPlan, detectMissedInstallments, missedAfter, reconcilePlanPayments } from '../services/payment-plans.js';
+
+function planCase() {
+    const plan = createPaymentPlan({
+        planId: 'PLN-1001', type: 'INSTALLMENT', totalAmount: 300, installmentCount: 3, frequency: 'MONTHLY',
+        firstDueDate: '2026-03-10', graceDays: 0, user: 'agent@dca.com', now: new Date('2026-03-01T12:00:00Z')
+    });
+    return { caseId: 'FDX-1001', currency: 'USD', debtAmount: 300, ledger: [], paymentPlans: [plan] };
+}
+
+function pay(caseData, plan, amount, paidAt) {
+    const entry = createLedgerEntry({
+        entryId: `LED-${1001 + caseData.ledger.length}`, type: 'PAYMENT', amount, currency: 'USD',
+        source: { type: 'PAYMENT_PLAN', planId: plan.planId }, effectiveAt: paidAt, user: 'agent@dca.com'
+    });
+    caseData.ledger.push(entry);
+    applyPlanPayment(plan, { amount, paidAt, entryId: entry.entryId }, 'agent@dca.com', new Date(paidAt));
+    return entry;
+}
+
+function reverse(caseData, entry, amount) {
+    caseData.ledger.push(createLedgerEntry({
+        entryId: `LED-${1001 + caseData.ledger.length}`, type: 'REVERSAL', amount, currency: 'USD',
+        reverses: entry.entryId, reason: 'BOUNCED', user: 'agent@dca.com'
+    }));
+}
+
+test('a payment reversed in full drops off the plan', () => {
+    const caseData = planCase();
+    const [plan] = caseData.paymentPlans;
+    const first = pay(caseData, plan, 100, '2026-03-09T15:00:00Z');
+    pay(caseData, plan, 150, '2026-04-08T15:00:00Z');
+
+    reverse(caseData, first, 100);
+    reconcilePlanPayments(plan, caseData);
+
+    assert.deepEqual(plan.payments.map(p => p.amount), [150]);
+    assert.equal(plan.paidAmount, 150);
+    assert.deepEqual(plan.installments.map(i => [i.status, i.paidAmount]), [['PAID', 100], ['PARTIAL', 50], ['PENDING', 0]]);
+});
+
+test('a partly reversed payment counts only what was kept', () => {
+    const caseData = planCase();
+    const [plan] = caseData.paymentPlans;
+    const payment = pay(caseData, plan, 200, '2026-03-09T15:00:00Z');
+
+    reverse(caseData, payment, 60);
+    reconcilePlanPayments(plan, caseData);
+    reverse(caseData, payment, 40);
+    reconcilePlanPayments(plan, caseData);
+
+    assert.equal(plan.paidAmount, 100);
+    assert.equal(plan.payments[0].amount, 100);
+    assert.deepEqual(plan.installments.map(i => i.status), ['PAID', 'PENDING', 'PENDING']);
+});
+
+test('an installment is missed only after the due date ends in the debtor time zone', () => {
+    const { paymentPlans: [plan] } = planCase();
+
+    // 2026-03-10 ends at 04:00 UTC on the 11th in New York (EDT)
+    assert.equal(missedAfter(plan.installments[0], 0, 'America/New_York').toISOString(), '2026-03-11T04:00:00.000Z');
+    assert.deepEqual(detectMissedInstallments(plan, new Date('2026-03-11T02:00:00Z'), 'America/New_York'), []);
+    assert.deepEqual(detectMissedInstallments(plan, new Date('2026-03-11T04:00:00Z'), 'America/New_York').map(i => i.number), [1]);
+});
@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateRecoveryProbability, explainRecoveryHeuristic } from '../ai-engine/ml-models/recovery-heuristic.js';
+import { RecoveryPredictor } from '../ai-engine/ml-models/recovery-predictor.js';
+import { createRng } from '../ai-engine/utils/seeded-rng.js';
+
+test('the heuristic is deterministic without an rng', () => {
+    const first = explainRecoveryHeuristic(120000, 90);
+
+    assert.deepEqual(explainRecoveryHeuristic(120000, 90), first);
+    assert.equal(first.factors.some(f => f.feature === 'noise'), false);
+    // (1 - 90/360) * (1 - 120000/500000)
+    assert.equal(first.probability, 0.75 * 0.76);
+});
+
+test('the live fallback gives the same estimate for the same case', () => {
+    const predictor = new RecoveryPredictor();
+    const caseData = { caseId: 'FDX-1001', debtAmount: 45000, debtAge: 40, interactions: [] };
+
+    const first = predictor.predict(caseData);
+    assert.equal(first.source, 'heuristic');
+    assert.deepEqual(predictor.predict(caseData), first);
+});
+
+test('a seeded rng adds noise that repeats for the same seed', () => {
+    const noisy = seed => Array.from({ length: 5 }, (_, i) => calculateRecoveryProbability(50000 * (i + 1), 30, createRng(seed)));
+
+    assert.deepEqual(noisy(7), noisy(7));
+    assert.notDeepEqual(noisy(7), Array.from({ length: 5 }, (_, i) => calculateRecoveryProbability(50000 * (i + 1), 30)));
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { schemas, validate } from '../services/request-schemas.js';
+import { startApi } from './helpers/api-server.js';
+
+const codes = errors => errors.map(e => [e.field, e.code]);
+
+test('each rule has its own error code', () => {
+    assert.deepEqual(codes(validate(schemas.ingestCase, {})), [
+        ['trackingNumber', 'REQUIRED'], ['debtor', 'REQUIRED'], ['debtAmount', 'REQUIRED'], ['debtAge', 'REQUIRED']
+    ]);
+    assert.deepEqual(codes(validate(schemas.ingestCase, {
+        trackingNumber: 'x'.repeat(65),
+        debtor: 42,
+        debtAmount: 0,
+        debtAge: 4000,
+        currency: 'XYZ',
+        email: 'not-an-email',
+        timeZone: 'Mars/Olympus'
+    })), [
+        ['trackingNumber', 'TOO_LONG'], ['debtor', 'INVALID_TYPE'], ['debtAmount', 'TOO_SMALL'], ['currency', 'INVALID_ENUM'],
+        ['debtAge', 'TOO_LARGE'], ['email', 'INVALID_FORMAT'], ['timeZone', 'INVALID_FORMAT']
+    ]);
+    assert.deepEqual(codes(validate(schemas.ingestCase, { trackingNumber: 'T', debtor: 'D', debtAmount: 1, debtAge: 1.5 })), [['debtAge', 'INVALID_TYPE']]);
+    assert.deepEqual(codes(validate(schemas.ingestCase, [])), [[null, 'INVALID_BODY']]);
+    assert.deepEqual(validate(schemas.ingestCase, { trackingNumber: 'T', debtor: 'D', debtAmount: 1, debtAge: 1, unknown: true }), []);
+});
+
+test('errors leave the API in one shape', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+
+    const invalid = await api.request('POST', '/api/cases/ingest', { session: fedex, body: { debtor: 'Acme', debtAmount: -5, debtAge: 10 } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'VALIDATION_FAILED');
+    assert.equal(typeof invalid.body.error, 'string');
+    assert.deepEqual(codes(invalid.body.details), [['trackingNumber', 'REQUIRED'], ['debtAmount', 'TOO_SMALL']]);
+
+    const malformed = await api.request('POST', '/api/cases/ingest', { session: fedex, body: '{"debtor":', contentType: 'application/json' });
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.code, 'MALFORMED_JSON');
+
+    const missing = await api.request('GET', '/api/nowhere', { session: fedex });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'ROUTE_NOT_FOUND');
+});
+
+test('callers who may not act get 403/404 before any validation detail', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+    const { caseId } = await api.ingest(fedex);
+    await api.assignTo(fedex, caseId, 'DCA-001');
+    const outsider = await api.login('dca2');
+    const owner = await api.login('dca1');
+
+    const anonymous = await api.request('POST', `/api/cases/${caseId}/escalate`, { body: {} });
+    assert.equal(anonymous.status, 403);
+    assert.equal(anonymous.body.code, 'UNAUTHENTICATED');
+
+    const otherAgency = await api.request('POST', `/api/cases/${caseId}/escalate`, { session: outsider, body: {} });
+    assert.equal(otherAgency.status, 403);
+    assert.equal(otherAgency.body.code, 'FORBIDDEN');
+    assert.equal(otherAgency.body.details, undefined);
+
+    const noSuchCase = await api.request('POST', '/api/cases/FDX-9999/interaction', { session: owner, body: {} });
+    assert.equal(noSuchCase.status, 404);
+    assert.equal(noSuchCase.body.code, 'CASE_NOT_FOUND');
+
+    const wrongRole = await api.request('POST', `/api/cases/${caseId}/recall`, { session: owner, body: {} });
+    assert.equal(wrongRole.status, 403);
+    assert.equal(wrongRole.body.details, undefined);
+
+    const ingestByAgent = await api.request('POST', '/api/cases/ingest', { session: owner, body: {} });
+    assert.equal(ingestByAgent.status, 403);
+
+    const adjustByAgent = await api.request('POST', `/api/cases/${caseId}/ledger`, { session: owner, body: { type: 'ADJUSTMENT', amount: -500 } });
+    assert.equal(adjustByAgent.status, 403);
+
+    // The owner is allowed, so now the body is checked
+    const ownerInvalid = await api.request('POST', `/api/cases/${caseId}/escalate`, { session: owner, body: {} });
+    assert.equal(ownerInvalid.status, 400);
+    assert.equal(ownerInvalid.body.code, 'VALIDATION_FAILED');
+});
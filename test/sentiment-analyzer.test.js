@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SentimentAnalyzer } from '../ai-engine/ml-models/sentiment-analyzer.js';
+
+const analyzer = new SentimentAnalyzer();
+
+test('flags hardship for an inability to pay and a lost job', () => {
+    const result = analyzer.analyze('cannot pay, lost job');
+
+    assert.equal(result.flags.hardship, true);
+    assert.deepEqual(result.intents.hardship, ['cannot pay', 'lost job']);
+    assert.notEqual(result.sentiment, 'POSITIVE');
+});
+
+test('flags hardship for being out of work', () => {
+    const result = analyzer.analyze("Customer is out of work and can't pay.");
+
+    assert.equal(result.flags.hardship, true);
+    assert.ok(result.intents.hardship.includes('out of work'));
+});
+
+test('a refusal to pay is not hardship', () => {
+    assert.equal(analyzer.analyze("We won't pay.").flags.hardship, false);
+});
+
+test('a negated negative word is neutral, not praise', () => {
+    const result = analyzer.analyze('I do not dispute the invoice');
+
+    assert.equal(result.sentiment, 'NEUTRAL');
+    assert.equal(result.flags.dispute, false);
+    assert.equal(analyzer.analyze('The debtor was not rude').sentiment, 'NEUTRAL');
+});
+
+test('a negated positive word still reads negative', () => {
+    assert.equal(analyzer.analyze('Customer is not happy with the service').sentiment, 'NEGATIVE');
+});
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ShadowScorer } from '../ai-engine/model-serving/shadow-scoring.js';
+import { CasePrioritizer } from '../ai-engine/ml-models/case-prioritizer.js';
+import { RecoveryPredictor } from '../ai-engine/ml-models/recovery-predictor.js';
+
+test('shadowing only the recovery model leaves the live prioritizer counters alone', t => {
+    const modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shadow-'));
+    t.after(() => fs.rmSync(modelDir, { recursive: true, force: true }));
+
+    const scorer = new ShadowScorer({ modelDir, resolve: () => null });
+    scorer.recoveryPredictor = new RecoveryPredictor();
+
+    const livePrioritizer = new CasePrioritizer();
+    const caseData = { caseId: 'FDX-1001', debtAmount: 25000, debtAge: 45, recoveryProbability: 0.6, interactions: [], createdAt: new Date().toISOString() };
+    const live = livePrioritizer.getPriority(caseData);
+    Object.assign(caseData, { priority: live.tier, priorityScore: live.score });
+
+    const entry = scorer.score(caseData, livePrioritizer);
+
+    assert.equal(entry.shadow.priorityVersion, livePrioritizer.version);
+    assert.equal(livePrioritizer.scored, 1);
+    assert.equal(Object.values(livePrioritizer.tierCounts).reduce((sum, n) => sum + n, 0), 1);
+});
@@ -0,0 +1,173 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { evaluateCaseSla, slaSettled, startSlaClock, syncSlaClock } from '../services/sla-monitor.js';
+import { businessCalendars } from '../services/sla-config.js';
+import { startApi } from './helpers/api-server.js';
+
+// Monday 2 March 2026, 10:00 in New York
+const START = new Date('2026-03-02T15:00:00Z');
+const at = hours => new Date(START.getTime() + hours * 3600000);
+
+function clockedCase(fields = {}) {
+    const caseData = { caseId: 'FDX-1001', status: 'ALLOCATED', priority: 'MEDIUM', interactions: [], auditTrail: [], ...fields };
+    startSlaClock(caseData, 'North-East', START);
+    return caseData;
+}
+
+const states = caseData => now => Object.fromEntries(evaluateCaseSla(caseData, now).map(d => [d.type, d.state]));
+
+test('deadlines are working-hour budgets on the region calendar', () => {
+    const { slaDeadlines } = clockedCase();
+
+    // MEDIUM: 72h = 3 working days of 9h; 4 and 20 days
+    assert.deepEqual(slaDeadlines.budgetHours, { firstAction: 27, followUp: 36, resolution: 180 });
+    // 8h left on Monday, 9 each on Tuesday and Wednesday, 1 on Thursday
+    assert.equal(slaDeadlines.firstAction, '2026-03-05T15:00:00.000Z');
+    assert.equal(slaDeadlines.calendar, 'North-East');
+});
+
+test('each deadline is pending, approaching, met or breached', () => {
+    const caseData = clockedCase();
+    const stateAt = states(caseData);
+
+    assert.equal(stateAt(at(1)).FIRST_ACTION, 'PENDING');
+    // Wednesday 17:00: 25 of 27 working hours used
+    const approaching = evaluateCaseSla(caseData, at(55))[0];
+    assert.equal(approaching.state, 'APPROACHING');
+    assert.deepEqual(approaching.warnings, [0.75, 0.9]);
+    assert.equal(approaching.workingHoursRemaining, 2);
+    assert.equal(stateAt(at(73)).FIRST_ACTION, 'BREACHED');
+
+    // One interaction meets first action; follow-up needs a second
+    caseData.interactions.push({ timestamp: at(2).toISOString() });
+    assert.deepEqual(stateAt(at(73)), { FIRST_ACTION: 'MET', FOLLOW_UP: 'APPROACHING', RESOLUTION: 'PENDING' });
+});
+
+test('a paused clock resumes with its deadlines moved by the working time paused', () => {
+    const caseData = clockedCase();
+    const before = caseData.slaDeadlines.firstAction;
+
+    caseData.status = 'ESCALATED';
+    syncSlaClock(caseData, 'ALLOCATED', 'ESCALATED', 'fedex@company.com', at(1));
+    assert.equal(states(caseData)(at(200)).FIRST_ACTION, 'PAUSED');
+
+    // Paused from Monday 11:00 to Tuesday 11:00: one working day
+    caseData.status = 'IN_PROGRESS';
+    syncSlaClock(caseData, 'ESCALATED', 'IN_PROGRESS', 'fedex@company.com', at(25));
+
+    assert.equal(caseData.slaDeadlines.pausedAt, null);
+    assert.equal(caseData.slaPauses[0].workingHours, 9);
+    assert.equal(new Date(caseData.slaDeadlines.firstAction) - new Date(before), 24 * 3600000);
+    assert.deepEqual(caseData.auditTrail.map(a => a.action), ['SLA_PAUSED', 'SLA_RESUMED']);
+});
+
+test('a closed case is settled once none of its deadlines can change', () => {
+    const open = clockedCase();
+    assert.equal(slaSettled(open, at(1)), false);
+
+    // Resolved Thursday 18:00, after first action was due and before follow-up
+    const resolved = clockedCase({ status: 'RESOLVED', resolvedAt: at(80).toISOString() });
+    assert.deepEqual(states(resolved)(at(81)), { FIRST_ACTION: 'BREACHED', FOLLOW_UP: 'MET', RESOLUTION: 'MET' });
+    assert.equal(slaSettled(resolved, at(81)), true);
+});
+
+test('the monitor records a closed case once and then leaves it alone', async t => {
+    // 0.002 minutes = a check every 120ms
+    const api = await startApi(t, { SLA_CHECK_MINUTES: '0.002' });
+    const fedex = await api.login('fedex');
+    const closed = await api.ingest(fedex);
+    const open = await api.ingest(fedex);
+    await api.request('POST', `/api/cases/${closed.caseId}/resolve`, { session: fedex, body: { resolutionType: 'SETTLED' } });
+
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    const settled = (await api.request('GET', `/api/cases/${closed.caseId}`, { session: fedex })).body;
+    assert.ok(settled.slaDeadlines.settledAt);
+    const stillOpen = (await api.request('GET', `/api/cases/${open.caseId}`, { session: fedex })).body;
+    assert.equal(stillOpen.slaDeadlines.settledAt, undefined);
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const later = (await api.request('GET', `/api/cases/${closed.caseId}`, { session: fedex })).body;
+    assert.equal(later.slaDeadlines.settledAt, settled.slaDeadlines.settledAt);
+});
+
+test('a calendar gap is recorded on the case and holds the clock as it was', t => {
+    businessCalendars['Listed-Only'] = { timeZone: 'UTC', workdays: [1, 2, 3, 4, 5], openHour: 9, closeHour: 18, holidays: ['2026-01-01', '2026-12-25'] };
+    t.after(() => delete businessCalendars['Listed-Only']);
+
+    const caseData = { caseId: 'FDX-1001', status: 'ESCALATED', priority: 'MEDIUM', interactions: [], auditTrail: [] };
+    startSlaClock(caseData, 'Listed-Only', START);
+    syncSlaClock(caseData, 'ALLOCATED', 'ESCALATED', 'fedex@company.com', at(1));
+
+    const nextYear = new Date('2027-01-05T12:00:00Z');
+    assert.throws(() => evaluateCaseSla(caseData, nextYear), { code: 'CALENDAR_NOT_COVERED' });
+
+    // The status change goes through; the clock stays paused and says why
+    caseData.status = 'IN_PROGRESS';
+    syncSlaClock(caseData, 'ESCALATED', 'IN_PROGRESS', 'fedex@company.com', nextYear);
+    syncSlaClock(caseData, 'ESCALATED', 'IN_PROGRESS', 'fedex@company.com', nextYear);
+    assert.equal(caseData.slaDeadlines.pausedAt, at(1).toISOString());
+    assert.equal(caseData.slaPauses[0].to, null);
+    assert.match(caseData.slaCalendarError.error, /only cover 2026-2026; none are listed for 2027/);
+    assert.deepEqual(caseData.auditTrail.map(a => a.action), ['SLA_PAUSED', 'SLA_CALENDAR_ERROR']);
+});
+
+test('escalating pauses the clock and de-escalating resumes it with new deadlines', async t => {
+    const api = await startApi(t);
+    const fedex = await api.login('fedex');
+    const created = await api.ingest(fedex);
+
+    const escalated = await api.request('POST', `/api/cases/${created.caseId}/escalate`, { session: fedex, body: { reason: 'Debtor asks for a manager', targetRole: 'FEDEX_MANAGER' } });
+    assert.equal(escalated.status, 200);
+    assert.ok(escalated.body.case.slaDeadlines.pausedAt);
+    assert.equal(escalated.body.case.slaPauses[0].status, 'ESCALATED');
+
+    const paused = (await api.request('GET', '/api/sla/status', { session: fedex })).body.find(s => s.caseId === created.caseId);
+    assert.equal(paused.paused, true);
+    assert.equal(paused.hoursRemaining, null);
+    assert.deepEqual(paused.deadlines.map(d => d.state), ['PAUSED', 'PAUSED', 'PAUSED']);
+
+    const resumed = await api.request('POST', `/api/cases/${created.caseId}/de-escalate`, { session: fedex, body: { reason: 'Handled' } });
+    assert.equal(resumed.status, 200);
+    const { slaDeadlines, slaPauses, auditTrail } = resumed.body.case;
+    assert.equal(resumed.body.case.status, 'IN_PROGRESS');
+    assert.equal(slaDeadlines.pausedAt, null);
+    assert.ok(slaPauses[0].to);
+
+    // Every deadline was recomputed from the moment the clock resumed
+    ['firstAction', 'followUp', 'resolution'].forEach(field => assert.ok(slaDeadlines[field] >= created.slaDeadlines[field]));
+    const entry = auditTrail.find(a => a.action === 'SLA_RESUMED');
+    assert.match(entry.details, new RegExp(`FIRST_ACTION due ${slaDeadlines.firstAction}, FOLLOW_UP due ${slaDeadlines.followUp}, RESOLUTION due ${slaDeadlines.resolution}`));
+
+    const running = (await api.request('GET', '/api/sla/status', { session: fedex })).body.find(s => s.caseId === created.caseId);
+    assert.equal(running.paused, false);
+    assert.equal(running.calendarError, null);
+});
+
+test('a case whose calendar is not covered is allocated without deadlines', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const calendarFile = path.join(dir, 'calendars.json');
+    fs.writeFileSync(calendarFile, JSON.stringify({
+        'North-East': { timeZone: 'America/New_York', workdays: [1, 2, 3, 4, 5], openHour: 9, closeHour: 18, holidays: ['2001-01-01'] }
+    }));
+
+    const api = await startApi(t, { SLA_CALENDAR_FILE: calendarFile, SLA_CHECK_MINUTES: '0.002' });
+    const fedex = await api.login('fedex');
+    const created = await api.ingest(fedex, { geoRegion: 'North-East' });
+
+    assert.ok(created.allocatedDCA);
+    assert.equal(created.slaDeadlines, null);
+    assert.match(created.slaCalendarError.error, /only cover 2001-2001/);
+    assert.equal(created.auditTrail.filter(a => a.action === 'SLA_CALENDAR_ERROR').length, 1);
+    assert.match(api.output(), new RegExp(`SLA CALENDAR ERROR: ${created.caseId}`));
+
+    // Other regions keep their clocks and the monitor keeps running
+    const other = await api.ingest(fedex, { geoRegion: 'Central' });
+    assert.equal(other.slaDeadlines.calendar, 'Central');
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal((await api.request('GET', '/api/sla/status', { session: fedex })).status, 200);
+});
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStore, journalPath, readJournal } from '../services/store.js';
+
+function tempDir(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    return dataDir;
+}
+
+test('records saved in place survive a restart', t => {
+    const dataDir = tempDir(t);
+    const cases = createStore({ dataDir }).collection('cases');
+    cases.set('FDX-1001', { status: 'RECEIVED', auditTrail: [] });
+    cases.get('FDX-1001').status = 'ALLOCATED';
+    cases.save('FDX-1001');
+    cases.set('FDX-1002', { status: 'RECEIVED' });
+    cases.delete('FDX-1002');
+
+    const reopened = createStore({ dataDir }).collection('cases');
+
+    assert.deepEqual(Array.from(reopened.keys()), ['FDX-1001']);
+    assert.equal(reopened.get('FDX-1001').status, 'ALLOCATED');
+});
+
+test('seed records are only written to a collection never persisted', t => {
+    const dataDir = tempDir(t);
+    const first = createStore({ dataDir });
+    first.collection('users', [['a@x.com', { role: 'ADMIN' }]]).get('a@x.com').role = 'FEDEX';
+    first.collection('users').save('a@x.com');
+
+    const users = createStore({ dataDir }).collection('users', [['a@x.com', { role: 'ADMIN' }], ['b@x.com', { role: 'DCA' }]]);
+
+    assert.deepEqual(Array.from(users.keys()), ['a@x.com']);
+    assert.equal(users.get('a@x.com').role, 'FEDEX');
+});
+
+test('sequences carry on after a restart', t => {
+    const dataDir = tempDir(t);
+    assert.equal(createStore({ dataDir }).nextSequence('caseIdCounter', 1000), 1001);
+    assert.equal(createStore({ dataDir }).nextSequence('caseIdCounter', 1000), 1002);
+});
+
+test('a truncated last line from a crash is skipped', t => {
+    const dataDir = tempDir(t);
+    createStore({ dataDir }).collection('cases').set('FDX-1001', { status: 'RECEIVED' });
+    fs.appendFileSync(journalPath(dataDir), '{"c":"cases","k":"FDX-1002","v":{"sta');
+
+    const cases = createStore({ dataDir }).collection('cases');
+
+    assert.deepEqual(Array.from(cases.keys()), ['FDX-1001']);
+});
+
+test('a running store compacts the journal instead of growing it without bound', t => {
+    const dataDir = tempDir(t);
+    const cases = createStore({ dataDir, compactAfterBytes: 4096 }).collection('cases');
+    cases.set('FDX-1001', { status: 'IN_PROGRESS', interactions: [] });
+
+    for (let i = 0; i < 500; i++) {
+        cases.get('FDX-1001').interactions = [`call ${i}`];
+        cases.save('FDX-1001');
+    }
+
+    const size = fs.statSync(journalPath(dataDir)).size;
+    assert.ok(size < 2 * 4096 + 200, `journal is ${size} bytes`);
+    assert.deepEqual(readJournal(journalPath(dataDir)).get('cases').get('FDX-1001').interactions, ['call 499']);
+});
+
+test('the memory driver writes nothing', t => {
+    const dataDir = tempDir(t);
+    createStore({ driver: 'memory', dataDir }).collection('cases').set('FDX-1001', {});
+
+    assert.deepEqual(fs.readdirSync(dataDir), []);
+});
@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateSyntheticCases, generateSyntheticDCAs, toCaseRecord } from '../ai-engine/simulation/synthetic-data.js';
+import { hashTrainingData, loadCases } from '../ai-engine/ml-models/training-data.js';
+import { createStore } from '../services/store.js';
+
+const TRAIN_ALL = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'ai-engine', 'ml-models', 'train-all.js');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'train-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function trainModels(...args) {
+    return spawnSync(process.execPath, [TRAIN_ALL, ...args], { encoding: 'utf8', timeout: 120000 });
+}
+
+test('the generator reproduces the Sampledb schema and labels for a seed', () => {
+    const rows = generateSyntheticCases({ n: 200, seed: 5 });
+
+    assert.deepEqual(generateSyntheticCases({ n: 200, seed: 5 }), rows);
+    assert.notDeepEqual(generateSyntheticCases({ n: 200, seed: 6 }), rows);
+    assert.deepEqual(Object.keys(rows[0]).sort(), [
+        'ageing_days', 'business_priority', 'case_id', 'customer_id', 'customer_rating', 'geo', 'industry',
+        'invoice_amount', 'past_payment_score', 'recovery_label', 'risk_tier'
+    ]);
+    rows.forEach(row => {
+        assert.ok(row.invoice_amount >= 5000 && row.invoice_amount < 500000);
+        assert.ok(row.ageing_days >= 1 && row.ageing_days < 180);
+        assert.equal(row.recovery_label, (row.past_payment_score * 0.4 + row.customer_rating * 0.4 - row.ageing_days / 200) > 0.3 ? 1 : 0);
+    });
+    assert.ok(rows.some(r => r.recovery_label === 1) && rows.some(r => r.recovery_label === 0));
+
+    const dcas = generateSyntheticDCAs({ n: 3, seed: 5 });
+    assert.deepEqual(dcas.map(d => d.dca_name), ['DCA_0', 'DCA_1', 'DCA_2']);
+    assert.equal(dcas[0].compliance_score, Number(((1 - dcas[0].compliance_risk) * 100).toFixed(2)));
+
+    const record = toCaseRecord(rows[0]);
+    assert.equal(record.debtAmount, rows[0].invoice_amount);
+    assert.equal(record.recoveryLabel, rows[0].recovery_label);
+});
+
+test('training cases load from an export or straight from the store', t => {
+    const dir = tempDir(t);
+    const exported = [{ caseId: 'FDX-1001', status: 'RESOLVED' }];
+    fs.writeFileSync(path.join(dir, 'bare.json'), JSON.stringify(exported));
+    fs.writeFileSync(path.join(dir, 'listing.json'), JSON.stringify({ cases: exported, total: 1 }));
+
+    assert.deepEqual(loadCases({ source: 'file', casesFile: path.join(dir, 'bare.json') }), exported);
+    assert.deepEqual(loadCases({ source: 'file', casesFile: path.join(dir, 'listing.json') }), exported);
+
+    createStore({ dataDir: dir }).collection('cases').set('FDX-1001', exported[0]);
+    assert.deepEqual(loadCases({ source: 'store', dataDir: dir }), exported);
+    assert.deepEqual(loadCases({ source: 'store', dataDir: path.join(dir, 'empty') }), []);
+
+    assert.throws(() => loadCases({ source: 'warehouse' }), /Unknown data source/);
+    assert.equal(hashTrainingData(exported), hashTrainingData([{ caseId: 'FDX-1001', status: 'RESOLVED' }]));
+});
+
+test('train-models writes a registered version of every model', t => {
+    const modelDir = tempDir(t);
+    const dumpDir = path.join(modelDir, 'split');
+
+    const first = trainModels('--n', '300', '--notes', '120', '--seed', '3', '--model-dir', modelDir, '--version', 'run-1', '--dump-data', dumpDir);
+    assert.equal(first.status, 0, first.stderr);
+
+    const versionDir = path.join(modelDir, 'versions', 'run-1');
+    assert.deepEqual(fs.readdirSync(versionDir).sort(), ['case-prioritizer.json', 'manifest.json', 'recovery-predictor.json', 'sentiment-analyzer.json']);
+    const manifest = JSON.parse(fs.readFileSync(path.join(versionDir, 'manifest.json'), 'utf8'));
+    assert.equal(manifest.source, 'synthetic');
+    assert.equal(manifest.seed, 3);
+    const trainCases = JSON.parse(fs.readFileSync(path.join(dumpDir, 'train-cases.json'), 'utf8'));
+    const heldOut = JSON.parse(fs.readFileSync(path.join(dumpDir, 'held-out-cases.json'), 'utf8'));
+    assert.equal(trainCases.length + heldOut.length, 300);
+    assert.equal(manifest.models['case-prioritizer'].dataHash, hashTrainingData(trainCases));
+
+    // Nothing was live, so the first run serves production straight away
+    const registry = JSON.parse(fs.readFileSync(path.join(modelDir, 'registry.json'), 'utf8'));
+    Object.values(registry.models).forEach(state => assert.equal(state.production, 'run-1'));
+
+    const second = trainModels('--n', '300', '--notes', '120', '--seed', '3', '--model-dir', modelDir, '--version', 'run-2');
+    assert.equal(second.status, 0, second.stderr);
+    assert.match(second.stdout, /case-prioritizer: candidate/);
+    const after = JSON.parse(fs.readFileSync(path.join(modelDir, 'registry.json'), 'utf8'));
+    assert.equal(after.models['case-prioritizer'].production, 'run-1');
+    const rerun = JSON.parse(fs.readFileSync(path.join(modelDir, 'versions', 'run-2', 'manifest.json'), 'utf8'));
+    assert.equal(rerun.models['recovery-predictor'].dataHash, manifest.models['recovery-predictor'].dataHash);
+});
+
+test('train-models rejects unknown options', () => {
+    const bad = trainModels('--source', 'warehouse');
+    assert.equal(bad.status, 1);
+    assert.match(bad.stderr, /--source must be one of synthetic, store, file/);
+
+    const noFile = trainModels('--source', 'file');
+    assert.equal(noFile.status, 1);
+    assert.match(noFile.stderr, /--source file needs --cases/);
+});